@@ -0,0 +1,165 @@
+/**
+ * Home battery arbitrage
+ * Charges from the grid when energy is cheap and discharges into it when it pays more, after
+ * efficiency losses and battery wear. The plan is found with dynamic programming over discrete
+ * state-of-charge levels, so it is optimal up to the level size (1% of capacity by default).
+ * Round-trip efficiency is split evenly between charging and discharging.
+ */
+
+const { getSolarShare } = require('./solar.js');
+
+const DEFAULT_SOC_STEPS = 100;
+
+const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+/**
+ * Validate a battery configuration and apply defaults
+ * @param {Object} config - Battery configuration
+ * @param {number} config.capacityKwh - Usable capacity
+ * @param {number} config.maxChargeKw - Maximum charge power drawn from the grid
+ * @param {number} [config.maxDischargeKw] - Maximum discharge power delivered to the grid (default: maxChargeKw)
+ * @param {number} [config.roundTripEfficiency] - Fraction of charged energy that comes back out (default: 0.9)
+ * @param {number} [config.minSoc] - Lowest state of charge as a fraction of capacity (default: 0)
+ * @param {number} [config.currentSoc] - State of charge now as a fraction (default: minSoc)
+ * @param {number} [config.endSoc] - Lowest state of charge at the end of the plan (default: currentSoc)
+ * @param {number} [config.cycleCost] - Wear cost in euros per full cycle (default: 0)
+ * @returns {Object} Normalized battery
+ * @throws {Error} When a setting is out of range
+ */
+const normalizeBattery = (config = {}) => {
+  const {
+    capacityKwh,
+    maxChargeKw,
+    maxDischargeKw = maxChargeKw,
+    roundTripEfficiency = 0.9,
+    minSoc = 0,
+    cycleCost = 0
+  } = config;
+  const { currentSoc = minSoc } = config;
+  const { endSoc = currentSoc } = config;
+
+  for (const [name, value] of Object.entries({ capacityKwh, maxChargeKw, maxDischargeKw })) {
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new Error(`Invalid battery ${name}: ${value}`);
+    }
+  }
+  if (typeof roundTripEfficiency !== 'number' || !(roundTripEfficiency > 0 && roundTripEfficiency <= 1)) {
+    throw new Error(`Invalid battery roundTripEfficiency: ${roundTripEfficiency} (expected a fraction such as 0.9)`);
+  }
+  for (const [name, value] of Object.entries({ minSoc, currentSoc, endSoc })) {
+    if (!isFraction(value)) {
+      throw new Error(`Invalid battery ${name}: ${value} (expected a fraction of capacity such as 0.2)`);
+    }
+  }
+  if (currentSoc < minSoc || endSoc < minSoc) {
+    throw new Error('Battery currentSoc and endSoc must not be below minSoc');
+  }
+  if (typeof cycleCost !== 'number' || cycleCost < 0) {
+    throw new Error(`Invalid battery cycleCost: ${cycleCost}`);
+  }
+
+  return { capacityKwh, maxChargeKw, maxDischargeKw, roundTripEfficiency, minSoc, currentSoc, endSoc, cycleCost };
+};
+
+/**
+ * Plan charging and discharging over consecutive price slots
+ * @param {Array} slots - Slots as { start, end, buyPrice, sellPrice } in milliseconds and €cents/kWh;
+ *   charging from a PV surplus (optional surplusKw) forgoes the sell price instead of paying the buy price
+ * @param {Object} battery - Normalized battery
+ * @param {Object} [options] - Options
+ * @param {number} [options.socSteps] - Number of state-of-charge levels over the capacity (default: 100)
+ * @returns {Object|null} { steps: [{ slot, gridKwh, storedKwh, socStart, socEnd, cashflow, wear, solarKwh }],
+ *   profit } with energy in kWh (gridKwh positive when charging, negative when discharging; solarKwh
+ *   the part of the charge from the PV surplus) and money in €cents,
+ *   or null when endSoc cannot be reached
+ */
+const optimizeBattery = (slots, battery, options = {}) => {
+  const { socSteps = DEFAULT_SOC_STEPS } = options;
+  const step = battery.capacityKwh / socSteps;
+  const oneWay = Math.sqrt(battery.roundTripEfficiency);
+  // Wear per kWh taken out of the battery: a full cycle takes out the whole capacity
+  const wearPerKwh = battery.cycleCost * 100 / battery.capacityKwh;
+
+  const minLevel = Math.ceil(battery.minSoc * socSteps - 1e-9);
+  const startLevel = Math.max(minLevel, Math.round(battery.currentSoc * socSteps));
+  const endLevel = Math.max(minLevel, Math.round(battery.endSoc * socSteps));
+
+  // Share of the charging power a PV surplus covers
+  const solarShareOf = (slot, gridKwh) => getSolarShare(slot.surplusKw || 0, gridKwh * 3600000 / (slot.end - slot.start));
+
+  // Cash flow of moving from one level to another in a slot
+  const cashflowOf = (slot, delta) => {
+    const stored = delta * step;
+    if (stored > 0) {
+      const share = solarShareOf(slot, stored / oneWay);
+      return -(stored / oneWay) * (share * slot.sellPrice + (1 - share) * slot.buyPrice);
+    }
+    if (stored < 0) return -stored * oneWay * slot.sellPrice + stored * wearPerKwh;
+    return 0;
+  };
+
+  let values = new Float64Array(socSteps + 1).fill(-Infinity);
+  values[startLevel] = 0;
+  const parents = [];
+
+  for (const slot of slots) {
+    const hours = (slot.end - slot.start) / 3600000;
+    const maxUp = Math.floor(battery.maxChargeKw * hours * oneWay / step + 1e-9);
+    const maxDown = Math.floor(battery.maxDischargeKw * hours / oneWay / step + 1e-9);
+    const next = new Float64Array(socSteps + 1).fill(-Infinity);
+    const parent = new Int32Array(socSteps + 1).fill(-1);
+
+    for (let level = minLevel; level <= socSteps; level++) {
+      if (values[level] === -Infinity) continue;
+      // Idle first so that it wins ties
+      const targets = [level];
+      for (let to = Math.max(minLevel, level - maxDown); to <= Math.min(socSteps, level + maxUp); to++) {
+        if (to !== level) targets.push(to);
+      }
+      for (const to of targets) {
+        const value = values[level] + cashflowOf(slot, to - level);
+        if (value > next[to] + 1e-9) {
+          next[to] = value;
+          parent[to] = level;
+        }
+      }
+    }
+    parents.push(parent);
+    values = next;
+  }
+
+  let bestLevel = -1;
+  for (let level = endLevel; level <= socSteps; level++) {
+    if (values[level] !== -Infinity && (bestLevel === -1 || values[level] > values[bestLevel] + 1e-9)) bestLevel = level;
+  }
+
+  if (bestLevel === -1) return null;
+
+  const levels = [bestLevel];
+  for (let i = slots.length - 1; i >= 0; i--) {
+    levels.unshift(parents[i][levels[0]]);
+  }
+
+  const steps = slots.map((slot, i) => {
+    const delta = levels[i + 1] - levels[i];
+    const stored = delta * step;
+    const gridKwh = stored > 0 ? stored / oneWay : stored * oneWay;
+    return {
+      slot,
+      gridKwh,
+      storedKwh: stored,
+      socStart: levels[i] * step,
+      socEnd: levels[i + 1] * step,
+      cashflow: cashflowOf(slot, delta),
+      wear: stored < 0 ? -stored * wearPerKwh : 0,
+      solarKwh: stored > 0 ? gridKwh * solarShareOf(slot, gridKwh) : 0
+    };
+  });
+
+  return { steps, profit: values[bestLevel] };
+};
+
+module.exports = {
+  normalizeBattery,
+  optimizeBattery
+};
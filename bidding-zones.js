@@ -0,0 +1,63 @@
+/**
+ * Bidding zone registry
+ * Maps friendly aliases to ENTSO-E EIC area codes and the local market timezone of each zone
+ */
+
+const DEFAULT_ZONE = 'NL';
+
+const BIDDING_ZONES = {
+  NL: { code: '10YNL----------L', name: 'Netherlands', timeZone: 'Europe/Amsterdam' },
+  BE: { code: '10YBE----------2', name: 'Belgium', timeZone: 'Europe/Brussels' },
+  'DE-LU': { code: '10Y1001A1001A82H', name: 'Germany-Luxembourg', timeZone: 'Europe/Berlin' },
+  FR: { code: '10YFR-RTE------C', name: 'France', timeZone: 'Europe/Paris' },
+  AT: { code: '10YAT-APG------L', name: 'Austria', timeZone: 'Europe/Vienna' },
+  CH: { code: '10YCH-SWISSGRIDZ', name: 'Switzerland', timeZone: 'Europe/Zurich' },
+  PL: { code: '10YPL-AREA-----S', name: 'Poland', timeZone: 'Europe/Warsaw' },
+  CZ: { code: '10YCZ-CEPS-----N', name: 'Czech Republic', timeZone: 'Europe/Prague' },
+  ES: { code: '10YES-REE------0', name: 'Spain', timeZone: 'Europe/Madrid' },
+  PT: { code: '10YPT-REN------W', name: 'Portugal', timeZone: 'Europe/Lisbon' },
+  DK1: { code: '10YDK-1--------W', name: 'Denmark West', timeZone: 'Europe/Copenhagen' },
+  DK2: { code: '10YDK-2--------M', name: 'Denmark East', timeZone: 'Europe/Copenhagen' },
+  NO1: { code: '10YNO-1--------2', name: 'Norway South-East', timeZone: 'Europe/Oslo' },
+  NO2: { code: '10YNO-2--------T', name: 'Norway South-West', timeZone: 'Europe/Oslo' },
+  NO3: { code: '10YNO-3--------J', name: 'Norway Central', timeZone: 'Europe/Oslo' },
+  NO4: { code: '10YNO-4--------9', name: 'Norway North', timeZone: 'Europe/Oslo' },
+  NO5: { code: '10Y1001A1001A48H', name: 'Norway West', timeZone: 'Europe/Oslo' },
+  SE1: { code: '10Y1001A1001A44P', name: 'Sweden Luleå', timeZone: 'Europe/Stockholm' },
+  SE2: { code: '10Y1001A1001A45N', name: 'Sweden Sundsvall', timeZone: 'Europe/Stockholm' },
+  SE3: { code: '10Y1001A1001A46L', name: 'Sweden Stockholm', timeZone: 'Europe/Stockholm' },
+  SE4: { code: '10Y1001A1001A47J', name: 'Sweden Malmö', timeZone: 'Europe/Stockholm' },
+  FI: { code: '10YFI-1--------U', name: 'Finland', timeZone: 'Europe/Helsinki' },
+  EE: { code: '10Y1001A1001A39I', name: 'Estonia', timeZone: 'Europe/Tallinn' },
+  LV: { code: '10YLV-1001A00074', name: 'Latvia', timeZone: 'Europe/Riga' },
+  LT: { code: '10YLT-1001A0008Q', name: 'Lithuania', timeZone: 'Europe/Vilnius' }
+};
+
+/**
+ * Resolve a bidding zone from an alias (e.g. 'NL', 'de-lu') or an EIC code
+ * @param {string} [zone] - Zone alias or EIC code (default: 'NL')
+ * @returns {Object} Zone with id, code (EIC), name and timeZone
+ */
+const resolveZone = (zone = DEFAULT_ZONE) => {
+  if (zone && typeof zone === 'object' && zone.code && zone.timeZone) {
+    return zone;
+  }
+
+  const key = String(zone).toUpperCase();
+  if (BIDDING_ZONES[key]) {
+    return { id: key, ...BIDDING_ZONES[key] };
+  }
+
+  const id = Object.keys(BIDDING_ZONES).find(alias => BIDDING_ZONES[alias].code === String(zone));
+  if (id) {
+    return { id, ...BIDDING_ZONES[id] };
+  }
+
+  throw new Error(`Unknown bidding zone: ${zone}`);
+};
+
+module.exports = {
+  BIDDING_ZONES,
+  DEFAULT_ZONE,
+  resolveZone
+};
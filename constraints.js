@@ -0,0 +1,160 @@
+/**
+ * Scheduling constraints: earliest start, latest end and excluded time ranges
+ * Constraints are instants (Date, milliseconds or ISO string) or local times of day as 'HH:MM'
+ * in the bidding zone's timezone. Excluded ranges given as times of day repeat every day, so
+ * { from: '22:00', to: '07:00' } keeps a noisy appliance off every night.
+ */
+
+const { getZonedParts, zonedTimeToUtc, startOfZonedDay, listZonedDays } = require('./zone-time.js');
+
+const HALF_DAY_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Parse a local time of day
+ * @param {*} value - Candidate value
+ * @returns {Object|null} { hour, minute }, or null when value is not an 'HH:MM' string
+ */
+const parseTimeOfDay = (value) => {
+  const match = typeof value === 'string' ? /^(\d{1,2}):(\d{2})$/.exec(value) : null;
+  if (!match) return null;
+
+  const hour = parseInt(match[1]);
+  const minute = parseInt(match[2]);
+  if (hour > 23 || minute > 59) {
+    throw new Error(`Invalid time of day: ${value}`);
+  }
+  return { hour, minute };
+};
+
+/**
+ * Get the instant of a local time of day
+ * @param {number} date - Instant within the reference day
+ * @param {Object} time - { hour, minute }
+ * @param {string} timeZone - IANA timezone
+ * @param {number} [dayOffset] - Days to move from the reference day (default: 0)
+ * @returns {number} Instant in milliseconds
+ */
+const atTimeOfDay = (date, time, timeZone, dayOffset = 0) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day: day + dayOffset, ...time }, timeZone);
+};
+
+/**
+ * Resolve an instant or a time of day to milliseconds
+ * A time of day is its next occurrence after `after`.
+ * @param {Date|number|string} value - Instant or 'HH:MM'
+ * @param {string} name - Option name for error messages
+ * @param {number} after - Reference instant in milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Instant in milliseconds
+ */
+const resolveInstant = (value, name, after, timeZone) => {
+  const time = parseTimeOfDay(value);
+  if (time) {
+    const sameDay = atTimeOfDay(after, time, timeZone);
+    return sameDay > after ? sameDay : atTimeOfDay(after, time, timeZone, 1);
+  }
+
+  const instant = new Date(value).getTime();
+  if (Number.isNaN(instant)) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return instant;
+};
+
+/**
+ * Validate and resolve the constraints of a window search
+ * @param {Object} options - Options
+ * @param {Date|number|string} [options.earliestStart] - Do not start before this instant or local time;
+ *   when now lies between the last occurrence of a local time and the local latestEnd following it,
+ *   or within half a day after it without latestEnd, start now
+ * @param {Date|number|string} [options.latestEnd] - Finish by this instant or local time
+ * @param {Array} [options.excludedRanges] - Ranges as { from, to } that a window must not overlap;
+ *   both instants, or both 'HH:MM' for a range that repeats daily (may wrap past midnight)
+ * @param {Object} context - { now, timeZone }
+ * @returns {Object|null} { earliestStart, latestEnd, excludedRanges } with instants in milliseconds
+ *   (null when not set), or null when no constraint is given
+ */
+const resolveConstraints = (options, context) => {
+  const { earliestStart, latestEnd, excludedRanges } = options;
+  if (earliestStart === undefined && latestEnd === undefined && excludedRanges === undefined) {
+    return null;
+  }
+
+  const { now, timeZone } = context;
+  let start = earliestStart === undefined ? null : resolveInstant(earliestStart, 'earliestStart', now, timeZone);
+  let end = latestEnd === undefined ? null : resolveInstant(latestEnd, 'latestEnd', Math.max(now, start || now), timeZone);
+
+  // A daily window that opened at the last occurrence of earliestStart and has not closed yet starts
+  // now; it closes at the following local latestEnd, or half a day after opening without latestEnd.
+  // An instant as latestEnd makes it a one-off window, which opens at the next earliestStart.
+  const startTime = parseTimeOfDay(earliestStart);
+  const endTime = parseTimeOfDay(latestEnd);
+  if (startTime && (endTime || latestEnd === undefined)) {
+    const opened = atTimeOfDay(start, startTime, timeZone, -1);
+    const closes = endTime ? resolveInstant(latestEnd, 'latestEnd', opened, timeZone) : opened + HALF_DAY_MS;
+    if (opened <= now && closes > now) {
+      start = now;
+      end = endTime ? closes : null;
+    }
+  }
+
+  if (excludedRanges !== undefined && !Array.isArray(excludedRanges)) {
+    throw new Error('Invalid excludedRanges: expected an array of { from, to }');
+  }
+  const ranges = (excludedRanges || []).map(range => {
+    const from = parseTimeOfDay(range.from);
+    const to = parseTimeOfDay(range.to);
+    if (from && to) {
+      return { daily: true, from, to };
+    }
+
+    const rangeStart = new Date(range.from).getTime();
+    const rangeEnd = new Date(range.to).getTime();
+    if (from || to || Number.isNaN(rangeStart) || Number.isNaN(rangeEnd) || rangeEnd <= rangeStart) {
+      throw new Error(`Invalid excluded range: ${range.from} - ${range.to}`);
+    }
+    return { daily: false, start: rangeStart, end: rangeEnd };
+  });
+
+  return { earliestStart: start, latestEnd: end, excludedRanges: ranges };
+};
+
+/**
+ * Expand excluded ranges to the instants they cover within a time range
+ * @param {Array} ranges - Excluded ranges from resolveConstraints()
+ * @param {number} from - Range start in milliseconds
+ * @param {number} until - Range end in milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {Array} Ranges as { start, end } in milliseconds, sorted by start
+ */
+const expandExcludedRanges = (ranges, from, until, timeZone) => {
+  const expanded = [];
+  // Start a day early so a range that wraps past midnight into `from` is included
+  const days = listZonedDays(startOfZonedDay(from, timeZone, -1), until, timeZone);
+
+  for (const range of ranges) {
+    if (!range.daily) {
+      expanded.push({ start: range.start, end: range.end });
+      continue;
+    }
+
+    const wraps = range.to.hour * 60 + range.to.minute <= range.from.hour * 60 + range.from.minute;
+    for (const day of days) {
+      expanded.push({
+        start: atTimeOfDay(day.start, range.from, timeZone),
+        end: atTimeOfDay(day.start, range.to, timeZone, wraps ? 1 : 0)
+      });
+    }
+  }
+
+  return expanded
+    .filter(range => range.end > from && range.start < until)
+    .sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  parseTimeOfDay,
+  resolveConstraints,
+  expandExcludedRanges
+};
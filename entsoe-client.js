@@ -1,21 +1,55 @@
 /**
  * ENTSO-E Transparency Platform API Client
- * Fetches real-time day-ahead electricity prices for the Netherlands
+ * Fetches real-time day-ahead electricity prices for a bidding zone (the Netherlands by default)
  */
 
 const axios = require('axios');
 const xml2js = require('xml2js');
+const { resolveZone } = require('./bidding-zones.js');
+const { createRateLimiter, sleep } = require('./rate-limiter.js');
+const { getCacheExpiry } = require('./market-calendar.js');
+const { getZonedDay, getZonedParts, listZonedDays, startOfZonedDay, zonedTimeToUtc } = require('./zone-time.js');
+const {
+  EntsoeError,
+  EntsoeAuthError,
+  EntsoeNoDataError,
+  EntsoeRateLimitError,
+  EntsoeNetworkError
+} = require('./entsoe-errors.js');
 
 const ENTSOE_API_BASE = 'https://web-api.tp.entsoe.eu/api';
-const NETHERLANDS_DOMAIN = '10YNL----------L'; // EIC code for Netherlands
+const QUARTER_HOUR_MS = 15 * 60 * 1000;
+const ENTSOE_REQUESTS_PER_MINUTE = 400; // Per-token limit enforced by ENTSO-E
 
-// Cache for price data to reduce API calls
-let priceCache = {
-  data: null,
-  timestamp: null,
-  expiryMs: 60 * 60 * 1000 // 1 hour cache
+// Retry settings for failed requests
+const DEFAULT_RETRY = {
+  retries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
 };
 
+// Supported market time units, in minutes
+const RESOLUTION_MINUTES = {
+  PT15M: 15,
+  PT30M: 30,
+  PT60M: 60
+};
+
+// Cache for price data to reduce API calls, keyed by the zone's EIC code
+const priceCache = {};
+
+// Requests currently in flight per cache, so concurrent callers share one request
+const inFlightRequests = new WeakMap();
+
+// Shared rate limiters, keyed by API token
+const rateLimiters = new Map();
+
+/**
+ * Create an empty price cache, isolated from the shared module-level cache
+ * @returns {Object} Price cache keyed by EIC code
+ */
+const createPriceCache = () => ({});
+
 /**
  * Format date for ENTSO-E API (YYYYMMDDHHmm in UTC)
  */
@@ -29,106 +63,381 @@ const formatEntsoeDate = (date) => {
 };
 
 /**
- * Parse ENTSO-E XML response to extract price data
+ * Merge missing slots into contiguous gap ranges
+ * @param {Array} missing - Missing slots as { start, resolutionMinutes } (start in ms)
+ * @returns {Array} Gaps as { start, end, slots } with ISO timestamps
  */
-const parseEntsoeXml = async (xml) => {
+const toGapRanges = (missing) => {
+  const sorted = [...missing].sort((a, b) => a.start - b.start);
+  const gaps = [];
+
+  for (const slot of sorted) {
+    const slotEnd = slot.start + slot.resolutionMinutes * 60 * 1000;
+    const last = gaps[gaps.length - 1];
+    if (last && last.end >= slot.start) {
+      last.end = Math.max(last.end, slotEnd);
+      last.slots++;
+    } else {
+      gaps.push({ start: slot.start, end: slotEnd, slots: 1 });
+    }
+  }
+
+  return gaps.map(gap => ({
+    start: new Date(gap.start).toISOString(),
+    end: new Date(gap.end).toISOString(),
+    slots: gap.slots
+  }));
+};
+
+// xml2js returns elements with attributes as { _: text, $: attributes }
+const textOf = (value) => (value && typeof value === 'object' ? value._ : value);
+
+/**
+ * Convert an Acknowledgement_MarketDocument into a typed error
+ * @param {Object} ack - Parsed Acknowledgement_MarketDocument
+ * @param {Object} [details] - Extra error details (status, period, zone)
+ * @returns {EntsoeError} Typed error with code and reason
+ */
+const acknowledgementToError = (ack, details = {}) => {
+  const reasons = Array.isArray(ack.Reason) ? ack.Reason : [ack.Reason];
+  const reason = reasons.find(Boolean) || {};
+  const code = textOf(reason.code) || null;
+  const text = textOf(reason.text) || 'No reason given';
+
+  // 999 is also used for rejected queries; only "No matching data" means nothing is published
+  if (code === '999' && /no matching data/i.test(text)) {
+    return new EntsoeNoDataError(`No data available from ENTSO-E: ${text}`, { ...details, code, reason: text });
+  }
+  return new EntsoeError(`ENTSO-E request rejected (${code}): ${text}`, { ...details, code, reason: text });
+};
+
+/**
+ * Parse an acknowledgement from an error response body
+ * @param {*} body - Response body
+ * @returns {Promise<Object|null>} Parsed Acknowledgement_MarketDocument, or null if the body is not one
+ */
+const parseAcknowledgement = async (body) => {
+  if (typeof body !== 'string' || !body.includes('Acknowledgement_MarketDocument')) {
+    return null;
+  }
+  try {
+    const parser = new xml2js.Parser({ explicitArray: false });
+    const result = await parser.parseStringPromise(body);
+    return result.Acknowledgement_MarketDocument || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read a Retry-After header (seconds or HTTP date)
+ * @param {Object} [headers] - Response headers
+ * @returns {number|null} Delay in milliseconds, or null when absent
+ */
+const parseRetryAfter = (headers) => {
+  const value = headers && headers['retry-after'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Parse ENTSO-E XML response to extract price data and a data-quality report
+ * Curve type A03 series omit points whose price equals the previous point; these are
+ * expanded to the full timeInterval by carrying values forward. Slots that still have
+ * no price are reported as gaps instead of being silently dropped.
+ *
+ * A single response can hold several TimeSeries for the same delivery day (different
+ * resolutions, or one per classification sequence). One resolution is selected per slot;
+ * other resolutions only fill the quarter hours it leaves open. Points with the same
+ * timestamp are deduplicated, and duplicates and conflicting values are reported.
+ * @param {string} xml - Raw XML response
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.preferResolution] - 'PT15M' or 'PT60M' (default: finest available)
+ * @param {string} [options.timeZone] - Timezone of the hour field (default: the default zone's timezone)
+ * @returns {Promise<Object>} { prices, quality: { resolution, availableResolutions, duplicates, conflicts, gaps } }
+ */
+const parseEntsoeResponse = async (xml, options = {}) => {
+  const { preferResolution, timeZone = resolveZone().timeZone } = options;
+  if (preferResolution && !RESOLUTION_MINUTES[preferResolution]) {
+    throw new Error(`Unsupported resolution: ${preferResolution}`);
+  }
+
   const parser = new xml2js.Parser({ explicitArray: false });
   const result = await parser.parseStringPromise(xml);
   
+  // ENTSO-E answers with an acknowledgement instead of prices when it has no data
+  if (result && result.Acknowledgement_MarketDocument) {
+    throw acknowledgementToError(result.Acknowledgement_MarketDocument);
+  }
+  
   if (!result || !result.Publication_MarketDocument) {
-    throw new Error('Invalid XML response from ENTSO-E API');
+    throw new EntsoeError('Invalid XML response from ENTSO-E API');
   }
 
   const doc = result.Publication_MarketDocument;
   const timeSeries = Array.isArray(doc.TimeSeries) ? doc.TimeSeries : [doc.TimeSeries];
   
-  const prices = [];
+  const candidates = [];
+  const missing = [];
   
   for (const series of timeSeries) {
     if (!series || !series.Period) continue;
     
+    const curveType = series.curveType || 'A01'; // A01 = fixed block, A03 = variable sized block
     const period = Array.isArray(series.Period) ? series.Period : [series.Period];
     
     for (const p of period) {
       if (!p || !p.Point) continue;
       
       const startDate = new Date(p.timeInterval.start);
+      const endDate = new Date(p.timeInterval.end);
       const points = Array.isArray(p.Point) ? p.Point : [p.Point];
-      const resolution = p.resolution; // PT60M for hourly, PT15M for quarterly
-      
-      // Determine resolution in minutes
-      let resolutionMinutes = 60; // default hourly
-      if (resolution === 'PT15M') resolutionMinutes = 15;
-      else if (resolution === 'PT30M') resolutionMinutes = 30;
+      const resolution = RESOLUTION_MINUTES[p.resolution] ? p.resolution : 'PT60M'; // PT60M for hourly, PT15M for quarterly
+      const resolutionMinutes = RESOLUTION_MINUTES[resolution];
+      const resolutionMs = resolutionMinutes * 60 * 1000;
       
+      // Index the points that are present by their 1-indexed position
+      const pricesByPosition = new Map();
       for (const point of points) {
-        const position = parseInt(point.position) - 1; // Position is 1-indexed
-        const priceEurMwh = parseFloat(point['price.amount']);
-        
+        pricesByPosition.set(parseInt(point.position), parseFloat(point['price.amount']));
+      }
+      
+      // The timeInterval defines how many slots the period should cover
+      const slotCount = Number.isNaN(endDate.getTime())
+        ? Math.max(...pricesByPosition.keys())
+        : Math.round((endDate.getTime() - startDate.getTime()) / resolutionMs);
+      
+      let previousPrice;
+      for (let position = 1; position <= slotCount; position++) {
         // Calculate timestamp for this point
-        const timestamp = new Date(startDate.getTime() + position * resolutionMinutes * 60 * 1000);
+        const time = startDate.getTime() + (position - 1) * resolutionMs;
+        
+        let priceEurMwh = pricesByPosition.get(position);
+        if (priceEurMwh === undefined && curveType === 'A03') {
+          priceEurMwh = previousPrice;
+        }
         
-        // Convert EUR/MWh to euro cents/kWh (divide by 10)
-        const priceCentsKwh = priceEurMwh / 10;
+        if (priceEurMwh === undefined || Number.isNaN(priceEurMwh)) {
+          missing.push({ start: time, resolutionMinutes });
+          continue;
+        }
+        previousPrice = priceEurMwh;
         
-        prices.push({
-          timestamp: timestamp.toISOString(),
-          hour: timestamp.getHours(),
-          price: Math.round(priceCentsKwh * 100) / 100,
-          priceEurMwh: Math.round(priceEurMwh * 100) / 100
-        });
+        candidates.push({ time, resolution, resolutionMinutes, priceEurMwh });
+      }
+    }
+  }
+  
+  // Finest resolution first, unless a resolution is explicitly preferred
+  const availableResolutions = [...new Set(candidates.map(c => c.resolution))]
+    .sort((a, b) => RESOLUTION_MINUTES[a] - RESOLUTION_MINUTES[b]);
+  const resolutionOrder = preferResolution
+    ? [preferResolution, ...availableResolutions.filter(r => r !== preferResolution)]
+    : availableResolutions;
+  
+  // Track covered time in quarter hours so coarser series only fill what is not covered yet
+  const covered = new Set();
+  const quartersOf = (start, resolutionMinutes) => {
+    const quarters = [];
+    for (let t = start; t < start + resolutionMinutes * 60 * 1000; t += QUARTER_HOUR_MS) {
+      quarters.push(t);
+    }
+    return quarters;
+  };
+  const uncoveredQuarters = (start, resolutionMinutes) => quartersOf(start, resolutionMinutes).filter(q => !covered.has(q));
+  
+  const selected = [];
+  const duplicateCounts = new Map();
+  const conflictValues = new Map();
+  
+  for (const resolution of resolutionOrder) {
+    const byTime = new Map();
+    
+    for (const candidate of candidates.filter(c => c.resolution === resolution)) {
+      const existing = byTime.get(candidate.time);
+      if (!existing) {
+        byTime.set(candidate.time, candidate);
+        continue;
+      }
+      
+      // Same slot published more than once: keep the first, report the rest
+      duplicateCounts.set(candidate.time, (duplicateCounts.get(candidate.time) || 1) + 1);
+      if (candidate.priceEurMwh !== existing.priceEurMwh) {
+        const values = conflictValues.get(candidate.time) || new Set([existing.priceEurMwh]);
+        values.add(candidate.priceEurMwh);
+        conflictValues.set(candidate.time, values);
+      }
+    }
+    
+    // A partly covered slot fills only its uncovered quarter hours
+    for (const candidate of byTime.values()) {
+      const open = uncoveredQuarters(candidate.time, candidate.resolutionMinutes);
+      const pieces = open.length === candidate.resolutionMinutes / 15
+        ? [candidate]
+        : open.map(q => ({ ...candidate, time: q, resolutionMinutes: 15 }));
+      for (const piece of pieces) {
+        quartersOf(piece.time, piece.resolutionMinutes).forEach(q => covered.add(q));
+        selected.push(piece);
       }
     }
   }
   
+  const prices = selected.map(({ time, resolutionMinutes, priceEurMwh }) => {
+    const timestamp = new Date(time);
+    
+    // Convert EUR/MWh to euro cents/kWh (divide by 10)
+    const priceCentsKwh = priceEurMwh / 10;
+    
+    return {
+      timestamp: timestamp.toISOString(),
+      hour: getZonedParts(timestamp, timeZone).hour, // Local market hour, independent of the server timezone
+      price: Math.round(priceCentsKwh * 100) / 100,
+      priceEurMwh: Math.round(priceEurMwh * 100) / 100,
+      resolutionMinutes
+    };
+  });
+  
   // Sort by timestamp
   prices.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
   
+  const byTimestamp = (a, b) => a.timestamp.localeCompare(b.timestamp);
+  
+  // Missing slots that no series filled, split to the quarter hours that are still open
+  const missingSlots = new Map();
+  for (const slot of missing) {
+    const open = uncoveredQuarters(slot.start, slot.resolutionMinutes);
+    const pieces = open.length === slot.resolutionMinutes / 15
+      ? [slot]
+      : open.map(q => ({ start: q, resolutionMinutes: 15 }));
+    pieces.forEach(piece => missingSlots.set(`${piece.start}|${piece.resolutionMinutes}`, piece));
+  }
+  const uncoveredMissing = [...missingSlots.values()];
+  
+  return {
+    prices,
+    quality: {
+      resolution: resolutionOrder.find(r => availableResolutions.includes(r)) || null,
+      availableResolutions,
+      duplicates: [...duplicateCounts.entries()]
+        .map(([time, count]) => ({ timestamp: new Date(time).toISOString(), count }))
+        .sort(byTimestamp),
+      conflicts: [...conflictValues.entries()]
+        .map(([time, values]) => ({ timestamp: new Date(time).toISOString(), valuesEurMwh: [...values] }))
+        .sort(byTimestamp),
+      gaps: toGapRanges(uncoveredMissing)
+    }
+  };
+};
+
+/**
+ * Parse ENTSO-E XML response to extract price data
+ * @param {string} xml - Raw XML response
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.preferResolution] - 'PT15M' or 'PT60M' (default: finest available)
+ * @param {string} [options.timeZone] - Timezone of the hour field (default: the default zone's timezone)
+ * @returns {Promise<Array>} Array of price data
+ */
+const parseEntsoeXml = async (xml, options = {}) => {
+  const { prices } = await parseEntsoeResponse(xml, options);
   return prices;
 };
 
 /**
- * Fetch day-ahead prices from ENTSO-E API
+ * Get the shared rate limiter for a token, creating it on first use
  * @param {string} apiToken - ENTSO-E API token
- * @param {Date} startDate - Start date
- * @param {Date} endDate - End date
- * @returns {Promise<Array>} Array of price data
+ * @returns {Object} Token-bucket rate limiter
  */
-const fetchDayAheadPrices = async (apiToken, startDate, endDate) => {
-  if (!apiToken) {
-    throw new Error('ENTSO-E API token is required');
+const getRateLimiter = (apiToken) => {
+  if (!rateLimiters.has(apiToken)) {
+    rateLimiters.set(apiToken, createRateLimiter({ requestsPerMinute: ENTSOE_REQUESTS_PER_MINUTE }));
   }
+  return rateLimiters.get(apiToken);
+};
 
-  const params = {
-    securityToken: apiToken,
-    documentType: 'A44', // Day-ahead prices
-    in_Domain: NETHERLANDS_DOMAIN,
-    out_Domain: NETHERLANDS_DOMAIN,
-    periodStart: formatEntsoeDate(startDate),
-    periodEnd: formatEntsoeDate(endDate)
-  };
+/**
+ * Decide whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by a single attempt
+ * @returns {boolean} True for network failures, throttling and server errors
+ */
+const isRetryable = (error) => {
+  return error instanceof EntsoeNetworkError ||
+    error instanceof EntsoeRateLimitError ||
+    (error instanceof EntsoeError && error.status >= 500);
+};
 
+/**
+ * Delay before the next attempt: Retry-After when the server sent one (capped at maxDelayMs),
+ * otherwise exponential backoff with jitter
+ * @param {Error} error - Error thrown by the previous attempt
+ * @param {number} attempt - Zero-based number of the failed attempt
+ * @param {Object} retry - Retry settings
+ * @returns {number} Delay in milliseconds
+ */
+const retryDelay = (error, attempt, retry) => {
+  if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+    return Math.min(retry.maxDelayMs, error.retryAfterMs);
+  }
+  const backoff = Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** attempt);
+  return backoff / 2 + Math.random() * backoff / 2;
+};
+
+/**
+ * Make a single request to the ENTSO-E API and map failures to typed errors
+ * @param {Object} params - Query parameters
+ * @param {Object} requestDetails - Requested period and zone, attached to errors
+ * @param {Object} options - Request options (preferResolution, timeZone)
+ * @returns {Promise<Object>} { prices, quality }
+ */
+const requestDayAheadData = async (params, requestDetails, options) => {
   try {
     const response = await axios.get(ENTSOE_API_BASE, {
       params,
       timeout: 30000 // 30 second timeout
     });
 
-    const prices = await parseEntsoeXml(response.data);
-    return prices;
+    return await parseEntsoeResponse(response.data, {
+      preferResolution: options.preferResolution,
+      timeZone: options.timeZone
+    });
   } catch (error) {
+    if (error instanceof EntsoeError) {
+      // Raised while parsing the response; attach what was requested
+      error.period = error.period || requestDetails.period;
+      error.zone = error.zone || requestDetails.zone;
+      throw error;
+    }
+
     if (error.response) {
       // API returned an error
       const status = error.response.status;
-      if (status === 401) {
-        throw new Error('Invalid ENTSO-E API token');
+      const details = {
+        ...requestDetails,
+        status,
+        retryAfterMs: parseRetryAfter(error.response.headers)
+      };
+      if (status === 401 || status === 403) {
+        throw new EntsoeAuthError('Invalid ENTSO-E API token', details);
+      } else if (status === 429) {
+        throw new EntsoeRateLimitError('ENTSO-E API rate limit exceeded', details);
+      }
+
+      const ack = await parseAcknowledgement(error.response.data);
+      if (ack) {
+        throw acknowledgementToError(ack, details);
       } else if (status === 400) {
-        throw new Error('Invalid request parameters');
+        throw new EntsoeError('Invalid request parameters', details);
       } else {
-        throw new Error(`ENTSO-E API error: ${status}`);
+        throw new EntsoeError(`ENTSO-E API error: ${status}`, details);
       }
     } else if (error.request) {
-      throw new Error('Failed to connect to ENTSO-E API');
+      throw new EntsoeNetworkError('Failed to connect to ENTSO-E API', { ...requestDetails, code: error.code });
     } else {
       throw error;
     }
@@ -136,46 +445,90 @@ const fetchDayAheadPrices = async (apiToken, startDate, endDate) => {
 };
 
 /**
- * Get cached price data or fetch new data
- * Fetches data from yesterday to tomorrow to have comprehensive coverage
+ * Fetch day-ahead prices from ENTSO-E API together with a data-quality report
+ * Requests wait for the token's rate limiter, and network failures, throttling and
+ * server errors are retried with exponential backoff (honouring Retry-After).
+ * @param {string} apiToken - ENTSO-E API token
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @param {Object} [options] - Request options
+ * @param {string} [options.zone] - Bidding zone alias or EIC code (default: 'NL')
+ * @param {string} [options.preferResolution] - 'PT15M' or 'PT60M' (default: finest available)
+ * @param {Object|boolean} [options.retry] - { retries, baseDelayMs, maxDelayMs }, or false to disable retries
+ * @param {Object} [options.rateLimiter] - Limiter from createRateLimiter() (default: shared limiter per token)
+ * @returns {Promise<Object>} { prices, quality }
+ * @throws {EntsoeAuthError|EntsoeNoDataError|EntsoeRateLimitError|EntsoeNetworkError|EntsoeError}
  */
-const getPriceData = async (apiToken) => {
-  const now = Date.now();
-  
-  // Check if cache is still valid
-  if (priceCache.data && priceCache.timestamp && (now - priceCache.timestamp) < priceCache.expiryMs) {
-    return priceCache.data;
+const fetchDayAheadData = async (apiToken, startDate, endDate, options = {}) => {
+  if (!apiToken) {
+    throw new EntsoeAuthError('ENTSO-E API token is required');
   }
 
-  // Fetch new data
-  const nowDate = new Date();
-  
-  // Start from yesterday to ensure we have past data
-  const startDate = new Date(nowDate);
-  startDate.setUTCDate(startDate.getUTCDate() - 1);
-  startDate.setUTCHours(0, 0, 0, 0);
-  
-  // End at tomorrow to get future prices
-  const endDate = new Date(nowDate);
-  endDate.setUTCDate(endDate.getUTCDate() + 2);
-  endDate.setUTCHours(0, 0, 0, 0);
+  const zone = resolveZone(options.zone);
+  const requestDetails = {
+    period: { start: startDate.toISOString(), end: endDate.toISOString() },
+    zone: zone.id
+  };
 
-  const prices = await fetchDayAheadPrices(apiToken, startDate, endDate);
-  
-  // Categorize prices as past, current, or future
-  const currentHour = new Date();
-  currentHour.setMinutes(0, 0, 0);
-  const currentHourTime = currentHour.getTime();
-  
-  const categorizedPrices = prices.map(p => {
-    const priceTime = new Date(p.timestamp);
-    priceTime.setMinutes(0, 0, 0);
-    const priceTimeMs = priceTime.getTime();
+  const params = {
+    securityToken: apiToken,
+    documentType: 'A44', // Day-ahead prices
+    in_Domain: zone.code,
+    out_Domain: zone.code,
+    periodStart: formatEntsoeDate(startDate),
+    periodEnd: formatEntsoeDate(endDate)
+  };
+
+  const retry = options.retry === false
+    ? { ...DEFAULT_RETRY, retries: 0 }
+    : { ...DEFAULT_RETRY, ...options.retry };
+  const rateLimiter = options.rateLimiter || getRateLimiter(apiToken);
+
+  for (let attempt = 0; ; attempt++) {
+    await rateLimiter.acquire();
+    try {
+      return await requestDayAheadData(params, requestDetails, { ...options, timeZone: zone.timeZone });
+    } catch (error) {
+      if (attempt >= retry.retries || !isRetryable(error)) {
+        throw error;
+      }
+      await sleep(retryDelay(error, attempt, retry));
+    }
+  }
+};
+
+/**
+ * Fetch day-ahead prices from ENTSO-E API
+ * @param {string} apiToken - ENTSO-E API token
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @param {Object} [options] - Request options
+ * @param {string} [options.zone] - Bidding zone alias or EIC code (default: 'NL')
+ * @param {string} [options.preferResolution] - 'PT15M' or 'PT60M' (default: finest available)
+ * @returns {Promise<Array>} Array of price data
+ */
+const fetchDayAheadPrices = async (apiToken, startDate, endDate, options = {}) => {
+  const { prices } = await fetchDayAheadData(apiToken, startDate, endDate, options);
+  return prices;
+};
+
+/**
+ * Categorize prices as past, current, or future relative to a point in time
+ * The current entry is the slot that contains now, so the result does not depend on the
+ * server timezone and works for any resolution.
+ * @param {Array} prices - Price entries
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array} New price entries with a period property
+ */
+const categorizePrices = (prices, now) => {
+  return prices.map(p => {
+    const start = new Date(p.timestamp).getTime();
+    const end = start + (p.resolutionMinutes || 60) * 60 * 1000;
     
     let period;
-    if (priceTimeMs < currentHourTime) {
+    if (end <= now) {
       period = 'past';
-    } else if (priceTimeMs === currentHourTime) {
+    } else if (start <= now) {
       period = 'current';
     } else {
       period = 'future';
@@ -186,31 +539,366 @@ const getPriceData = async (apiToken) => {
       period
     };
   });
+};
+
+/**
+ * Combine the quality reports of several fetches
+ * @param {Array} reports - Quality reports from parseEntsoeResponse()
+ * @returns {Object} Combined quality report
+ */
+const mergeQualityReports = (reports) => ({
+  resolution: (reports.find(r => r.resolution) || {}).resolution || null,
+  availableResolutions: [...new Set(reports.flatMap(r => r.availableResolutions))],
+  duplicates: reports.flatMap(r => r.duplicates),
+  conflicts: reports.flatMap(r => r.conflicts),
+  gaps: reports.flatMap(r => r.gaps)
+});
+
+/**
+ * Check that prices cover a whole delivery day without gaps
+ * @param {Array} prices - Deduplicated prices within the day
+ * @param {Object} day - { start, end } in milliseconds
+ * @returns {boolean} True when the covered time equals the length of the day (23, 24 or 25 hours)
+ */
+const isCompleteDay = (prices, day) => {
+  const covered = prices.reduce((sum, p) => sum + (p.resolutionMinutes || 60) * 60 * 1000, 0);
+  return covered === day.end - day.start;
+};
+
+/**
+ * Split a time range into chunks of at most one local calendar year
+ * ENTSO-E rejects requests that span more than one year.
+ * @param {number} from - Range start in milliseconds
+ * @param {number} to - Range end in milliseconds (exclusive)
+ * @param {string} timeZone - IANA timezone the years are counted in
+ * @returns {Array} Chunks as { start, end } in milliseconds
+ */
+const splitIntoYears = (from, to, timeZone) => {
+  const chunks = [];
+  for (let start = from; start < to;) {
+    const { year, month, day, hour, minute } = getZonedParts(start, timeZone);
+    const end = Math.min(to, zonedTimeToUtc({ year: year + 1, month, day, hour, minute }, timeZone));
+    chunks.push({ start, end });
+    start = end;
+  }
+  return chunks;
+};
+
+/**
+ * Fetch a time range of any length, one request per year, and merge the results
+ * Chunks that lie ahead and are not published yet are skipped.
+ * @param {string} apiToken - ENTSO-E API token
+ * @param {Object} options - Resolved zone, from/to (ms) and now, plus request options
+ * @returns {Promise<Object>} { prices, quality }
+ */
+const fetchRange = async (apiToken, options) => {
+  const { zone, from, to, now } = options;
+  const seen = new Set();
+  const prices = [];
+  const reports = [];
+
+  for (const chunk of splitIntoYears(from, to, zone.timeZone)) {
+    try {
+      const result = await fetchDayAheadData(apiToken, new Date(chunk.start), new Date(chunk.end), {
+        zone,
+        preferResolution: options.preferResolution,
+        retry: options.retry,
+        rateLimiter: options.rateLimiter
+      });
+      // Documents cover whole delivery days, so neighbouring chunks may repeat a slot
+      for (const price of result.prices) {
+        if (seen.has(price.timestamp)) continue;
+        seen.add(price.timestamp);
+        prices.push(price);
+      }
+      reports.push(result.quality);
+    } catch (error) {
+      // Days that lie ahead may simply not be published yet
+      if (error instanceof EntsoeNoDataError && chunk.start > now) continue;
+      throw error;
+    }
+  }
+
+  return {
+    prices,
+    quality: mergeQualityReports(reports)
+  };
+};
+
+/**
+ * Read delivery days from a price store and fetch only the days it does not have
+ * Missing days are fetched in contiguous ranges; complete fetched days are written back.
+ * @param {string} apiToken - ENTSO-E API token
+ * @param {Object} options - Resolved zone, store, from/to (ms) and now, plus request options
+ * @returns {Promise<Object>} { prices, quality } where quality also lists storedDays
+ */
+const fetchWithStore = async (apiToken, options) => {
+  const { store, zone, from, to } = options;
+  const days = listZonedDays(from, to, zone.timeZone);
+
+  const storedPrices = [];
+  const storedDays = [];
+  const ranges = [];
+
+  for (const day of days) {
+    const dayPrices = await store.getDay(zone.id, day.day);
+    if (dayPrices) {
+      storedPrices.push(...dayPrices);
+      storedDays.push(day.day);
+      continue;
+    }
+
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === day.start) {
+      last.end = day.end;
+    } else {
+      ranges.push({ start: day.start, end: day.end });
+    }
+  }
+
+  const fetchedPrices = [];
+  const reports = [];
+
+  for (const range of ranges) {
+    const { prices, quality } = await fetchRange(apiToken, { ...options, from: range.start, to: range.end });
+    fetchedPrices.push(...prices);
+    reports.push(quality);
+  }
+
+  // Keep complete delivery days so they are never fetched again
+  for (const day of days.filter(d => !storedDays.includes(d.day))) {
+    const dayPrices = fetchedPrices.filter(p => getZonedDay(new Date(p.timestamp), zone.timeZone) === day.day);
+    if (isCompleteDay(dayPrices, day)) {
+      await store.putDay(zone.id, day.day, dayPrices);
+    }
+  }
+
+  const prices = [...storedPrices, ...fetchedPrices]
+    .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+
+  return {
+    prices,
+    quality: {
+      ...mergeQualityReports(reports),
+      storedDays
+    }
+  };
+};
+
+/**
+ * Get stored prices for a time range without contacting the API
+ * @param {Object} options - Options
+ * @param {Object} options.store - Price store (see price-store.js)
+ * @param {string} [options.zone] - Bidding zone alias or EIC code (default: 'NL')
+ * @param {Date|number} options.from - Range start
+ * @param {Date|number} options.to - Range end (exclusive)
+ * @returns {Promise<Array>} Stored prices within the range, sorted by timestamp
+ */
+const getStoredPrices = async (options) => {
+  const zone = resolveZone(options.zone);
+  const from = new Date(options.from).getTime();
+  const to = new Date(options.to).getTime();
+  const prices = [];
+
+  for (const day of listZonedDays(from, to, zone.timeZone)) {
+    const dayPrices = await options.store.getDay(zone.id, day.day);
+    if (dayPrices) {
+      prices.push(...dayPrices.filter(p => {
+        const time = new Date(p.timestamp).getTime();
+        return time >= from && time < to;
+      }));
+    }
+  }
+
+  return prices.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+};
+
+/**
+ * Get prices for an arbitrary time range
+ * The range is widened to whole local delivery days (so DST days hold 23 or 25 hours),
+ * fetched in chunks of at most one year and trimmed back to the requested range.
+ * Results are not cached; pass a store to avoid refetching days.
+ * @param {string} apiToken - ENTSO-E API token
+ * @param {Object} options - Options
+ * @param {Date|number|string} options.from - Range start
+ * @param {Date|number|string} options.to - Range end (exclusive)
+ * @param {string} [options.zone] - Bidding zone alias or EIC code (default: 'NL')
+ * @param {string} [options.preferResolution] - 'PT15M' or 'PT60M' (default: finest available)
+ * @param {Object} [options.store] - Persistent price store; only days it does not hold are fetched
+ * @param {Function} [options.clock] - Returns the current time in milliseconds (default: Date.now)
+ * @param {Object|boolean} [options.retry] - { retries, baseDelayMs, maxDelayMs }, or false to disable retries
+ * @param {Object} [options.rateLimiter] - Limiter from createRateLimiter() (default: shared limiter per token)
+ * @returns {Promise<Array>} Categorized prices within the range, sorted by timestamp
+ */
+const getPrices = async (apiToken, options) => {
+  const zone = resolveZone(options.zone);
+  const from = new Date(options.from).getTime();
+  const to = new Date(options.to).getTime();
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    throw new Error('Invalid range: from and to must be dates with from before to');
+  }
+
+  const now = (options.clock || Date.now)();
+  const rangeOptions = {
+    ...options,
+    zone,
+    now,
+    from: startOfZonedDay(from, zone.timeZone),
+    to: startOfZonedDay(to - 1, zone.timeZone, 1)
+  };
+
+  const { prices } = options.store
+    ? await fetchWithStore(apiToken, rangeOptions)
+    : await fetchRange(apiToken, rangeOptions);
+
+  const inRange = prices
+    .filter(p => {
+      const time = new Date(p.timestamp).getTime();
+      return time >= from && time < to;
+    })
+    .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+
+  return categorizePrices(inRange, now);
+};
+
+/**
+ * Fetch yesterday through tomorrow (local delivery days) and store the prices in the cache
+ * The entry expires when the next auction result is expected (see market-calendar.js).
+ * With a price store, only the delivery days it does not hold yet are requested.
+ * @param {string} apiToken - ENTSO-E API token
+ * @param {Object} options - Resolved zone, preferResolution, cache and now, plus request options
+ * @returns {Promise<Array>} Uncategorized price data
+ */
+const loadPriceData = async (apiToken, options) => {
+  const { zone, preferResolution, cache, now } = options;
+
+  // Start from yesterday to ensure we have past data, end after tomorrow to get future prices
+  const from = startOfZonedDay(now, zone.timeZone, -1);
+  const to = startOfZonedDay(now, zone.timeZone, 2);
+
+  const { prices, quality } = options.store
+    ? await fetchWithStore(apiToken, { ...options, from, to })
+    : await fetchDayAheadData(apiToken, new Date(from), new Date(to), {
+      zone,
+      preferResolution,
+      retry: options.retry,
+      rateLimiter: options.rateLimiter
+    });
 
   // Update cache
-  priceCache = {
-    data: categorizedPrices,
-    timestamp: now
+  cache[zone.code] = {
+    data: prices,
+    quality,
+    preferResolution,
+    timestamp: now,
+    expiresAt: getCacheExpiry(prices, now, {
+      timeZone: zone.timeZone,
+      pollIntervalMs: options.pollIntervalMs
+    })
   };
 
-  return categorizedPrices;
+  return prices;
 };
 
 /**
- * Clear the price cache (useful for testing)
+ * Get cached price data or fetch new data
+ * Fetches data from yesterday to tomorrow to have comprehensive coverage. Prices are
+ * categorized as past, current or future on every call, so cached data never goes stale.
+ * @param {string} apiToken - ENTSO-E API token
+ * @param {Object} [options] - Request options
+ * @param {string} [options.zone] - Bidding zone alias or EIC code (default: 'NL')
+ * @param {string} [options.preferResolution] - 'PT15M' or 'PT60M' (default: finest available)
+ * @param {Object} [options.cache] - Price cache from createPriceCache() (default: shared module cache)
+ * @param {Function} [options.clock] - Returns the current time in milliseconds (default: Date.now)
+ * @param {number} [options.pollIntervalMs] - Refetch interval while tomorrow's prices are overdue (default: 5 minutes)
+ * @param {Object} [options.store] - Persistent price store; only days it does not hold are fetched
+ * @param {Object|boolean} [options.retry] - { retries, baseDelayMs, maxDelayMs }, or false to disable retries
+ * @param {Object} [options.rateLimiter] - Limiter from createRateLimiter() (default: shared limiter per token)
+ * @returns {Promise<Array>} Categorized price data
+ */
+const getPriceData = async (apiToken, options = {}) => {
+  const zone = resolveZone(options.zone);
+  const cache = options.cache || priceCache;
+  const clock = options.clock || Date.now;
+  const now = clock();
+  const preferResolution = options.preferResolution || null;
+  const cached = cache[zone.code];
+  
+  // Check if cache is still valid and was fetched with the same resolution preference
+  if (cached && cached.data && cached.preferResolution === preferResolution && now < cached.expiresAt) {
+    return categorizePrices(cached.data, now);
+  }
+
+  // Share one in-flight request between concurrent callers
+  if (!inFlightRequests.has(cache)) {
+    inFlightRequests.set(cache, new Map());
+  }
+  const requests = inFlightRequests.get(cache);
+  const requestKey = `${zone.code}|${preferResolution || ''}`;
+
+  if (!requests.has(requestKey)) {
+    const request = loadPriceData(apiToken, { ...options, zone, preferResolution, cache, now })
+      .finally(() => requests.delete(requestKey));
+    requests.set(requestKey, request);
+  }
+
+  return categorizePrices(await requests.get(requestKey), now);
+};
+
+/**
+ * Get the data-quality report of the most recent fetch for a zone
+ * @param {Object} [options] - Options
+ * @param {string} [options.zone] - Bidding zone alias or EIC code (default: 'NL')
+ * @param {Object} [options.cache] - Price cache from createPriceCache() (default: shared module cache)
+ * @returns {Object|null} Quality report with fetch and expiry time, or null when nothing was fetched yet
  */
-const clearCache = () => {
-  priceCache = {
-    data: null,
-    timestamp: null,
-    expiryMs: 60 * 60 * 1000
+const getDataQuality = (options = {}) => {
+  const zone = resolveZone(options.zone);
+  const cached = (options.cache || priceCache)[zone.code];
+  if (!cached || !cached.quality) {
+    return null;
+  }
+  return {
+    zone: zone.id,
+    fetchedAt: new Date(cached.timestamp).toISOString(),
+    expiresAt: new Date(cached.expiresAt).toISOString(),
+    ...cached.quality
   };
 };
 
+/**
+ * Clear the price cache (useful for testing)
+ * @param {string} [zone] - Only clear this bidding zone (default: all zones)
+ * @param {Object} [cache] - Price cache to clear (default: shared module cache)
+ */
+const clearCache = (zone, cache = priceCache) => {
+  const codes = zone ? [resolveZone(zone).code] : Object.keys(cache);
+  for (const code of codes) {
+    delete cache[code];
+  }
+};
+
 module.exports = {
+  RESOLUTION_MINUTES,
+  DEFAULT_RETRY,
+  EntsoeError,
+  EntsoeAuthError,
+  EntsoeNoDataError,
+  EntsoeRateLimitError,
+  EntsoeNetworkError,
   fetchDayAheadPrices,
+  fetchDayAheadData,
   getPriceData,
+  getPrices,
+  getDataQuality,
+  getStoredPrices,
+  createPriceCache,
+  createRateLimiter,
+  getRateLimiter,
+  priceCache,
   clearCache,
   parseEntsoeXml,
+  parseEntsoeResponse,
+  categorizePrices,
   formatEntsoeDate
 };
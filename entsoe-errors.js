@@ -0,0 +1,58 @@
+/**
+ * Typed errors for ENTSO-E Transparency Platform API failures
+ * Every error carries the acknowledgement reason (when ENTSO-E sent one) and the requested period
+ */
+
+/**
+ * Base class for all ENTSO-E API errors
+ */
+class EntsoeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {string} [details.code] - Acknowledgement reason code (e.g. '999') or network error code
+   * @param {string} [details.reason] - Acknowledgement reason text
+   * @param {number} [details.status] - HTTP status code
+   * @param {Object} [details.period] - Requested period as { start, end } ISO timestamps
+   * @param {string} [details.zone] - Requested bidding zone alias
+   * @param {number} [details.retryAfterMs] - Delay requested by the server's Retry-After header
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = details.code || null;
+    this.reason = details.reason || null;
+    this.status = details.status || null;
+    this.period = details.period || null;
+    this.zone = details.zone || null;
+    this.retryAfterMs = details.retryAfterMs === undefined ? null : details.retryAfterMs;
+  }
+}
+
+/**
+ * The security token is missing, invalid or revoked (HTTP 401/403)
+ */
+class EntsoeAuthError extends EntsoeError {}
+
+/**
+ * ENTSO-E has no data for the requested period, e.g. tomorrow is not published yet (reason code 999)
+ */
+class EntsoeNoDataError extends EntsoeError {}
+
+/**
+ * The request was throttled (HTTP 429)
+ */
+class EntsoeRateLimitError extends EntsoeError {}
+
+/**
+ * The API could not be reached or did not respond
+ */
+class EntsoeNetworkError extends EntsoeError {}
+
+module.exports = {
+  EntsoeError,
+  EntsoeAuthError,
+  EntsoeNoDataError,
+  EntsoeRateLimitError,
+  EntsoeNetworkError
+};
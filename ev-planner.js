@@ -0,0 +1,112 @@
+/**
+ * Electric vehicle charging
+ * Charges the energy needed to reach the target state of charge in the cheapest quarter hours
+ * before departure. Charging cost is linear in power, so filling the cheapest quarters at full
+ * power (the last one partly) is optimal. When the priced quarters cannot deliver enough energy,
+ * the car charges as fast as possible from plug-in instead.
+ */
+
+const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+/**
+ * Validate an EV configuration and apply defaults
+ * @param {Object} config - EV configuration
+ * @param {number} config.batteryKwh - Battery capacity
+ * @param {number} config.currentSoc - State of charge at plug-in as a fraction
+ * @param {number} [config.targetSoc] - State of charge wanted at departure as a fraction (default: 1)
+ * @param {number|Object} config.chargerKw - Charger power, or power per phase count such as { 1: 3.7, 3: 11 }
+ * @param {number} [config.phases] - Phase count to charge on when chargerKw is per phase count (default: the most powerful)
+ * @param {number} [config.chargingEfficiency] - Fraction of grid energy that ends up in the battery (default: 0.9)
+ * @returns {Object} Normalized EV with chargerKw resolved to a number
+ * @throws {Error} When a setting is out of range
+ */
+const normalizeEv = (config = {}) => {
+  const { batteryKwh, currentSoc, targetSoc = 1, chargingEfficiency = 0.9 } = config;
+  let { chargerKw, phases } = config;
+
+  if (typeof batteryKwh !== 'number' || !(batteryKwh > 0)) {
+    throw new Error(`Invalid EV batteryKwh: ${batteryKwh}`);
+  }
+  for (const [name, value] of Object.entries({ currentSoc, targetSoc })) {
+    if (!isFraction(value)) {
+      throw new Error(`Invalid EV ${name}: ${value} (expected a fraction such as 0.8)`);
+    }
+  }
+  if (typeof chargingEfficiency !== 'number' || !(chargingEfficiency > 0 && chargingEfficiency <= 1)) {
+    throw new Error(`Invalid EV chargingEfficiency: ${chargingEfficiency} (expected a fraction such as 0.9)`);
+  }
+
+  if (chargerKw && typeof chargerKw === 'object') {
+    const byPhases = chargerKw;
+    if (phases === undefined) {
+      phases = Number(Object.keys(byPhases).reduce((best, key) => (byPhases[key] > byPhases[best] ? key : best)));
+    }
+    chargerKw = byPhases[phases];
+    if (chargerKw === undefined) {
+      throw new Error(`No charger power configured for ${phases} phase(s)`);
+    }
+  }
+  if (typeof chargerKw !== 'number' || !(chargerKw > 0)) {
+    throw new Error(`Invalid EV chargerKw: ${chargerKw}`);
+  }
+
+  return { batteryKwh, currentSoc, targetSoc, chargerKw, phases: phases === undefined ? null : phases, chargingEfficiency };
+};
+
+/**
+ * Get the grid energy needed to reach the target state of charge
+ * @param {Object} ev - Normalized EV
+ * @returns {number} Energy in kWh drawn from the grid
+ */
+const getNeededGridKwh = (ev) => Math.max(0, ev.targetSoc - ev.currentSoc) * ev.batteryKwh / ev.chargingEfficiency;
+
+/**
+ * Charge at full power from the first quarter until the energy is delivered
+ * @param {number} count - Number of quarters until departure
+ * @param {number} neededKwh - Grid energy to deliver
+ * @param {number} chargerKw - Charger power
+ * @returns {Array} Charge power in kW per quarter
+ */
+const chargeImmediately = (count, neededKwh, chargerKw) => {
+  let remaining = neededKwh;
+  return Array.from({ length: count }, () => {
+    const kwh = Math.min(chargerKw / 4, Math.max(0, remaining));
+    remaining -= kwh;
+    return kwh * 4;
+  });
+};
+
+/**
+ * Plan charging over the quarters until departure
+ * @param {Array} quarters - Consecutive quarters as { start, end, price }; price null when unknown
+ * @param {Object} ev - Normalized EV
+ * @returns {Object} { powers, fallback } with charge power in kW per quarter; fallback is true when
+ *   the priced quarters cannot deliver the energy and the car charges as fast as possible
+ */
+const planEvCharging = (quarters, ev) => {
+  const neededKwh = getNeededGridKwh(ev);
+  const quarterKwh = ev.chargerKw / 4;
+  const priced = quarters.map((quarter, i) => i).filter(i => quarters[i].price !== null);
+
+  if (priced.length * quarterKwh < neededKwh - 1e-9) {
+    return { powers: chargeImmediately(quarters.length, neededKwh, ev.chargerKw), fallback: true };
+  }
+
+  const powers = new Array(quarters.length).fill(0);
+  let remaining = neededKwh;
+  const cheapestFirst = priced.sort((a, b) => quarters[a].price - quarters[b].price || a - b);
+  for (const i of cheapestFirst) {
+    if (remaining <= 1e-9) break;
+    const kwh = Math.min(quarterKwh, remaining);
+    powers[i] = kwh * 4;
+    remaining -= kwh;
+  }
+  return { powers, fallback: false };
+};
+
+module.exports = {
+  normalizeEv,
+  getNeededGridKwh,
+  chargeImmediately,
+  planEvCharging
+};
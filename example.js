@@ -12,8 +12,10 @@ const {
   getCurrentPrice,
   getPastPrices,
   getFuturePrices,
+  getPriceStatistics,
   recommendBestTime
 } = require('./powerpricecheck.js');
+const { summarizePrices } = require('./price-statistics.js');
 
 async function runExamples() {
   console.log('='.repeat(60));
@@ -31,15 +33,22 @@ async function runExamples() {
   console.log('\n2. Past 12 Hours of Prices:');
   const pastPrices = await getPastPrices(12);
   console.log(`   Retrieved ${pastPrices.length} historical data points`);
-  console.log(`   Price range: ${Math.min(...pastPrices.map(p => p.price)).toFixed(2)} - ${Math.max(...pastPrices.map(p => p.price)).toFixed(2)} cents/kWh`);
-  console.log(`   Average: ${(pastPrices.reduce((sum, p) => sum + p.price, 0) / pastPrices.length).toFixed(2)} cents/kWh`);
+  if (pastPrices.length > 0) {
+    const pastStats = summarizePrices(pastPrices);
+    console.log(`   Price range: ${pastStats.min.toFixed(2)} - ${pastStats.max.toFixed(2)} cents/kWh`);
+    console.log(`   Average: ${pastStats.mean.toFixed(2)} cents/kWh`);
+  }
 
-  // Example 3: Get future 24 hours of prices
+  // Example 3: Get the prices of the next 24 hours, whatever their resolution
   console.log('\n3. Future 24 Hours of Prices:');
   const futurePrices = await getFuturePrices(24);
   console.log(`   Retrieved ${futurePrices.length} forecast data points`);
-  console.log(`   Price range: ${Math.min(...futurePrices.map(p => p.price)).toFixed(2)} - ${Math.max(...futurePrices.map(p => p.price)).toFixed(2)} cents/kWh`);
-  console.log(`   Average: ${(futurePrices.reduce((sum, p) => sum + p.price, 0) / futurePrices.length).toFixed(2)} cents/kWh`);
+  if (futurePrices.length > 0) {
+    const futureStats = summarizePrices(futurePrices);
+    console.log(`   Price range: ${futureStats.min.toFixed(2)} - ${futureStats.max.toFixed(2)} cents/kWh`);
+    console.log(`   Average: ${futureStats.mean.toFixed(2)} cents/kWh`);
+    console.log(`   Median: ${futureStats.median.toFixed(2)}, 10th-90th percentile: ${futureStats.percentiles.p10.toFixed(2)} - ${futureStats.percentiles.p90.toFixed(2)} cents/kWh`);
+  }
 
   // Example 4: Recommend best time for 1-hour appliance
   console.log('\n4. Best Time for 1-Hour Appliance (e.g., dishwasher):');
@@ -65,6 +74,13 @@ async function runExamples() {
   console.log(`   ${rec6h.message}`);
   console.log(`   Best hour in next 6 hours: Hour ${rec6h.recommendation.startHour}`);
 
+  // Example 7: How the current price ranks today and tomorrow
+  console.log('\n7. Current Price Rank - Today and Tomorrow:');
+  const stats = await getPriceStatistics();
+  console.log(`   Rank ${stats.current.rank} of ${stats.current.count} (${stats.current.percentile}th percentile)`);
+  console.log(`   Cheapest slot: ${new Date(stats.cheapestSlots[0].timestamp).toLocaleString()} at ${stats.cheapestSlots[0].price} ${stats.unit}`);
+  console.log(`   Peak/off-peak spread: ${stats.peakSpread} ${stats.unit}`);
+
   console.log('\n' + '='.repeat(60));
 }
 
@@ -18,7 +18,7 @@ function inspectCache() {
     
     const now = Date.now();
     const cacheAge = Math.round((now - cache.timestamp) / 1000); // seconds
-    const timeUntilExpiry = Math.round((cache.timestamp + cache.cacheLifespanMs - now) / 1000); // seconds
+    const timeUntilExpiry = Math.round((new Date(cache.expiresAt).getTime() - now) / 1000); // seconds
     
     const summary = {
         status: 'cache_found',
@@ -27,6 +27,7 @@ function inspectCache() {
         expiresAt: cache.expiresAt,
         timeUntilExpiry: `${timeUntilExpiry} seconds`,
         priceCount: cache.priceCount,
+        range: cache.rangeStart ? `${new Date(cache.rangeStart).toISOString()} to ${new Date(cache.rangeEnd).toISOString()}` : 'unknown',
         isExpired: timeUntilExpiry < 0,
         firstPrice: cache.data[0],
         lastPrice: cache.data[cache.data.length - 1]
@@ -0,0 +1,290 @@
+/**
+ * Heat pump pre-heating
+ * The home is a first-order thermal model: one thermal capacity (kWh/K) losing heat to the
+ * outdoor air through one heat loss coefficient (kW/K). The heat pump adds its electrical power
+ * times the COP at the outdoor temperature. Within each slot the indoor temperature follows the
+ * exact exponential response, so long slots stay accurate. The plan is found with dynamic
+ * programming over temperature buckets; each bucket keeps the exact temperature of its cheapest
+ * path, so rounding does not build up over time.
+ */
+
+const { getSolarShare, getEffectivePrice } = require('./solar.js');
+
+const DEFAULT_TEMP_STEP = 0.05;
+
+// Penalty in €cents per degree-hour below the comfort minimum, large enough to outweigh any price
+const UNDERHEAT_PENALTY = 1e6;
+
+// Upper bound on slots × temperature buckets, keeping memory use of the plan table around 15 MB
+const MAX_TABLE_SIZE = 2500000;
+
+const EPSILON = 1e-9;
+
+const isPositive = (value) => typeof value === 'number' && value > 0;
+
+/**
+ * Build a COP function from a constant, a function or a table
+ * @param {number|Function|Array} cop - COP, function of the outdoor temperature, or points as
+ *   [{ outdoorTemp, cop }] interpolated linearly and held constant beyond the ends
+ * @returns {Function} Outdoor temperature to COP
+ * @throws {Error} When the COP is malformed
+ */
+const toCopFunction = (cop) => {
+  if (typeof cop === 'function') return cop;
+  if (isPositive(cop)) return () => cop;
+  if (Array.isArray(cop) && cop.length > 0 && cop.every(p => p && typeof p.outdoorTemp === 'number' && isPositive(p.cop))) {
+    const points = [...cop].sort((a, b) => a.outdoorTemp - b.outdoorTemp);
+    return (outdoorTemp) => {
+      if (outdoorTemp <= points[0].outdoorTemp) return points[0].cop;
+      const upper = points.findIndex(p => p.outdoorTemp >= outdoorTemp);
+      if (upper === -1) return points[points.length - 1].cop;
+      const a = points[upper - 1];
+      const b = points[upper];
+      return a.cop + (b.cop - a.cop) * (outdoorTemp - a.outdoorTemp) / (b.outdoorTemp - a.outdoorTemp);
+    };
+  }
+  throw new Error('Invalid heat pump cop: expected a number, a function or [{ outdoorTemp, cop }]');
+};
+
+/**
+ * Validate a heat pump and home configuration and apply defaults
+ * @param {Object} config - Heat pump and home
+ * @param {number} config.heatLossCoefficient - Heat loss of the home in kW per kelvin of indoor-outdoor difference
+ * @param {number} config.thermalCapacity - Heat stored in the home or buffer in kWh per kelvin
+ * @param {number|Function|Array} config.cop - COP, function of the outdoor temperature, or [{ outdoorTemp, cop }]
+ * @param {number} config.maxPowerKw - Electrical power at full output
+ * @param {number} [config.powerLevels] - Number of output steps above off (default: 1, on/off)
+ * @param {number} config.comfortMin - Lowest indoor temperature in °C
+ * @param {number} config.comfortMax - Highest indoor temperature in °C the heat pump may heat to
+ * @param {number} config.indoorTemp - Indoor temperature now in °C
+ * @returns {Object} Normalized heat pump with copAt(outdoorTemp)
+ * @throws {Error} When a setting is out of range
+ */
+const normalizeHeatPump = (config = {}) => {
+  const { heatLossCoefficient, thermalCapacity, maxPowerKw, powerLevels = 1, comfortMin, comfortMax, indoorTemp } = config;
+
+  for (const [name, value] of Object.entries({ heatLossCoefficient, thermalCapacity, maxPowerKw })) {
+    if (!isPositive(value)) {
+      throw new Error(`Invalid heat pump ${name}: ${value}`);
+    }
+  }
+  if (!Number.isInteger(powerLevels) || powerLevels < 1) {
+    throw new Error(`Invalid heat pump powerLevels: ${powerLevels}`);
+  }
+  for (const [name, value] of Object.entries({ comfortMin, comfortMax, indoorTemp })) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Invalid heat pump ${name}: ${value}`);
+    }
+  }
+  if (comfortMin >= comfortMax) {
+    throw new Error(`Invalid comfort range: ${comfortMin} - ${comfortMax} °C`);
+  }
+
+  return {
+    heatLossCoefficient,
+    thermalCapacity,
+    copAt: toCopFunction(config.cop),
+    maxPowerKw,
+    powerLevels,
+    comfortMin,
+    comfortMax,
+    indoorTemp
+  };
+};
+
+/**
+ * Get the outdoor temperature at a time from a series
+ * Values are interpolated linearly and held constant before the first and after the last point.
+ * @param {Array} series - Points as { timestamp, temperature }, timestamp a Date, milliseconds or ISO string
+ * @param {number} time - Time in milliseconds
+ * @returns {number} Temperature in °C
+ */
+const outdoorTempAt = (series, time) => {
+  const points = series.map(p => ({ time: new Date(p.timestamp).getTime(), temperature: p.temperature }));
+  if (time <= points[0].time) return points[0].temperature;
+  const upper = points.findIndex(p => p.time >= time);
+  if (upper === -1) return points[points.length - 1].temperature;
+  const a = points[upper - 1];
+  const b = points[upper];
+  return a.temperature + (b.temperature - a.temperature) * (time - a.time) / (b.time - a.time);
+};
+
+/**
+ * Validate and sort an outdoor temperature series
+ * @param {Array} series - Points as { timestamp, temperature }
+ * @returns {Array} Points sorted by time
+ * @throws {Error} When the series is empty or malformed
+ */
+const normalizeOutdoorSeries = (series) => {
+  if (!Array.isArray(series) || series.length === 0) {
+    throw new Error('Outdoor temperatures are required as [{ timestamp, temperature }]');
+  }
+  for (const point of series) {
+    if (!point || isNaN(new Date(point.timestamp).getTime()) || typeof point.temperature !== 'number') {
+      throw new Error(`Invalid outdoor temperature point: ${JSON.stringify(point)}`);
+    }
+  }
+  return [...series].sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+};
+
+/**
+ * Calculate the indoor temperature at the end of a slot
+ * @param {Object} heatPump - Normalized heat pump
+ * @param {number} temp - Indoor temperature at the start in °C
+ * @param {number} heatKw - Heat delivered by the heat pump
+ * @param {number} outdoorTemp - Outdoor temperature in °C
+ * @param {number} hours - Slot length
+ * @returns {number} Indoor temperature at the end in °C
+ */
+const nextTemperature = (heatPump, temp, heatKw, outdoorTemp, hours) => {
+  const { heatLossCoefficient, thermalCapacity } = heatPump;
+  const equilibrium = outdoorTemp + heatKw / heatLossCoefficient;
+  return equilibrium + (temp - equilibrium) * Math.exp(-heatLossCoefficient * hours / thermalCapacity);
+};
+
+/**
+ * Describe running at a power level in a slot
+ * @param {Object} heatPump - Normalized heat pump
+ * @param {Object} slot - Slot as { start, end, price, outdoorTemp }, with surplusKw and exportPrice
+ *   when a PV surplus can cover part of the load
+ * @param {number} temp - Indoor temperature at the start in °C
+ * @param {number} level - Power level, 0 for off
+ * @returns {Object} { powerKw, heatKw, cop, temp, cost, solarKwh, underheat } with the cost in €cents
+ *   and underheat in degree-hours below the comfort minimum at the end of the slot
+ */
+const runSlot = (heatPump, slot, temp, level) => {
+  const hours = (slot.end - slot.start) / 3600000;
+  const cop = heatPump.copAt(slot.outdoorTemp);
+  const powerKw = heatPump.maxPowerKw * level / heatPump.powerLevels;
+  const heatKw = powerKw * cop;
+  const end = nextTemperature(heatPump, temp, heatKw, slot.outdoorTemp, hours);
+  return {
+    powerKw,
+    heatKw,
+    cop,
+    temp: end,
+    cost: powerKw * hours * (slot.surplusKw ? getEffectivePrice(slot, powerKw) : slot.price),
+    solarKwh: powerKw * hours * getSolarShare(slot.surplusKw || 0, powerKw),
+    underheat: Math.max(0, heatPump.comfortMin - end) * hours
+  };
+};
+
+/**
+ * Plan heating over consecutive priced slots at the lowest cost within the comfort range
+ * Heating never pushes the temperature above comfortMax. When comfortMin cannot be held, the
+ * plan keeps the shortfall (in degree-hours) as small as possible before looking at cost.
+ * @param {Array} slots - Slots as { start, end, price, outdoorTemp } in milliseconds, €cents/kWh and °C
+ * @param {Object} heatPump - Normalized heat pump
+ * @param {Object} [options] - Options
+ * @param {number} [options.tempStep] - Width of the temperature buckets in kelvin (default: 0.05)
+ * @returns {Object} { steps: [{ slot, powerKw, heatKw, cop, tempStart, tempEnd, cost, solarKwh, underheat }], cost, underheat }
+ *   with costs in €cents and underheat in degree-hours below comfortMin
+ * @throws {Error} When the planning table would be too large
+ */
+const planHeating = (slots, heatPump, options = {}) => {
+  const { tempStep = DEFAULT_TEMP_STEP } = options;
+  const outdoor = slots.map(slot => slot.outdoorTemp);
+  const low = Math.min(heatPump.indoorTemp, heatPump.comfortMin, ...outdoor) - 1;
+  const high = Math.max(heatPump.indoorTemp, heatPump.comfortMax, ...outdoor) + 1;
+  const count = Math.ceil((high - low) / tempStep) + 1;
+  if (slots.length * count > MAX_TABLE_SIZE) {
+    throw new Error('Heat pump plan is too large: shorten the look-ahead or raise tempStep');
+  }
+  const bucketOf = (temp) => Math.min(count - 1, Math.max(0, Math.round((temp - low) / tempStep)));
+
+  let costs = new Float64Array(count).fill(Infinity);
+  let temps = new Float64Array(count);
+  const start = bucketOf(heatPump.indoorTemp);
+  costs[start] = 0;
+  temps[start] = heatPump.indoorTemp;
+  const parents = [];
+
+  for (const slot of slots) {
+    const nextCosts = new Float64Array(count).fill(Infinity);
+    const nextTemps = new Float64Array(count);
+    const parent = new Int32Array(count).fill(-1);
+    const levels = new Int16Array(count);
+
+    for (let bucket = 0; bucket < count; bucket++) {
+      if (costs[bucket] === Infinity) continue;
+      // Off first so that it wins ties
+      for (let level = 0; level <= heatPump.powerLevels; level++) {
+        const run = runSlot(heatPump, slot, temps[bucket], level);
+        if (level > 0 && run.temp > heatPump.comfortMax + EPSILON) break;
+        const cost = costs[bucket] + run.cost + run.underheat * UNDERHEAT_PENALTY;
+        const to = bucketOf(run.temp);
+        if (cost < nextCosts[to] - EPSILON) {
+          nextCosts[to] = cost;
+          nextTemps[to] = run.temp;
+          parent[to] = bucket;
+          levels[to] = level;
+        }
+      }
+    }
+    parents.push({ parent, levels });
+    costs = nextCosts;
+    temps = nextTemps;
+  }
+
+  let best = -1;
+  for (let bucket = 0; bucket < count; bucket++) {
+    if (costs[bucket] !== Infinity && (best === -1 || costs[bucket] < costs[best] - EPSILON)) best = bucket;
+  }
+
+  // Walk back to the chosen power levels, then replay them for the exact figures
+  const chosen = [];
+  for (let i = slots.length - 1, bucket = best; i >= 0; i--) {
+    chosen.unshift(parents[i].levels[bucket]);
+    bucket = parents[i].parent[bucket];
+  }
+  return replayHeating(slots, heatPump, chosen);
+};
+
+/**
+ * Replay power levels through the thermal model
+ * @param {Array} slots - Slots as for planHeating()
+ * @param {Object} heatPump - Normalized heat pump
+ * @param {Array} levels - Power level per slot
+ * @returns {Object} Plan as from planHeating()
+ */
+const replayHeating = (slots, heatPump, levels) => {
+  let temp = heatPump.indoorTemp;
+  const steps = slots.map((slot, i) => {
+    const run = runSlot(heatPump, slot, temp, levels[i]);
+    const { powerKw, heatKw, cop, cost, solarKwh, underheat } = run;
+    const step = { slot, powerKw, heatKw, cop, tempStart: temp, tempEnd: run.temp, cost, solarKwh, underheat };
+    temp = run.temp;
+    return step;
+  });
+  return {
+    steps,
+    cost: steps.reduce((sum, step) => sum + step.cost, 0),
+    underheat: steps.reduce((sum, step) => sum + step.underheat, 0)
+  };
+};
+
+/**
+ * Heat like a thermostat: the lowest power that keeps comfortMin, whatever the price
+ * @param {Array} slots - Slots as for planHeating()
+ * @param {Object} heatPump - Normalized heat pump
+ * @returns {Object} Plan as from planHeating()
+ */
+const runThermostat = (slots, heatPump) => {
+  let temp = heatPump.indoorTemp;
+  const levels = slots.map(slot => {
+    let level = 0;
+    while (level < heatPump.powerLevels && runSlot(heatPump, slot, temp, level).temp < heatPump.comfortMin - EPSILON) level++;
+    temp = runSlot(heatPump, slot, temp, level).temp;
+    return level;
+  });
+  return replayHeating(slots, heatPump, levels);
+};
+
+module.exports = {
+  normalizeHeatPump,
+  normalizeOutdoorSeries,
+  outdoorTempAt,
+  nextTemperature,
+  planHeating,
+  runThermostat
+};
@@ -0,0 +1,190 @@
+/**
+ * Household planning: several appliance jobs under a connection power cap
+ * Jobs run on 15-minute quarters, either as one contiguous block or interruptibly, within their
+ * own time window and after the jobs they depend on. The combined load of every quarter stays
+ * within the cap. Jobs are placed greedily (dependencies first, then the largest energy use) on
+ * the cheapest quarters left, after which each job is moved again while that lowers the total
+ * cost. The result is a good schedule, not a proven optimum.
+ */
+
+const { planQuarters } = require('./interruptible-load.js');
+const { getSolarShare } = require('./solar.js');
+
+const QUARTER_MINUTES = 15;
+const MAX_IMPROVEMENT_PASSES = 5;
+const EPSILON = 1e-9;
+
+/**
+ * Calculate the power a grid connection can deliver
+ * @param {Object} connection - Connection
+ * @param {number} connection.amps - Fuse rating per phase, e.g. 25
+ * @param {number} [connection.phases] - Number of phases (default: 1)
+ * @param {number} [connection.voltage] - Phase voltage (default: 230)
+ * @returns {number} Capacity in kW
+ */
+const connectionCapacityKw = ({ amps, phases = 1, voltage = 230 }) => {
+  if (typeof amps !== 'number' || !(amps > 0) || !(phases > 0) || !(voltage > 0)) {
+    throw new Error(`Invalid connection: ${phases} × ${amps}A at ${voltage}V`);
+  }
+  return phases * amps * voltage / 1000;
+};
+
+/**
+ * Order jobs so that each comes after the jobs it depends on, larger loads first
+ * @param {Array} jobs - Jobs with id, after, powerKw and quarters
+ * @returns {Array} Ordered jobs
+ * @throws {Error} On unknown or circular dependencies
+ */
+const orderJobs = (jobs) => {
+  const ids = new Set(jobs.map(job => job.id));
+  for (const job of jobs) {
+    const unknown = job.after.find(id => !ids.has(id));
+    if (unknown !== undefined) {
+      throw new Error(`Job ${job.id} depends on unknown job ${unknown}`);
+    }
+  }
+
+  const ordered = [];
+  const done = new Set();
+  while (ordered.length < jobs.length) {
+    const ready = jobs
+      .filter(job => !done.has(job.id) && job.after.every(id => done.has(id)))
+      .sort((a, b) => b.powerKw * b.quarters - a.powerKw * a.quarters);
+    if (ready.length === 0) {
+      const waiting = jobs.filter(job => !done.has(job.id)).map(job => job.id);
+      throw new Error(`Circular job dependencies between: ${waiting.join(', ')}`);
+    }
+    ordered.push(ready[0]);
+    done.add(ready[0].id);
+  }
+  return ordered;
+};
+
+/**
+ * Plan jobs on a quarter-hour grid
+ * @param {Array} quarters - Consecutive quarters as { start, end, price }; price null when unknown.
+ *   With optional surplusKw and exportPrice, jobs use a PV surplus first, in planning order
+ * @param {Array} jobs - Jobs as { id, powerKw, quarters, interruptible, minBlockMinutes,
+ *   maxSwitches, after, lo, hi, blocked }: lo/hi bound the usable quarter indices and blocked
+ *   marks quarters the job must not use
+ * @param {Object} [options] - Options
+ * @param {number} [options.capacityKw] - Power cap per quarter (default: unlimited)
+ * @param {number} [options.baseLoadKw] - Other household load counted against the cap (default: 0)
+ * @returns {Object} { placements: Map of id to { indices, priceSum, solarKwh }, load } with load in
+ *   kW per quarter, or { failed } with the id of the first job that could not be placed; priceSum
+ *   is the sum of the effective quarter prices the job pays
+ */
+const planHousehold = (quarters, jobs, options = {}) => {
+  const { capacityKw = Infinity, baseLoadKw = 0 } = options;
+  const ordered = orderJobs(jobs);
+  const load = quarters.map(() => baseLoadKw);
+  const placements = new Map();
+
+  // Latest end of each job so that the jobs depending on it can still run before their deadlines
+  const latestEnd = new Map();
+  for (const job of [...ordered].reverse()) {
+    const successors = jobs.filter(other => other.after.includes(job.id));
+    latestEnd.set(job.id, Math.min(job.hi, ...successors.map(s => latestEnd.get(s.id) - s.quarters)));
+  }
+
+  const getWindow = (job) => {
+    let lo = job.lo;
+    let hi = latestEnd.get(job.id);
+    for (const id of job.after) {
+      const placement = placements.get(id);
+      if (placement) lo = Math.max(lo, placement.indices[placement.indices.length - 1] + 1);
+    }
+    for (const other of jobs) {
+      const placement = placements.get(other.id);
+      if (placement && other.after.includes(job.id)) hi = Math.min(hi, placement.indices[0]);
+    }
+    return { lo, hi };
+  };
+
+  // Share of a job the surplus left by the jobs already placed covers
+  const solarShareAt = (job, i) => {
+    const { surplusKw } = quarters[i];
+    return surplusKw ? getSolarShare(Math.max(0, surplusKw - (load[i] - baseLoadKw)), job.powerKw) : 0;
+  };
+  const priceAt = (job, i) => {
+    const share = solarShareAt(job, i);
+    return share > 0 ? share * quarters[i].exportPrice + (1 - share) * quarters[i].price : quarters[i].price;
+  };
+
+  const isUsable = (job, i) => quarters[i].price !== null && !job.blocked[i] &&
+    load[i] + job.powerKw <= capacityKw + EPSILON;
+
+  const place = (job) => {
+    const { lo, hi } = getWindow(job);
+
+    if (job.interruptible) {
+      const masked = quarters.slice(lo, Math.max(lo, hi)).map((q, k) => ({ ...q, price: isUsable(job, lo + k) ? priceAt(job, lo + k) : null }));
+      const plan = planQuarters(masked, {
+        runtimeMinutes: job.quarters * QUARTER_MINUTES,
+        minBlockMinutes: job.minBlockMinutes,
+        maxSwitches: job.maxSwitches
+      });
+      return plan && { indices: plan.quarters.map(q => masked.indexOf(q) + lo), priceSum: plan.priceSum };
+    }
+
+    let best = null;
+    for (let start = lo; start + job.quarters <= hi; start++) {
+      let priceSum = 0;
+      let fits = true;
+      for (let i = start; i < start + job.quarters && fits; i++) {
+        fits = isUsable(job, i);
+        if (fits) priceSum += priceAt(job, i);
+      }
+      if (fits && (!best || priceSum < best.priceSum - EPSILON)) {
+        best = { indices: Array.from({ length: job.quarters }, (_, k) => start + k), priceSum };
+      }
+    }
+    return best;
+  };
+
+  const addLoad = (job, placement, sign) => {
+    for (const i of placement.indices) load[i] += sign * job.powerKw;
+  };
+
+  for (const job of ordered) {
+    const placement = place(job);
+    if (!placement) return { failed: job.id };
+    placements.set(job.id, placement);
+    addLoad(job, placement, 1);
+  }
+
+  // Move jobs one at a time while that lowers their cost
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    let improved = false;
+    for (const job of ordered) {
+      const current = placements.get(job.id);
+      addLoad(job, current, -1);
+      placements.delete(job.id);
+
+      // Price the current placement again: the surplus left for it may have changed
+      const currentSum = current.indices.reduce((sum, i) => sum + priceAt(job, i), 0);
+      const candidate = place(job);
+      const better = candidate && candidate.priceSum < currentSum - EPSILON;
+      placements.set(job.id, better ? candidate : current);
+      addLoad(job, better ? candidate : current, 1);
+      improved = improved || better;
+    }
+    if (!improved) break;
+  }
+
+  // Settle prices and solar energy with the surplus going to the jobs in planning order
+  load.fill(baseLoadKw);
+  for (const job of ordered) {
+    const placement = placements.get(job.id);
+    placement.priceSum = placement.indices.reduce((sum, i) => sum + priceAt(job, i), 0);
+    placement.solarKwh = placement.indices.reduce((sum, i) => sum + solarShareAt(job, i) * job.powerKw / 4, 0);
+    addLoad(job, placement, 1);
+  }
+
+  return { placements, load };
+};
+
+module.exports = {
+  connectionCapacityKw,
+  planHousehold
+};
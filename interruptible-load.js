@@ -0,0 +1,161 @@
+/**
+ * Interruptible-load planning
+ * Loads such as EV charging or boiler heating need a total runtime before a deadline but may be
+ * switched on and off. The plan picks the cheapest 15-minute quarters such that every block of
+ * consecutive quarters is at least the minimum block length and the load is switched on at most
+ * maxSwitches times. The optimum is found with dynamic programming over the quarters.
+ */
+
+const { QUARTER_HOUR_MS, toSlots, getWindowCoverage, weightedAverage, overlapsExcluded } = require('./scheduler.js');
+
+const QUARTER_MINUTES = 15;
+
+// Upper bound on quarters × states, keeping memory use of the plan table around 20 MB
+const MAX_TABLE_SIZE = 5000000;
+
+/**
+ * Price every quarter hour in a range
+ * @param {Array} prices - Price entries
+ * @param {number} from - Range start in milliseconds, on a quarter hour
+ * @param {number} until - Range end in milliseconds
+ * @param {Array} excluded - Ranges as { start, end } the load must not run in
+ * @param {Function} valueFor - Returns the price of an entry
+ * @returns {Array} Quarters as { start, end, price }, price null when the quarter cannot be used
+ */
+const priceQuarters = (prices, from, until, excluded, valueFor) => {
+  const slots = toSlots(prices);
+  const quarters = [];
+
+  for (let start = from; start + QUARTER_HOUR_MS <= until; start += QUARTER_HOUR_MS) {
+    const end = start + QUARTER_HOUR_MS;
+    const coverage = overlapsExcluded(start, end, excluded) ? null : getWindowCoverage(slots, start, end);
+    quarters.push({ start, end, price: coverage ? weightedAverage(coverage, valueFor) : null });
+  }
+  return quarters;
+};
+
+/**
+ * Choose the cheapest quarters for an interruptible load
+ * @param {Array} quarters - Consecutive quarters as { start, end, price }; price null when unusable
+ * @param {Object} options - Planning options
+ * @param {number} options.runtimeMinutes - Total runtime, rounded up to whole quarter hours
+ * @param {number} [options.minBlockMinutes] - Minimum length of each block (default: 15)
+ * @param {number} [options.maxSwitches] - Maximum number of blocks (default: unlimited)
+ * @returns {Object|null} { blocks: [{ start, end, average }], quarters, priceSum }, or null when
+ *   no plan meets the constraints; priceSum is the sum of the chosen quarter prices
+ * @throws {Error} When the planning table would be too large
+ */
+const planQuarters = (quarters, options) => {
+  const { runtimeMinutes, minBlockMinutes = QUARTER_MINUTES, maxSwitches = Infinity } = options;
+  const needed = Math.ceil(runtimeMinutes / QUARTER_MINUTES);
+  const minBlock = Math.min(needed, Math.ceil(minBlockMinutes / QUARTER_MINUTES));
+  const maxBlocks = Math.min(maxSwitches, Math.floor(needed / minBlock));
+
+  // State: quarters chosen so far (k), blocks started (b), length of the current block capped at minBlock (r)
+  const stateCount = (needed + 1) * (maxBlocks + 1) * (minBlock + 1);
+  if (quarters.length * stateCount > MAX_TABLE_SIZE) {
+    throw new Error('Interruptible load plan is too large: shorten the range or raise minBlockMinutes');
+  }
+  const index = (k, b, r) => (k * (maxBlocks + 1) + b) * (minBlock + 1) + r;
+  const chosenCount = (state) => Math.floor(state / ((maxBlocks + 1) * (minBlock + 1)));
+
+  let costs = new Float64Array(stateCount).fill(Infinity);
+  costs[index(0, 0, 0)] = 0;
+  const previous = new Int32Array(quarters.length * stateCount);
+
+  quarters.forEach((quarter, i) => {
+    const next = new Float64Array(stateCount).fill(Infinity);
+    const relax = (state, cost, prior) => {
+      if (cost < next[state]) {
+        next[state] = cost;
+        previous[i * stateCount + state] = prior;
+      }
+    };
+
+    for (let k = 0; k <= needed; k++) {
+      for (let b = 0; b <= maxBlocks; b++) {
+        for (let r = 0; r <= minBlock; r++) {
+          const state = index(k, b, r);
+          const cost = costs[state];
+          if (cost === Infinity) continue;
+
+          // Switch off (or stay off) once the current block is long enough
+          if (r === 0 || r === minBlock) relax(index(k, b, 0), cost, state);
+
+          // Run in this quarter, continuing the block or starting a new one
+          if (quarter.price !== null && k < needed) {
+            if (r > 0) {
+              relax(index(k + 1, b, Math.min(r + 1, minBlock)), cost + quarter.price, state);
+            } else if (b < maxBlocks) {
+              relax(index(k + 1, b + 1, 1), cost + quarter.price, state);
+            }
+          }
+        }
+      }
+    }
+    costs = next;
+  });
+
+  let best = null;
+  for (let b = 0; b <= maxBlocks; b++) {
+    for (const r of [0, minBlock]) {
+      const state = index(needed, b, r);
+      if (costs[state] !== Infinity && (best === null || costs[state] < costs[best])) best = state;
+    }
+  }
+  if (best === null) return null;
+
+  // Walk back through the table; a quarter was used when the chosen count went up
+  const chosen = [];
+  let state = best;
+  for (let i = quarters.length - 1; i >= 0; i--) {
+    const prior = previous[i * stateCount + state];
+    if (chosenCount(prior) < chosenCount(state)) {
+      chosen.unshift(quarters[i]);
+    }
+    state = prior;
+  }
+
+  const blocks = [];
+  for (const quarter of chosen) {
+    const last = blocks[blocks.length - 1];
+    if (last && last.end === quarter.start) {
+      last.end = quarter.end;
+      last.quarters.push(quarter);
+    } else {
+      blocks.push({ start: quarter.start, end: quarter.end, quarters: [quarter] });
+    }
+  }
+
+  return {
+    blocks: blocks.map(block => ({
+      start: block.start,
+      end: block.end,
+      average: block.quarters.reduce((sum, q) => sum + q.price, 0) / block.quarters.length
+    })),
+    quarters: chosen,
+    priceSum: costs[best]
+  };
+};
+
+/**
+ * Plan the cheapest quarters for an interruptible load
+ * @param {Array} prices - Price entries
+ * @param {Object} options - Planning options, as for planQuarters() and:
+ * @param {number} options.from - Earliest start in milliseconds
+ * @param {number} options.until - Deadline in milliseconds
+ * @param {Array} [options.excluded] - Ranges as { start, end } the load must not run in (default: none)
+ * @param {Function} [options.valueFor] - Returns the price of an entry (default: entry.price)
+ * @returns {Object|null} Plan from planQuarters(), or null when no plan meets the constraints
+ */
+const planInterruptibleSlots = (prices, options) => {
+  const { from, until, excluded = [], valueFor = p => p.price } = options;
+  const quarters = priceQuarters(prices, Math.ceil(from / QUARTER_HOUR_MS) * QUARTER_HOUR_MS, until, excluded, valueFor);
+  return planQuarters(quarters, options);
+};
+
+module.exports = {
+  priceQuarters,
+  planQuarters,
+  planInterruptibleSlots
+};
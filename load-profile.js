@@ -0,0 +1,120 @@
+/**
+ * Appliance load profiles
+ * A profile describes when an appliance draws its energy, e.g. a washing machine that heats
+ * water in the first 20 minutes. Energy is spread evenly over each phase, so the cost of a run
+ * depends on the prices during the phases that draw the most energy.
+ */
+
+const { toSlots, getWindowCoverage, weightedAverage, overlapsExcluded, listWindowStarts } = require('./scheduler.js');
+
+const MINUTE_MS = 60 * 1000;
+
+const isPositive = (value) => typeof value === 'number' && value > 0;
+const isNonNegative = (value) => typeof value === 'number' && value >= 0;
+
+/**
+ * Validate a load profile and lay out its phases in time
+ * @param {Array|Object} profile - Phases as [{ durationMinutes, kWh }], { phases }, or power
+ *   samples as { powerKw: [...], intervalMinutes } (intervalMinutes default: 15)
+ * @returns {Object} { phases: [{ offsetMinutes, durationMinutes, kWh }], durationMinutes, energyKwh }
+ * @throws {Error} When the profile is malformed or draws no energy
+ */
+const normalizeLoadProfile = (profile) => {
+  let input;
+  if (Array.isArray(profile)) {
+    input = profile;
+  } else if (profile && Array.isArray(profile.phases)) {
+    input = profile.phases;
+  } else if (profile && Array.isArray(profile.powerKw)) {
+    const { intervalMinutes = 15 } = profile;
+    if (!isPositive(intervalMinutes)) {
+      throw new Error(`Invalid load profile interval: ${intervalMinutes}`);
+    }
+    input = profile.powerKw.map(kw => ({
+      durationMinutes: intervalMinutes,
+      kWh: isNonNegative(kw) ? kw * intervalMinutes / 60 : kw
+    }));
+  } else {
+    throw new Error('Invalid load profile: expected phases or powerKw samples');
+  }
+
+  let offsetMinutes = 0;
+  const phases = input.map(({ durationMinutes, kWh }) => {
+    if (!isPositive(durationMinutes) || !isNonNegative(kWh)) {
+      throw new Error(`Invalid load profile phase: ${durationMinutes} minutes, ${kWh} kWh`);
+    }
+    const phase = { offsetMinutes, durationMinutes, kWh };
+    offsetMinutes += durationMinutes;
+    return phase;
+  });
+
+  const energyKwh = phases.reduce((sum, phase) => sum + phase.kWh, 0);
+  if (energyKwh === 0) {
+    throw new Error('Invalid load profile: it draws no energy');
+  }
+
+  return { phases, durationMinutes: offsetMinutes, energyKwh };
+};
+
+/**
+ * Calculate the cost of running a profile from a start time
+ * @param {Array} slots - Slots from toSlots()
+ * @param {number} start - Start time in milliseconds
+ * @param {Object} profile - Normalized load profile
+ * @param {Function} [valueFor] - Returns the price of an entry in €cents/kWh, given the entry and
+ *   the phase (default: entry.price)
+ * @returns {number|null} Cost in euros, or null when part of the run has no price
+ */
+const getProfileCost = (slots, start, profile, valueFor = p => p.price) => {
+  let cents = 0;
+
+  for (const phase of profile.phases) {
+    const phaseStart = start + phase.offsetMinutes * MINUTE_MS;
+    const coverage = getWindowCoverage(slots, phaseStart, phaseStart + phase.durationMinutes * MINUTE_MS);
+    if (!coverage) return null;
+    cents += weightedAverage(coverage, entry => valueFor(entry, phase)) * phase.kWh;
+  }
+
+  return cents / 100;
+};
+
+/**
+ * Find the start time at which a profile costs the least
+ * Runs overlapping an excluded range are skipped; on equal costs the earliest start wins.
+ * @param {Array} prices - Price entries
+ * @param {Object} options - Search options
+ * @param {number} options.from - Earliest start in milliseconds
+ * @param {number} options.until - Latest end in milliseconds
+ * @param {Object} options.profile - Normalized load profile
+ * @param {Function} [options.valueFor] - Returns the price of an entry, given the entry and the phase (default: entry.price)
+ * @param {Array} [options.excluded] - Ranges as { start, end } runs must not overlap (default: none)
+ * @returns {Object|null} { start, end, cost, average, coverage } with cost in euros and the
+ *   energy-weighted average price in €cents/kWh, or null when no start fits
+ */
+const findCheapestStart = (prices, options) => {
+  const { from, until, profile, valueFor = p => p.price, excluded = [] } = options;
+  const durationMs = profile.durationMinutes * MINUTE_MS;
+  const slots = toSlots(prices);
+  let best = null;
+
+  for (const start of listWindowStarts(slots, from, until - durationMs, excluded)) {
+    if (overlapsExcluded(start, start + durationMs, excluded)) continue;
+    const cost = getProfileCost(slots, start, profile, valueFor);
+    if (cost !== null && (!best || cost < best.cost)) {
+      best = { start, end: start + durationMs, cost };
+    }
+  }
+
+  if (!best) return null;
+  return {
+    ...best,
+    average: best.cost * 100 / profile.energyKwh,
+    coverage: getWindowCoverage(slots, best.start, best.end)
+  };
+};
+
+module.exports = {
+  normalizeLoadProfile,
+  getProfileCost,
+  findCheapestStart
+};
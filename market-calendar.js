@@ -0,0 +1,73 @@
+/**
+ * Day-ahead market calendar
+ * The single day-ahead coupling auction closes at 12:00 CET and its results are normally
+ * published around 12:45 CET, covering the next delivery day. Cached prices stay valid until
+ * the next result is expected; after that we poll until the new delivery day shows up.
+ */
+
+const { getZonedParts, zonedTimeToUtc, startOfZonedDay } = require('./zone-time.js');
+
+const AUCTION_TIME_ZONE = 'Europe/Brussels'; // CET/CEST
+const PUBLICATION_TIME = { hour: 12, minute: 45 };
+const DEFAULT_POLL_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Get the expected publication time of a day-ahead auction result
+ * @param {Date|number} date - Instant within the auction day
+ * @param {number} [dayOffset] - Days to move from that auction day (default: 0)
+ * @returns {number} Publication instant in milliseconds
+ */
+const getPublicationTime = (date, dayOffset = 0) => {
+  const { year, month, day } = getZonedParts(date, AUCTION_TIME_ZONE);
+  return zonedTimeToUtc({ year, month, day: day + dayOffset, ...PUBLICATION_TIME }, AUCTION_TIME_ZONE);
+};
+
+/**
+ * Check whether prices cover the whole next delivery day in the zone's local time
+ * @param {Array} prices - Price entries with timestamp and resolutionMinutes
+ * @param {number} now - Current time in milliseconds
+ * @param {string} timeZone - Bidding zone timezone
+ * @returns {boolean} True when tomorrow's prices are available
+ */
+const hasNextDayPrices = (prices, now, timeZone) => {
+  const tomorrowEnd = startOfZonedDay(now, timeZone, 2);
+  const lastEnd = prices.reduce((latest, p) => {
+    const end = new Date(p.timestamp).getTime() + (p.resolutionMinutes || 60) * 60 * 1000;
+    return Math.max(latest, end);
+  }, -Infinity);
+  return lastEnd >= tomorrowEnd;
+};
+
+/**
+ * Decide until when fetched day-ahead prices may be served from cache
+ * @param {Array} prices - Fetched price entries
+ * @param {number} now - Fetch time in milliseconds
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - Bidding zone timezone
+ * @param {number} [options.pollIntervalMs] - Refetch interval while tomorrow is overdue (default: 5 minutes)
+ * @returns {number} Expiry instant in milliseconds
+ */
+const getCacheExpiry = (prices, now, options) => {
+  const { timeZone, pollIntervalMs = DEFAULT_POLL_INTERVAL_MS } = options;
+
+  // Tomorrow is in: nothing changes until the next auction result
+  if (hasNextDayPrices(prices, now, timeZone)) {
+    return getPublicationTime(now, 1);
+  }
+
+  // Tomorrow is not published yet: wait for the expected publication, then poll
+  const publication = getPublicationTime(now);
+  if (now < publication) {
+    return publication;
+  }
+  return now + pollIntervalMs;
+};
+
+module.exports = {
+  AUCTION_TIME_ZONE,
+  PUBLICATION_TIME,
+  DEFAULT_POLL_INTERVAL_MS,
+  getPublicationTime,
+  hasNextDayPrices,
+  getCacheExpiry
+};
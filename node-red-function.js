@@ -18,29 +18,57 @@
  * 
  * Usage:
  * 1. Copy the entire content below into a Node-RED function node
- * 2. Send a message with msg.payload.action = "recommendBestTime" and optionally msg.payload.duration
+ * 2. Send a message with msg.payload.action = "recommendBestTime" and optionally msg.payload.duration or msg.payload.durationMinutes
  * 3. The node will output the recommendation with best time and potential savings
+ * 4. Or send msg.payload.action = "getPriceStatistics" for min/max/mean/percentiles of today and
+ *    tomorrow and the rank of the current price
+ * 5. Or send msg.payload.action = "getPriceAlerts" for negative-price windows and price spikes in
+ *    the available future prices
  * 
  * Data Resolution Handling:
  * - ENTSO-E API may return 15-minute interval data (PT15M) or hourly data (PT60M)
  * - This function automatically detects the resolution and handles both formats
- * - 15-minute intervals are automatically aggregated into hourly averages
- * - This ensures consistent behavior regardless of API data format
+ * - Prices are used at their native resolution: windows start on 15-minute boundaries and
+ *   averages are weighted by how long each price slot overlaps the window
  * 
  * Caching and Debugging:
  * - Cache is stored in GLOBAL context (not local context) for easy inspection
  * - Access cache via: global.get('entsoePriceCache')
- * - Cache contains: timestamp, fetchedAt, data (prices array), priceCount, expiresAt
- * - Cache lifetime: 1 hour (3600 seconds)
+ * - Cache contains: timestamp, fetchedAt, rangeStart, rangeEnd, data (prices array), priceCount, expiresAt
+ * - The cache is only reused when its range covers the requested range
+ * - Cache lifetime follows the day-ahead publication calendar: once tomorrow's prices are in,
+ *   the cache is valid until the next expected publication (12:45 CET); while they are overdue
+ *   it is refetched every 5 minutes
+ * - Ranges longer than a year (the ENTSO-E limit) are requested in yearly chunks
  * - You can view/inspect the cache in Node-RED debug panel or any function node
  * - This makes it easy to check for cache issues or review API results
  * 
  * Input message format:
  * {
  *   payload: {
- *     action: "recommendBestTime",  // Currently supported action
+ *     action: "recommendBestTime",  // "recommendBestTime", "getPriceStatistics" or "getPriceAlerts"
  *     duration: 1,                   // Optional: Duration in hours (default: 1)
- *     lookAheadHours: 6              // Optional: Time window to search (default: 6)
+ *     durationMinutes: 45,           // Optional: Duration in minutes (overrides duration)
+ *     lookAheadHours: 6,             // Optional: Time window to search (default: 6)
+ *     lookAheadMinutes: 360          // Optional: Time window in minutes (overrides lookAheadHours)
+ *   }
+ * }
+ *
+ * For getPriceStatistics:
+ * {
+ *   payload: {
+ *     action: "getPriceStatistics",
+ *     from: "2026-01-02T00:00:00Z",  // Optional: Range start (default: start of today)
+ *     to: "2026-01-03T00:00:00Z"     // Optional: Range end (default: end of tomorrow)
+ *   }
+ * }
+ *
+ * For getPriceAlerts:
+ * {
+ *   payload: {
+ *     action: "getPriceAlerts",
+ *     negativeThreshold: 0,          // Optional: Alert on prices below this in €cents/kWh (default: 0)
+ *     spikeThreshold: 30             // Optional: Alert on prices above this (default: twice the average)
  *   }
  * }
  * 
@@ -50,14 +78,47 @@
  *     status: "success",
  *     bestTime: {
  *       averagePrice: 7.15,
- *       start: "02:00",
- *       end: "03:00"  // End time shows when appliance finishes (start + duration)
+ *       start: "02:15",
+ *       end: "03:15"  // End time shows when appliance finishes (start + duration)
  *     },
  *     currentPrice: 10.50,
  *     currentTimestamp: "2026-01-02T15:00:00.000Z",
  *     savings: 3.35,
  *     savingsPercentage: 31.9,
- *     message: "The best time to run your appliance is between 02:00 and 03:00. The average price during this period is €7.15 per kWh. Potential savings: 3.35 €cents/kWh (31.9%)."
+ *     message: "The best time to run your appliance is between 02:15 and 03:15. The average price during this period is €7.15 per kWh. Potential savings: 3.35 €cents/kWh (31.9%)."
+ *   }
+ * }
+ *
+ * Output of getPriceStatistics (peak is 08:00-20:00 local time on weekdays):
+ * {
+ *   payload: {
+ *     status: "success",
+ *     from: "2026-01-01T23:00:00.000Z",
+ *     to: "2026-01-03T23:00:00.000Z",
+ *     count: 48,
+ *     min: 4.12, max: 18.9, mean: 10.35, median: 9.8, standardDeviation: 3.41,
+ *     percentiles: { p10: 5.6, p25: 7.9, p50: 9.8, p75: 12.7, p90: 15.2 },
+ *     cheapestSlots: [{ start: "Sat 03:00", timestamp: "2026-01-03T02:00:00.000Z", price: 4.12 }, ...],
+ *     mostExpensiveSlots: [{ start: "Fri 18:00", timestamp: "2026-01-02T17:00:00.000Z", price: 18.9 }, ...],
+ *     peakAverage: 12.4, offPeakAverage: 8.9, peakSpread: 3.5,
+ *     current: { price: 10.5, timestamp: "2026-01-02T15:00:00.000Z", rank: 31, count: 48, percentile: 63.8 },
+ *     unit: "€cents/kWh",
+ *     message: "Prices range from 4.12 to 18.90 €cents/kWh, averaging 10.35. The current price of 10.50 €cents/kWh ranks 31 of 48 today and tomorrow."
+ *   }
+ * }
+ *
+ * Output of getPriceAlerts (consecutive slots past a threshold are merged into one window;
+ * valuePerKwh is in € earned per kWh used in a negative window, or saved per kWh avoided in a spike):
+ * {
+ *   payload: {
+ *     status: "success",
+ *     negativeWindows: [{ start: "Sun 12:00", end: "Sun 15:00", startTime: "2026-01-04T11:00:00.000Z",
+ *       endTime: "2026-01-04T14:00:00.000Z", durationMinutes: 180, minPrice: -4.2, maxPrice: -0.5,
+ *       averagePrice: -2.1, valuePerKwh: 0.021 }],
+ *     spikeWindows: [],
+ *     thresholds: { negative: 0, spike: 21.4 },
+ *     unit: "€cents/kWh",
+ *     message: "Negative prices Sun 12:00-Sun 15:00, down to -4.20 €cents/kWh."
  *   }
  * }
  */
@@ -76,8 +137,133 @@ if (!xml2js) {
     return;
 }
 
-// Cache lifespan in milliseconds (e.g., 1 hour)
-const CACHE_LIFESPAN = 60 * 60 * 1000;
+// Wall-clock time in a timezone, dayOffset days after the local day of `date`, in UTC milliseconds
+const localTime = (date, dayOffset, hour, minute, timeZone) => {
+    const [year, month, day] = new Intl.DateTimeFormat("en-CA", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+    }).format(date).split("-").map(Number);
+    const offsetAt = (time) => {
+        const local = new Date(new Date(time).toLocaleString("en-US", { timeZone }));
+        const utc = new Date(new Date(time).toLocaleString("en-US", { timeZone: "UTC" }));
+        return local.getTime() - utc.getTime();
+    };
+    const wallUtc = Date.UTC(year, month - 1, day + dayOffset, hour, minute);
+    return wallUtc - offsetAt(wallUtc - offsetAt(wallUtc));
+};
+
+// Start of a local day in Europe/Amsterdam, dayOffset days after the day of `date`
+const startOfLocalDay = (date, dayOffset) => localTime(date, dayOffset, 0, 0, "Europe/Amsterdam");
+
+// Day-ahead results are published around 12:45 CET for the next delivery day
+const PUBLICATION_TIME = { hour: 12, minute: 45 };
+const POLL_INTERVAL = 5 * 60 * 1000; // Refetch interval while tomorrow's prices are overdue
+
+// Cached prices stay valid until the next auction result; when tomorrow is missing after the
+// expected publication, poll until it shows up
+const getCacheExpiry = (dataEnd, now) => {
+    const publication = (dayOffset) => localTime(now, dayOffset, PUBLICATION_TIME.hour, PUBLICATION_TIME.minute, "Europe/Brussels");
+    if (dataEnd >= startOfLocalDay(now, 2)) {
+        return publication(1);
+    }
+    return now < publication(0) ? publication(0) : now + POLL_INTERVAL;
+};
+
+// The API serves at most one year per request, so longer ranges are requested in yearly chunks
+const splitIntoYears = (rangeStart, rangeEnd) => {
+    const chunks = [];
+    for (let start = rangeStart; start < rangeEnd;) {
+        const date = new Date(start);
+        const end = Math.min(rangeEnd, Date.UTC(date.getUTCFullYear() + 1, date.getUTCMonth(), date.getUTCDate(), date.getUTCHours()));
+        chunks.push({ start, end });
+        start = end;
+    }
+    return chunks;
+};
+
+// Fetch and parse the prices of one request
+const fetchPriceChunk = async (startDate, endDate, apiKey) => {
+    // Format dates for API
+    const formatter = (date) => {
+        const pad = (n) => n.toString().padStart(2, "0");
+        return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}${pad(date.getUTCHours())}00`;
+    };
+
+    const start = formatter(new Date(startDate));
+    const end = formatter(new Date(endDate));
+    const url = `https://web-api.tp.entsoe.eu/api?securityToken=${apiKey}&documentType=A44&in_Domain=10YNL----------L&out_Domain=10YNL----------L&periodStart=${start}&periodEnd=${end}`;
+
+    // Log formatted API request details (without exposing the full key)
+    const maskedKey = apiKey.substring(0, 8) + "..." + apiKey.substring(apiKey.length - 4);
+    node.warn(`[DEBUG] API request with key: ${maskedKey}, period: ${start} to ${end}`);
+
+    // Make the API call
+    const response = await axios.get(url);
+    const rawData = response.data;
+
+    // Log API response info (without full data to avoid exposing sensitive info)
+    node.warn(`[DEBUG] Raw API response received. Length: ${rawData.length} characters`);
+
+    // Parse the XML response
+    const parser = new xml2js.Parser({ explicitArray: false });
+    const result = await parser.parseStringPromise(rawData);
+
+    if (!result || !result.Publication_MarketDocument) {
+        const errorMessage = "Invalid or unexpected response from ENTSO-E API";
+        node.error(`[ERROR] ${errorMessage}`);
+        throw new Error(errorMessage);
+    }
+
+    node.warn("[DEBUG] Successfully parsed XML response.");
+
+    // Parse and process time series data
+    const timeSeriesArray = Array.isArray(result.Publication_MarketDocument.TimeSeries)
+        ? result.Publication_MarketDocument.TimeSeries
+        : [result.Publication_MarketDocument.TimeSeries];
+
+    const prices = [];
+    timeSeriesArray.forEach((series) => {
+        const period = series.Period;
+        if (!period || !period.Point) {
+            node.warn("[DEBUG] Skipping invalid time series period.");
+            return;
+        }
+
+        const periodStart = new Date(period.timeInterval.start);
+        const points = Array.isArray(period.Point)
+            ? period.Point
+            : [period.Point];
+        
+        // Determine resolution (PT60M for hourly, PT15M for 15-minute intervals)
+        const resolution = period.resolution || 'PT60M';
+        let resolutionMinutes = 60; // default hourly
+        if (resolution === 'PT15M') resolutionMinutes = 15;
+        else if (resolution === 'PT30M') resolutionMinutes = 30;
+        
+        node.warn(`[DEBUG] Processing period with resolution: ${resolution} (${resolutionMinutes} minutes)`);
+
+        points.forEach((point) => {
+            const priceEurMwh = parseFloat(point["price.amount"]);
+            const position = parseInt(point.position) - 1; // Position is 1-indexed
+            const timestamp = new Date(
+                periodStart.getTime() +
+                position * resolutionMinutes * 60 * 1000
+            );
+            const price = priceEurMwh / 10; // Convert EUR/MWh to €cents/kWh
+
+            prices.push({
+                timestamp: timestamp.toISOString(),
+                price: Math.round(price * 100) / 100,
+                resolutionMinutes,
+                unit: "€cents/kWh",
+            });
+        });
+    });
+
+    return prices;
+};
 
 // Function to fetch and cache price data
 const getCachedPriceData = async (startDate, endDate) => {
@@ -89,8 +275,13 @@ const getCachedPriceData = async (startDate, endDate) => {
     node.warn(`[DEBUG] Current timestamp: ${now}`);
 
     // Check cache validity in GLOBAL context (easier to inspect and debug)
+    // The API is queried on whole hours; the cache is only used when it covers the requested range
+    const HOUR_MS = 60 * 60 * 1000;
+    const rangeStart = Math.floor(new Date(startDate).getTime() / HOUR_MS) * HOUR_MS;
+    const rangeEnd = Math.floor(new Date(endDate).getTime() / HOUR_MS) * HOUR_MS;
     const cachedData = global.get(cacheKey);
-    if (cachedData && now - cachedData.timestamp < CACHE_LIFESPAN) {
+    const covers = cachedData && cachedData.rangeStart <= rangeStart && cachedData.rangeEnd >= rangeEnd;
+    if (cachedData && now < new Date(cachedData.expiresAt).getTime() && covers) {
         node.warn(`[DEBUG] Using cached data from global context. Timestamp: ${cachedData.timestamp}`);
         node.warn(`[DEBUG] Cache age: ${Math.round((now - cachedData.timestamp) / 1000)} seconds`);
         return cachedData.data; // Return cached data with debug logs
@@ -98,101 +289,39 @@ const getCachedPriceData = async (startDate, endDate) => {
         node.warn(`[DEBUG] No valid cache found in global context. Will fetch new data.`);
     }
 
-    // Format dates for API
-    const formatter = (date) => {
-        const pad = (n) => n.toString().padStart(2, "0");
-        return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}${pad(date.getUTCHours())}00`;
-    };
-
-    const start = formatter(new Date(startDate));
-    const end = formatter(new Date(endDate));
     const apiKey = env.get("ENTSOE_API_KEY");
     
     if (!apiKey) {
         node.error("[ERROR] ENTSOE_API_KEY not found in environment variables");
         throw new Error("ENTSOE_API_KEY not configured");
     }
-    
-    const url = `https://web-api.tp.entsoe.eu/api?securityToken=${apiKey}&documentType=A44&in_Domain=10YNL----------L&out_Domain=10YNL----------L&periodStart=${start}&periodEnd=${end}`;
-
-    // Log formatted API request details (without exposing the full key)
-    const maskedKey = apiKey.substring(0, 8) + "..." + apiKey.substring(apiKey.length - 4);
-    node.warn(`[DEBUG] API request with key: ${maskedKey}, period: ${start} to ${end}`);
 
     try {
-        // Make the API call
-        const response = await axios.get(url);
-        const rawData = response.data;
-
-        // Log API response info (without full data to avoid exposing sensitive info)
-        node.warn(`[DEBUG] Raw API response received. Length: ${rawData.length} characters`);
-
-        // Parse the XML response
-        const parser = new xml2js.Parser({ explicitArray: false });
-        const result = await parser.parseStringPromise(rawData);
-
-        if (!result || !result.Publication_MarketDocument) {
-            const errorMessage = "Invalid or unexpected response from ENTSO-E API";
-            node.error(`[ERROR] ${errorMessage}`);
-            throw new Error(errorMessage);
-        }
-
-        node.warn("[DEBUG] Successfully parsed XML response.");
-
-        // Parse and process time series data
-        const timeSeriesArray = Array.isArray(result.Publication_MarketDocument.TimeSeries)
-            ? result.Publication_MarketDocument.TimeSeries
-            : [result.Publication_MarketDocument.TimeSeries];
-
+        // Documents cover whole delivery days, so neighbouring chunks may repeat a slot
+        const seen = new Set();
         const prices = [];
-        timeSeriesArray.forEach((series) => {
-            const period = series.Period;
-            if (!period || !period.Point) {
-                node.warn("[DEBUG] Skipping invalid time series period.");
-                return;
+        for (const chunk of splitIntoYears(rangeStart, rangeEnd)) {
+            for (const price of await fetchPriceChunk(new Date(chunk.start), new Date(chunk.end), apiKey)) {
+                if (seen.has(price.timestamp)) continue;
+                seen.add(price.timestamp);
+                prices.push(price);
             }
-
-            const periodStart = new Date(period.timeInterval.start);
-            const points = Array.isArray(period.Point)
-                ? period.Point
-                : [period.Point];
-            
-            // Determine resolution (PT60M for hourly, PT15M for 15-minute intervals)
-            const resolution = period.resolution || 'PT60M';
-            let resolutionMinutes = 60; // default hourly
-            if (resolution === 'PT15M') resolutionMinutes = 15;
-            else if (resolution === 'PT30M') resolutionMinutes = 30;
-            
-            node.warn(`[DEBUG] Processing period with resolution: ${resolution} (${resolutionMinutes} minutes)`);
-
-            points.forEach((point) => {
-                const priceEurMwh = parseFloat(point["price.amount"]);
-                const position = parseInt(point.position) - 1; // Position is 1-indexed
-                const timestamp = new Date(
-                    periodStart.getTime() +
-                    position * resolutionMinutes * 60 * 1000
-                );
-                const price = priceEurMwh / 10; // Convert EUR/MWh to €cents/kWh
-
-                prices.push({
-                    timestamp: timestamp.toISOString(),
-                    price: Math.round(price * 100) / 100,
-                    unit: "€cents/kWh",
-                });
-            });
-        });
+        }
 
         // Log processed data sample
         node.warn(`[DEBUG] Parsed ${prices.length} price entries. Example: ${JSON.stringify(prices[0], null, 2)}`);
 
         // Cache the parsed data in GLOBAL context (easier to inspect and debug)
+        // The API returns whole delivery days, so the data may reach beyond the requested range
+        const dataEnd = prices.reduce((end, p) => Math.max(end, new Date(p.timestamp).getTime() + p.resolutionMinutes * 60 * 1000), 0);
         const newCache = {
             timestamp: now,
             fetchedAt: new Date(now).toISOString(),
+            rangeStart,
+            rangeEnd: Math.max(rangeEnd, dataEnd),
             data: prices,
             priceCount: prices.length,
-            cacheLifespanMs: CACHE_LIFESPAN,
-            expiresAt: new Date(now + CACHE_LIFESPAN).toISOString()
+            expiresAt: new Date(getCacheExpiry(dataEnd, now)).toISOString()
         };
         global.set(cacheKey, newCache);
         node.warn(`[DEBUG] Price data cached in global context (key: '${cacheKey}')`);
@@ -218,10 +347,10 @@ const getCachedPriceData = async (startDate, endDate) => {
         node.warn(`[DEBUG] Message payload: ${JSON.stringify(msg.payload, null, 2)}`);
 
         const now = new Date();
-        const lookAheadHours = msg.payload.lookAheadHours || 6; // Default to 6 hours lookahead
+        const lookAheadMinutes = msg.payload.lookAheadMinutes || (msg.payload.lookAheadHours || 6) * 60; // Default to 6 hours lookahead
         
-        // Validate lookAheadHours parameter
-        if (typeof lookAheadHours !== 'number' || lookAheadHours < 1 || lookAheadHours > 168) {
+        // Validate look-ahead parameter
+        if (typeof lookAheadMinutes !== 'number' || lookAheadMinutes < 60 || lookAheadMinutes > 168 * 60) {
             msg.payload = {
                 status: "error",
                 message: "Invalid lookAheadHours parameter. Must be a number between 1 and 168 (1 week).",
@@ -230,52 +359,80 @@ const getCachedPriceData = async (startDate, endDate) => {
             return;
         }
         
-        const future = new Date(now.getTime() + lookAheadHours * 60 * 60 * 1000);
-
-        let prices = await getCachedPriceData(now, future);
-        
-        // Aggregate price data into hourly averages
-        // This handles both 15-minute interval data (PT15M) and hourly data (PT60M)
-        const pricesByHour = new Map();
-        prices.forEach(p => {
-            const hourTimestamp = new Date(p.timestamp);
-            hourTimestamp.setMinutes(0, 0, 0); // Round down to hour
-            const hourKey = hourTimestamp.toISOString();
-            
-            if (!pricesByHour.has(hourKey)) {
-                pricesByHour.set(hourKey, []);
+        const future = new Date(now.getTime() + lookAheadMinutes * 60 * 1000);
+
+        // Statistics rank the current price within today and tomorrow, and may cover an extra range
+        let fetchStart = now;
+        let fetchEnd = future;
+        let statsStart = null;
+        let statsEnd = null;
+        if (action === "getPriceAlerts") {
+            // Scan everything published: the rest of today and tomorrow
+            fetchEnd = new Date(startOfLocalDay(now, 2));
+        } else if (action === "getPriceStatistics") {
+            const todayStart = startOfLocalDay(now, 0);
+            const tomorrowEnd = startOfLocalDay(now, 2);
+            statsStart = msg.payload.from ? new Date(msg.payload.from).getTime() : todayStart;
+            statsEnd = msg.payload.to ? new Date(msg.payload.to).getTime() : tomorrowEnd;
+            if (isNaN(statsStart) || isNaN(statsEnd) || statsStart >= statsEnd) {
+                msg.payload = {
+                    status: "error",
+                    message: "Invalid from/to parameters. Must be dates with from before to.",
+                };
+                node.send(msg);
+                return;
             }
-            pricesByHour.get(hourKey).push(p.price);
-        });
+            fetchStart = new Date(Math.min(statsStart, todayStart));
+            fetchEnd = new Date(Math.max(statsEnd, tomorrowEnd));
+        }
+
+        let prices = await getCachedPriceData(fetchStart, fetchEnd);
         
-        // Convert to hourly averages
-        const hourlyPrices = Array.from(pricesByHour.entries())
-            .map(([timestamp, pricesInHour]) => ({
-                timestamp,
-                price: Math.round((pricesInHour.reduce((sum, p) => sum + p, 0) / pricesInHour.length) * 100) / 100,
-                unit: "€cents/kWh"
-            }))
-            .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+        // Use prices at their native resolution (PT15M, PT30M or PT60M) as time slots
+        const QUARTER_HOUR_MS = 15 * 60 * 1000;
+        const slots = prices
+            .map(p => {
+                const start = new Date(p.timestamp).getTime();
+                return { start, end: start + (p.resolutionMinutes || 60) * 60 * 1000, price: p.price, timestamp: p.timestamp };
+            })
+            .sort((a, b) => a.start - b.start);
         
-        node.warn(`[DEBUG] Aggregated ${prices.length} price entries into ${hourlyPrices.length} hourly averages`);
+        node.warn(`[DEBUG] Using ${slots.length} price slots at native resolution`);
+
+        // Duration-weighted average price over a window, or null when part of it has no price
+        const averageOver = (windowStart, windowEnd) => {
+            let covered = windowStart;
+            let weighted = 0;
+            for (const slot of slots) {
+                if (slot.end <= windowStart) continue;
+                if (slot.start >= windowEnd) break;
+                if (slot.start > covered) return null; // Gap in the data
+                const overlapEnd = Math.min(slot.end, windowEnd);
+                weighted += slot.price * (overlapEnd - Math.max(slot.start, windowStart));
+                covered = overlapEnd;
+            }
+            return covered >= windowEnd ? weighted / (windowEnd - windowStart) : null;
+        };
 
         if (action === "recommendBestTime") {
-            const duration = parseInt(msg.payload.duration) || 1; // Appliance runtime in hours (ensure it's a number)
-            let bestSlot = null;
+            // Appliance runtime in minutes (ensure it's a number)
+            const durationMinutes = parseInt(msg.payload.durationMinutes) || (parseFloat(msg.payload.duration) || 1) * 60;
+            const durationMs = durationMinutes * 60 * 1000;
+            let bestStart = null;
             let lowestAvgPrice = Infinity;
 
-            for (let i = 0; i <= hourlyPrices.length - duration; i++) {
-                const slot = hourlyPrices.slice(i, i + duration);
-                const avgPrice =
-                    slot.reduce((sum, p) => sum + p.price, 0) / slot.length;
+            // Try every quarter hour from the current one until the window would end after the look-ahead
+            const firstStart = Math.floor(now.getTime() / QUARTER_HOUR_MS) * QUARTER_HOUR_MS;
+            for (let start = firstStart; start + durationMs <= future.getTime(); start += QUARTER_HOUR_MS) {
+                const avgPrice = averageOver(start, start + durationMs);
 
-                if (avgPrice < lowestAvgPrice) {
+                if (avgPrice !== null && avgPrice < lowestAvgPrice) {
                     lowestAvgPrice = avgPrice;
-                    bestSlot = slot;
+                    bestStart = start;
                 }
             }
 
-            if (bestSlot) {
+            if (bestStart !== null) {
                 const formatter = new Intl.DateTimeFormat("en-NL", {
                     timeZone: "Europe/Amsterdam",
                     hour: "2-digit",
@@ -284,36 +441,29 @@ const getCachedPriceData = async (startDate, endDate) => {
                 });
 
                 // Format start and end time
-                // Start time is the beginning of the first hour in the slot
-                const startDate = new Date(bestSlot[0].timestamp);
+                const startDate = new Date(bestStart);
                 const startTime = formatter.format(startDate);
                 
-                // End time is when the appliance finishes (start + duration hours)
-                const endDate = new Date(startDate.getTime() + duration * 60 * 60 * 1000);
+                // End time is when the appliance finishes (start + duration)
+                const endDate = new Date(bestStart + durationMs);
                 const endTime = formatter.format(endDate);
 
-                // Retrieve the current price from hourly aggregated data
-                // Get the start of the current hour
-                const currentHourStart = new Date(now);
-                currentHourStart.setMinutes(0, 0, 0);
-                const currentHourKey = currentHourStart.toISOString();
-                
-                // Find the current hour in hourly prices
+                // Retrieve the current price from the slot that contains the current time
                 let currentPriceValue = null;
                 let currentTimestamp = null;
-                const currentHourPrice = hourlyPrices.find(p => p.timestamp === currentHourKey);
+                const currentSlot = slots.find(slot => slot.start <= now.getTime() && now.getTime() < slot.end);
                 
-                if (currentHourPrice) {
-                    currentPriceValue = currentHourPrice.price;
-                    currentTimestamp = currentHourPrice.timestamp;
-                    node.warn(`[DEBUG] Current hour price found: ${currentPriceValue} €cents/kWh`);
+                if (currentSlot) {
+                    currentPriceValue = currentSlot.price;
+                    currentTimestamp = currentSlot.timestamp;
+                    node.warn(`[DEBUG] Current slot price found: ${currentPriceValue} €cents/kWh`);
                 }
                 
                 // Only proceed if we have a current price
                 if (currentPriceValue === null) {
                     msg.payload = {
                         status: "error",
-                        message: "Could not determine current price from available data. The current hour may not be included in the fetched price data.",
+                        message: "Could not determine current price from available data. The current time slot may not be included in the fetched price data.",
                     };
                     node.send(msg);
                     return;
@@ -321,7 +471,7 @@ const getCachedPriceData = async (startDate, endDate) => {
 
                 // Log current price info in debug
                 node.warn(`[DEBUG] Current Price: ${currentPriceValue} €cents/kWh at ${currentTimestamp}`);
-                node.warn(`[DEBUG] Look-ahead window: ${lookAheadHours} hours`);
+                node.warn(`[DEBUG] Look-ahead window: ${lookAheadMinutes} minutes`);
 
                 // Calculate savings (handle both positive and negative cases)
                 const savings = currentPriceValue - lowestAvgPrice;
@@ -367,6 +517,185 @@ const getCachedPriceData = async (startDate, endDate) => {
                     message: "Not enough data available to calculate the best time.",
                 };
             }
+        } else if (action === "getPriceStatistics") {
+            const todayStart = startOfLocalDay(now, 0);
+            const tomorrowEnd = startOfLocalDay(now, 2);
+            const inRange = slots.filter(slot => slot.start >= statsStart && slot.start < statsEnd);
+            const todayAndTomorrow = slots.filter(slot => slot.start >= todayStart && slot.start < tomorrowEnd);
+
+            if (inRange.length === 0) {
+                msg.payload = {
+                    status: "error",
+                    message: "No prices available for the requested range.",
+                };
+                node.send(msg);
+                return;
+            }
+
+            const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+            const average = (list) => (list.length ? list.reduce((sum, v) => sum + v, 0) / list.length : null);
+            const values = inRange.map(slot => slot.price);
+            const sorted = [...values].sort((a, b) => a - b);
+
+            // Percentile with linear interpolation between neighbouring prices
+            const percentile = (p) => {
+                const rank = (p / 100) * (sorted.length - 1);
+                const lower = Math.floor(rank);
+                const upper = Math.ceil(rank);
+                return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+            };
+
+            const mean = average(values);
+            const standardDeviation = Math.sqrt(average(values.map(v => (v - mean) ** 2)));
+
+            // Peak is 08:00-20:00 local time on weekdays
+            const localParts = new Intl.DateTimeFormat("en-GB", {
+                timeZone: "Europe/Amsterdam",
+                weekday: "short",
+                hour: "2-digit",
+                hourCycle: "h23",
+            });
+            const isPeak = (slot) => {
+                const parts = localParts.formatToParts(new Date(slot.start));
+                const weekday = parts.find(part => part.type === "weekday").value;
+                const hour = parseInt(parts.find(part => part.type === "hour").value);
+                return weekday !== "Sat" && weekday !== "Sun" && hour >= 8 && hour < 20;
+            };
+            const peakAverage = average(inRange.filter(isPeak).map(slot => slot.price));
+            const offPeakAverage = average(inRange.filter(slot => !isPeak(slot)).map(slot => slot.price));
+
+            const slotFormatter = new Intl.DateTimeFormat("en-GB", {
+                timeZone: "Europe/Amsterdam",
+                weekday: "short",
+                hour: "2-digit",
+                minute: "2-digit",
+                hour12: false,
+            });
+            const describe = (slot) => ({ start: slotFormatter.format(new Date(slot.start)), timestamp: slot.timestamp, price: slot.price });
+            const cheapestSlots = [...inRange].sort((a, b) => a.price - b.price || a.start - b.start).slice(0, 3).map(describe);
+            const mostExpensiveSlots = [...inRange].sort((a, b) => b.price - a.price || a.start - b.start).slice(0, 3).map(describe);
+
+            // Rank 1 is the cheapest slot today and tomorrow; the percentile is the share of other slots that are cheaper
+            const currentSlot = slots.find(slot => slot.start <= now.getTime() && now.getTime() < slot.end);
+            let current = null;
+            if (currentSlot) {
+                const cheaper = todayAndTomorrow.filter(slot => slot.price < currentSlot.price).length;
+                current = {
+                    price: currentSlot.price,
+                    timestamp: currentSlot.timestamp,
+                    rank: cheaper + 1,
+                    count: todayAndTomorrow.length,
+                    percentile: Math.round(Math.min(100, (cheaper / Math.max(1, todayAndTomorrow.length - 1)) * 100) * 10) / 10,
+                };
+                node.warn(`[DEBUG] Current price ${current.price} €cents/kWh ranks ${current.rank} of ${current.count}`);
+            }
+
+            let message = `Prices range from ${sorted[0].toFixed(2)} to ${sorted[sorted.length - 1].toFixed(2)} €cents/kWh, averaging ${mean.toFixed(2)}.`;
+            if (current) {
+                message += ` The current price of ${current.price.toFixed(2)} €cents/kWh ranks ${current.rank} of ${current.count} today and tomorrow.`;
+            }
+
+            msg.payload = {
+                status: "success",
+                from: new Date(statsStart).toISOString(),
+                to: new Date(statsEnd).toISOString(),
+                count: values.length,
+                min: sorted[0],
+                max: sorted[sorted.length - 1],
+                mean: round(mean),
+                median: round(percentile(50)),
+                standardDeviation: round(standardDeviation),
+                percentiles: {
+                    p10: round(percentile(10)),
+                    p25: round(percentile(25)),
+                    p50: round(percentile(50)),
+                    p75: round(percentile(75)),
+                    p90: round(percentile(90)),
+                },
+                cheapestSlots,
+                mostExpensiveSlots,
+                peakAverage: round(peakAverage),
+                offPeakAverage: round(offPeakAverage),
+                peakSpread: peakAverage === null || offPeakAverage === null ? null : round(peakAverage - offPeakAverage),
+                current,
+                unit: "€cents/kWh",
+                message,
+            };
+        } else if (action === "getPriceAlerts") {
+            const upcoming = slots.filter(slot => slot.end > now.getTime());
+            const negativeThreshold = msg.payload.negativeThreshold !== undefined ? Number(msg.payload.negativeThreshold) : 0;
+            const average = upcoming.reduce((sum, slot) => sum + slot.price, 0) / upcoming.length;
+            const spikeThreshold = msg.payload.spikeThreshold !== undefined ? Number(msg.payload.spikeThreshold) : 2 * Math.abs(average);
+
+            if (upcoming.length === 0 || isNaN(negativeThreshold) || isNaN(spikeThreshold)) {
+                msg.payload = {
+                    status: "error",
+                    message: upcoming.length === 0
+                        ? "No future prices available."
+                        : "Invalid negativeThreshold or spikeThreshold parameter. Must be a number in €cents/kWh.",
+                };
+                node.send(msg);
+                return;
+            }
+
+            const formatter = new Intl.DateTimeFormat("en-GB", {
+                timeZone: "Europe/Amsterdam",
+                weekday: "short",
+                hour: "2-digit",
+                minute: "2-digit",
+                hour12: false,
+            });
+
+            // Merge consecutive matching slots into windows; valuePerKwh is in € per kWh
+            const findWindows = (matches, valueSign) => {
+                const windows = [];
+                for (const slot of upcoming) {
+                    if (!matches(slot.price)) continue;
+                    const last = windows[windows.length - 1];
+                    if (last && last.end === slot.start) {
+                        last.end = slot.end;
+                        last.slots.push(slot);
+                    } else {
+                        windows.push({ start: slot.start, end: slot.end, slots: [slot] });
+                    }
+                }
+                return windows.map(window => {
+                    const prices = window.slots.map(slot => slot.price);
+                    const averagePrice = window.slots.reduce((sum, slot) => sum + slot.price * (slot.end - slot.start), 0) / (window.end - window.start);
+                    return {
+                        start: formatter.format(new Date(window.start)),
+                        end: formatter.format(new Date(window.end)),
+                        startTime: new Date(window.start).toISOString(),
+                        endTime: new Date(window.end).toISOString(),
+                        durationMinutes: (window.end - window.start) / 60000,
+                        minPrice: Math.min(...prices),
+                        maxPrice: Math.max(...prices),
+                        averagePrice: Math.round(averagePrice * 100) / 100,
+                        valuePerKwh: Math.round(valueSign * averagePrice * 100) / 10000,
+                    };
+                });
+            };
+
+            const negativeWindows = findWindows(price => price < negativeThreshold, -1);
+            const spikeWindows = findWindows(price => price > spikeThreshold, 1);
+            node.warn(`[DEBUG] Found ${negativeWindows.length} negative window(s) and ${spikeWindows.length} spike(s)`);
+
+            const alerts = [
+                ...negativeWindows.map(w => `Negative prices ${w.start}-${w.end}, down to ${w.minPrice.toFixed(2)} €cents/kWh.`),
+                ...spikeWindows.map(w => `Price spike ${w.start}-${w.end}, up to ${w.maxPrice.toFixed(2)} €cents/kWh.`),
+            ];
+
+            msg.payload = {
+                status: "success",
+                negativeWindows,
+                spikeWindows,
+                thresholds: {
+                    negative: negativeThreshold,
+                    spike: Math.round(spikeThreshold * 100) / 100,
+                },
+                unit: "€cents/kWh",
+                message: alerts.length > 0 ? alerts.join(" ") : "No negative prices or spikes in the available prices.",
+            };
         } else {
             msg.payload = {
                 status: "error",
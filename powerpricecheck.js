@@ -4,134 +4,1461 @@
  */
 
 const entsoeClient = require('./entsoe-client.js');
-
-// Load API token from environment (required)
-const ENTSOE_API_TOKEN = process.env.ENTSOE_API_TOKEN;
-
-if (!ENTSOE_API_TOKEN) {
-  throw new Error('ENTSOE_API_TOKEN environment variable is required. Get your token at https://transparency.entsoe.eu/');
-}
+const { DEFAULT_ZONE, resolveZone } = require('./bidding-zones.js');
+const { getZonedParts, getZonedDay, startOfZonedDay } = require('./zone-time.js');
+const { normalizeTariff, normalizeFeedIn, applyTariff, applyFeedIn } = require('./tariff.js');
+const { QUARTER_HOUR_MS, toSlots, findBestWindow, getAvailableMinutes } = require('./scheduler.js');
+const { normalizeLoadProfile, getProfileCost, findCheapestStart } = require('./load-profile.js');
+const { resolveConstraints, expandExcludedRanges } = require('./constraints.js');
+const { priceQuarters, planInterruptibleSlots } = require('./interruptible-load.js');
+const { connectionCapacityKw, planHousehold: planHouseholdJobs } = require('./household-planner.js');
+const { normalizeBattery, optimizeBattery: optimizeBatterySlots } = require('./battery-optimizer.js');
+const { normalizeEv, getNeededGridKwh, chargeImmediately, planEvCharging: planEvQuarters } = require('./ev-planner.js');
+const { normalizeHeatPump, normalizeOutdoorSeries, outdoorTempAt, planHeating, runThermostat } = require('./heat-pump-planner.js');
+const {
+  normalizeSolar,
+  annotateSurplus,
+  getSolarShare,
+  getEffectivePrice,
+  applySolar,
+  annotateQuarters,
+  getWindowSolarShare,
+  getProfileSolarKwh
+} = require('./solar.js');
+const { DEFAULT_PEAK_HOURS, isPeakSlot, summarizePrices, rankPrice } = require('./price-statistics.js');
+const { normalizePriceLevels, getAverageBounds, getQuantileBounds, assignLevels } = require('./price-levels.js');
+const { findPriceWindows, getDefaultSpikeThreshold } = require('./price-alerts.js');
+const { createMemoryStore, createFileStore } = require('./price-store.js');
+const { createPriceMonitor } = require('./price-monitor.js');
+const {
+  EntsoeError,
+  EntsoeAuthError,
+  EntsoeNoDataError,
+  EntsoeRateLimitError,
+  EntsoeNetworkError
+} = require('./entsoe-errors.js');
 
 /**
- * Get price data from ENTSO-E API
- * @returns {Promise<Array>} Price data
+ * Resolve the duration and look-ahead of a window search to minutes
+ * Accepts (durationHours, lookAheadHours, options) or a single options object with
+ * durationMinutes and lookAheadMinutes.
+ * @param {number|Object} durationHours - Duration in hours, or the options object
+ * @param {number} lookAheadHours - Look-ahead in hours
+ * @param {Object} options - Options; durationMinutes and lookAheadMinutes take precedence
+ * @returns {Object} { durationMinutes, lookAheadMinutes, options }
+ * @throws {Error} When the duration is not a positive multiple of 15 minutes or the look-ahead is not positive
  */
-const getPriceData = async () => {
-  return await entsoeClient.getPriceData(ENTSOE_API_TOKEN);
+const resolveWindowArgs = (durationHours, lookAheadHours, options) => {
+  if (durationHours && typeof durationHours === 'object') {
+    return resolveWindowArgs(undefined, undefined, durationHours);
+  }
+  const durationMinutes = options.durationMinutes !== undefined
+    ? options.durationMinutes
+    : (durationHours === undefined ? 1 : durationHours) * 60;
+  const lookAheadMinutes = options.lookAheadMinutes !== undefined
+    ? options.lookAheadMinutes
+    : (lookAheadHours === undefined ? 24 : lookAheadHours) * 60;
+  if (typeof durationMinutes !== 'number' || !(durationMinutes > 0) || durationMinutes % 15 !== 0) {
+    throw new Error(`Invalid duration: ${durationMinutes} minutes (expected a positive multiple of 15)`);
+  }
+  if (typeof lookAheadMinutes !== 'number' || !(lookAheadMinutes > 0)) {
+    throw new Error(`Invalid look-ahead: ${lookAheadMinutes} minutes`);
+  }
+  return { durationMinutes, lookAheadMinutes, options };
 };
 
 /**
- * Get the current energy price
- * @returns {Promise<Object>} Current price information
+ * Get the time range of a window search over the current and future slots
+ * Searching starts at the current quarter hour (or the start of the first slot when that is
+ * later) and windows must end within the look-ahead. When the clock lies outside the first
+ * slot, e.g. for replayed data, the first slot's start is used as the current time.
+ * @param {Array} upcoming - Current and future price entries, sorted by timestamp
+ * @param {number} now - Current time in milliseconds
+ * @param {number} lookAheadMinutes - Look-ahead in minutes
+ * @returns {Object} { from, until } in milliseconds
  */
-const getCurrentPrice = async () => {
-  const prices = await getPriceData();
-  const current = prices.find(p => p.period === 'current');
+const getSearchRange = (upcoming, now, lookAheadMinutes) => {
+  const firstStart = new Date(upcoming[0].timestamp).getTime();
+  const firstEnd = firstStart + (upcoming[0].resolutionMinutes || 60) * 60 * 1000;
+  const reference = now >= firstStart && now < firstEnd ? now : firstStart;
   return {
-    price: current.price,
-    timestamp: current.timestamp,
-    hour: current.hour,
-    unit: '€cents/kWh'
+    from: Math.max(firstStart, Math.floor(reference / QUARTER_HOUR_MS) * QUARTER_HOUR_MS),
+    until: reference + lookAheadMinutes * 60 * 1000
   };
 };
 
 /**
- * Get past energy prices
- * @param {number} hours - Number of hours to look back (default: 24)
- * @returns {Promise<Array>} Array of past price data
+ * Narrow a search range to the scheduling constraints
+ * @param {Object|null} constraints - Constraints from resolveConstraints()
+ * @param {number} from - Search start in milliseconds
+ * @param {number} until - Search end in milliseconds
+ * @param {string} timeZone - Bidding zone timezone
+ * @returns {Object} { from, until, excluded } with excluded ranges as { start, end }
  */
-const getPastPrices = async (hours = 24) => {
-  const prices = await getPriceData();
-  const pastPrices = prices.filter(p => p.period === 'past').slice(-hours);
-  return pastPrices.map(p => ({
-    price: p.price,
-    timestamp: p.timestamp,
-    hour: p.hour,
-    unit: '€cents/kWh'
-  }));
+const constrainSearchRange = (constraints, from, until, timeZone) => {
+  if (!constraints) return { from, until, excluded: [] };
+
+  if (constraints.earliestStart !== null) from = Math.max(from, constraints.earliestStart);
+  if (constraints.latestEnd !== null) until = Math.min(until, constraints.latestEnd);
+  const excluded = until > from ? expandExcludedRanges(constraints.excludedRanges, from, until, timeZone) : [];
+  return { from, until, excluded };
 };
 
 /**
- * Get future energy prices
- * @param {number} hours - Number of hours to look ahead (default: 24)
- * @returns {Promise<Array>} Array of future price data
+ * Describe a search range in the bidding zone's local time, for messages
+ * @param {number} from - Range start in milliseconds
+ * @param {number} until - Range end in milliseconds
+ * @param {string} timeZone - Bidding zone timezone
+ * @returns {string} 'between <start> and <end>'
+ */
+const describeRange = (from, until, timeZone) =>
+  `between ${new Date(from).toLocaleString(undefined, { timeZone })} and ${new Date(until).toLocaleString(undefined, { timeZone })}`;
+
+/**
+ * Build the result of a search whose constraints leave no solution
+ * `error` repeats the reason so callers that check for errors treat it as one.
+ * @param {string} reason - Why nothing fits
+ * @param {Object} range - Constrained search range { from, until, excluded }
+ * @returns {Object} { infeasible, reason, error, constraints }
  */
-const getFuturePrices = async (hours = 24) => {
-  const prices = await getPriceData();
-  const futurePrices = prices.filter(p => p.period === 'future').slice(0, hours);
-  return futurePrices.map(p => ({
-    price: p.price,
-    timestamp: p.timestamp,
-    hour: p.hour,
-    unit: '€cents/kWh'
-  }));
+const infeasibleResult = (reason, range) => ({
+  infeasible: true,
+  error: reason,
+  reason,
+  constraints: {
+    earliestStart: new Date(range.from).toISOString(),
+    latestEnd: new Date(range.until).toISOString(),
+    excludedRanges: range.excluded.map(r => ({
+      startTime: new Date(r.start).toISOString(),
+      endTime: new Date(r.end).toISOString()
+    }))
+  }
+});
+
+/**
+ * Validate a household job
+ * @param {Object} job - Job from planHousehold() options
+ * @returns {Object} Job with defaults applied
+ */
+const validateJob = (job) => {
+  const { id, powerKw, durationMinutes, after = [], interruptible = false, minBlockMinutes = 15, maxSwitches } = job;
+  if (typeof id !== 'string' || id === '') {
+    throw new Error(`Invalid job id: ${id}`);
+  }
+  if (typeof powerKw !== 'number' || !(powerKw > 0)) {
+    throw new Error(`Invalid powerKw for job ${id}: ${powerKw}`);
+  }
+  if (typeof durationMinutes !== 'number' || !(durationMinutes > 0)) {
+    throw new Error(`Invalid durationMinutes for job ${id}: ${durationMinutes}`);
+  }
+  if (!Array.isArray(after)) {
+    throw new Error(`Invalid after for job ${id}: expected an array of job ids`);
+  }
+  return { ...job, id, powerKw, durationMinutes, after, interruptible, minBlockMinutes, maxSwitches };
 };
 
+// Costs in euros are kept to a hundredth of a cent
+const roundEuros = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Pick the public fields of a price entry
+ * @param {Object} p - Price entry
+ * @returns {Object} { price, wholesalePrice, consumerPrice, timestamp, hour, unit }
+ */
+const formatPrice = (p) => ({
+  price: p.price,
+  wholesalePrice: p.wholesalePrice,
+  consumerPrice: p.consumerPrice,
+  timestamp: p.timestamp,
+  hour: p.hour,
+  unit: '€cents/kWh'
+});
+
 /**
- * Recommend the best time to run an appliance
- * @param {number} durationHours - How long the appliance will run (default: 1)
- * @param {number} lookAheadHours - How many hours ahead to check (default: 24)
- * @returns {Promise<Object>} Recommendation with best time slot and potential savings
+ * Create a price checker with its own configuration and isolated price cache
+ * @param {Object} [config] - Checker configuration
+ * @param {string} [config.token] - ENTSO-E API token
+ * @param {string} [config.zone] - Default bidding zone alias or EIC code (default: 'NL')
+ * @param {string} [config.preferResolution] - 'PT15M' or 'PT60M' when both are published (default: finest available)
+ * @param {Object} [config.cache] - Price cache from entsoeClient.createPriceCache() (default: a new cache)
+ * @param {Function} [config.clock] - Returns the current time in milliseconds (default: Date.now)
+ * @param {Object} [config.store] - Persistent price store from price-store.js (default: none)
+ * @param {number} [config.pollIntervalMs] - Refetch interval while tomorrow's prices are overdue (default: 5 minutes)
+ * @param {Object|boolean} [config.retry] - { retries, baseDelayMs, maxDelayMs }, or false to disable retries
+ * @param {Object} [config.rateLimiter] - Limiter from entsoeClient.createRateLimiter() (default: shared limiter per token)
+ * @param {Object} [config.tariff] - Consumer tariff (see tariff.js); prices then also carry consumerPrice
+ * @param {Object} [config.feedIn] - Feed-in tariff for exported energy (default: spot price without fee or VAT)
+ * @param {Object} [config.priceLevels] - How prices are classified into levels (see price-levels.js; default: day quantiles)
+ * @returns {Object} Price checker instance
  */
-const recommendBestTime = async (durationHours = 1, lookAheadHours = 24) => {
-  const prices = await getPriceData();
-  const currentAndFuture = prices.filter(p => p.period === 'current' || p.period === 'future').slice(0, lookAheadHours + 1);
-  
-  if (currentAndFuture.length < durationHours) {
+const createPriceChecker = (config = {}) => {
+  const {
+    token,
+    zone = DEFAULT_ZONE,
+    preferResolution,
+    cache = entsoeClient.createPriceCache(),
+    clock = Date.now,
+    pollIntervalMs,
+    store = null,
+    retry,
+    rateLimiter
+  } = config;
+  const tariff = config.tariff ? normalizeTariff(config.tariff) : null;
+  const feedIn = normalizeFeedIn(config.feedIn);
+  const priceLevels = normalizePriceLevels(config.priceLevels);
+
+  /**
+   * Add wholesale and consumer prices, with `price` on the requested basis
+   * @param {Array} prices - Price entries
+   * @param {Object} options - Options with zone and basis
+   * @returns {Array} Price entries with wholesalePrice and consumerPrice
+   */
+  const withTariff = (prices, options) => applyTariff(prices, tariff, {
+    timeZone: resolveZone(options.zone || zone).timeZone,
+    basis: options.basis
+  });
+
+  /**
+   * Get price data from ENTSO-E API
+   * @param {Object} [options] - Options
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {string} [options.preferResolution] - 'PT15M' or 'PT60M' (default: the checker's preference)
+   * @param {string} [options.basis] - 'consumer' or 'wholesale' (default: the tariff's basis)
+   * @returns {Promise<Array>} Price data
+   */
+  const getPriceData = async (options = {}) => {
+    if (!token) {
+      throw new EntsoeAuthError('ENTSO-E API token is required. Get your token at https://transparency.entsoe.eu/');
+    }
+    const prices = await entsoeClient.getPriceData(token, {
+      zone: options.zone || zone,
+      preferResolution: options.preferResolution || preferResolution,
+      cache,
+      clock,
+      pollIntervalMs,
+      store,
+      retry,
+      rateLimiter
+    });
+    return withTariff(prices, options);
+  };
+
+  /**
+   * Get the current and future price entries with export prices, and the PV surplus per slot when
+   * a solar forecast is passed
+   * @param {Object} options - Options with zone, basis and solar
+   * @returns {Promise<Array>} Price entries, current first, with exportPrice and surplusKw (0 without solar)
+   */
+  const getUpcomingPrices = async (options) => {
+    const solar = options.solar ? normalizeSolar(options.solar) : { forecastKw: [], baseLoadKw: 0 };
+    const { timeZone } = resolveZone(options.zone || zone);
+    const prices = await getPriceData(options);
+    const upcoming = prices.filter(p => p.period === 'current' || p.period === 'future');
+    return annotateSurplus(applyFeedIn(upcoming, feedIn, { timeZone }), solar);
+  };
+
+  // Trailing averages by zone, basis, days and local day; the history before today does not change
+  const trailingAverages = new Map();
+
+  /**
+   * Get the average price of the local days before today
+   * Computed once per zone, basis, day count and local day; days before yesterday are requested as a range.
+   * @param {Array} prices - Price entries from getPriceData(), in time order
+   * @param {number} days - Number of days to average
+   * @param {Object} options - Options with zone and basis
+   * @returns {Promise<number>} Average price
+   */
+  const getTrailingAverage = (prices, days, options) => {
+    const { code, timeZone } = resolveZone(options.zone || zone);
+    const todayStart = startOfZonedDay(clock(), timeZone);
+    const basis = options.basis || (tariff ? tariff.basis : 'wholesale');
+    const today = getZonedDay(todayStart, timeZone);
+    const key = `${code}|${basis}|${days}|${today}`;
+
+    if (!trailingAverages.has(key)) {
+      const load = async () => {
+        const from = startOfZonedDay(clock(), timeZone, -days);
+        let history = prices.filter(p => {
+          const time = new Date(p.timestamp).getTime();
+          return time >= from && time < todayStart;
+        });
+        const earliest = history.length ? new Date(history[0].timestamp).getTime() : todayStart;
+        if (earliest > from) {
+          history = [...await getPrices({ ...options, from, to: earliest }), ...history];
+        }
+        if (history.length === 0) {
+          throw new Error(`No prices for the trailing ${days}-day average`);
+        }
+        return history.reduce((sum, p) => sum + p.price, 0) / history.length;
+      };
+      // Drop averages of earlier days, and failed loads so the next call retries
+      for (const stale of trailingAverages.keys()) {
+        if (!stale.endsWith(`|${today}`)) trailingAverages.delete(stale);
+      }
+      const average = load();
+      average.catch(() => trailingAverages.delete(key));
+      trailingAverages.set(key, average);
+    }
+    return trailingAverages.get(key);
+  };
+
+  /**
+   * Add the relative price level to price entries
+   * Levels are assigned over all entries in time order, so hysteresis carries over from earlier slots.
+   * @param {Array} prices - Price entries from getPriceData(), in time order
+   * @param {Object} options - Options with zone, basis and priceLevels
+   * @returns {Promise<Array>} Price entries with level
+   */
+  const withLevels = async (prices, options) => {
+    const levels = options.priceLevels ? normalizePriceLevels(options.priceLevels) : priceLevels;
+    const { timeZone } = resolveZone(options.zone || zone);
+    const dayOf = (p) => getZonedDay(new Date(p.timestamp), timeZone);
+    let boundsFor;
+
+    if (levels.strategy === 'absolute') {
+      boundsFor = () => levels.thresholds;
+    } else if (levels.strategy === 'quantiles') {
+      const byDay = new Map();
+      for (const p of prices) {
+        const day = dayOf(p);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(p);
+      }
+      const bounds = new Map([...byDay].map(([day, entries]) => [day, getQuantileBounds(entries, levels.thresholds)]));
+      boundsFor = (p) => bounds.get(dayOf(p));
+    } else {
+      const bounds = getAverageBounds(await getTrailingAverage(prices, levels.days, options), levels.thresholds);
+      boundsFor = () => bounds;
+    }
+
+    const names = assignLevels(prices, boundsFor, levels.hysteresis);
+    return prices.map((p, i) => ({ ...p, level: names[i] }));
+  };
+
+  /**
+   * Get the current energy price
+   * @param {Object} [options] - Options
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {string} [options.basis] - 'consumer' or 'wholesale' price basis (default: the tariff's basis)
+   * @param {Object} [options.priceLevels] - Price level configuration (default: the checker's)
+   * @returns {Promise<Object>} Current price information with its level
+   */
+  const getCurrentPrice = async (options = {}) => {
+    const prices = await withLevels(await getPriceData(options), options);
+    const current = prices.find(p => p.period === 'current');
+    return { ...formatPrice(current), level: current.level };
+  };
+
+  /**
+   * Get prices for an arbitrary time range, e.g. a month for a report
+   * @param {Object} options - Options
+   * @param {Date|number|string} options.from - Range start
+   * @param {Date|number|string} options.to - Range end (exclusive)
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {string} [options.basis] - 'consumer' or 'wholesale' price basis (default: the tariff's basis)
+   * @returns {Promise<Array>} Array of price data within the range
+   */
+  const getPrices = async (options) => {
+    if (!token) {
+      throw new EntsoeAuthError('ENTSO-E API token is required. Get your token at https://transparency.entsoe.eu/');
+    }
+    const prices = await entsoeClient.getPrices(token, {
+      from: options.from,
+      to: options.to,
+      zone: options.zone || zone,
+      preferResolution: options.preferResolution || preferResolution,
+      clock,
+      store,
+      retry,
+      rateLimiter
+    });
+    return withTariff(prices, options).map(formatPrice);
+  };
+
+  /**
+   * Get past energy prices
+   * Slots are selected by time, so 24 hours are 24 hourly or 96 quarter-hour entries. History
+   * older than yesterday is requested as a range (read from the store when configured).
+   * @param {number} hours - Number of hours to look back from the end of the last past slot (default: 24)
+   * @param {Object} [options] - Options
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {string} [options.basis] - 'consumer' or 'wholesale' price basis (default: the tariff's basis)
+   * @returns {Promise<Array>} Array of past price data
+   */
+  const getPastPrices = async (hours = 24, options = {}) => {
+    const prices = await getPriceData(options);
+    let pastPrices = prices.filter(p => p.period === 'past');
+    if (pastPrices.length === 0) return [];
+
+    const last = pastPrices[pastPrices.length - 1];
+    const until = new Date(last.timestamp).getTime() + (last.resolutionMinutes || 60) * 60 * 1000;
+    const from = until - hours * 60 * 60 * 1000;
+    const earliest = new Date(pastPrices[0].timestamp).getTime();
+    if (earliest > from) {
+      const olderPrices = await getPrices({ ...options, from, to: earliest });
+      pastPrices = [...olderPrices, ...pastPrices];
+    }
+
+    return pastPrices.filter(p => new Date(p.timestamp).getTime() >= from).map(formatPrice);
+  };
+
+  /**
+   * Get future energy prices
+   * Slots are selected by time, so 24 hours are 24 hourly or 96 quarter-hour entries.
+   * @param {number} hours - Number of hours to look ahead from the end of the current slot (default: 24)
+   * @param {Object} [options] - Options
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {string} [options.basis] - 'consumer' or 'wholesale' price basis (default: the tariff's basis)
+   * @param {Object} [options.priceLevels] - Price level configuration (default: the checker's)
+   * @returns {Promise<Array>} Array of future price data with levels
+   */
+  const getFuturePrices = async (hours = 24, options = {}) => {
+    const prices = await withLevels(await getPriceData(options), options);
+    const future = prices.filter(p => p.period === 'future');
+    const until = future.length > 0 ? new Date(future[0].timestamp).getTime() + hours * 60 * 60 * 1000 : 0;
+    const futurePrices = future.filter(p => new Date(p.timestamp).getTime() < until);
+    return futurePrices.map(p => ({ ...formatPrice(p), level: p.level }));
+  };
+
+  /**
+   * Get statistics of the prices in a range, and how the current price ranks today and tomorrow
+   * @param {Object} [options] - Options
+   * @param {Date|number|string} [options.from] - Range start (default: start of today in the zone)
+   * @param {Date|number|string} [options.to] - Range end, exclusive (default: end of tomorrow in the zone)
+   * @param {Array} [options.percentiles] - Percentiles to report (default: [10, 25, 50, 75, 90])
+   * @param {number} [options.slotCount] - Number of cheapest and most expensive slots (default: 3)
+   * @param {Object} [options.peakHours] - Local peak hours on weekdays as { from, to } (default: { from: 8, to: 20 })
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {string} [options.basis] - 'consumer' or 'wholesale' price basis (default: the tariff's basis)
+   * @returns {Promise<Object>} Statistics, or { error } when the range has no prices
+   */
+  const getPriceStatistics = async (options = {}) => {
+    const { slotCount = 3, peakHours = DEFAULT_PEAK_HOURS } = options;
+    if (!Number.isInteger(slotCount) || slotCount < 0) {
+      throw new Error(`Invalid slotCount: ${slotCount}`);
+    }
+    const validHour = (hour) => typeof hour === 'number' && hour >= 0 && hour <= 24;
+    if (!peakHours || !validHour(peakHours.from) || !validHour(peakHours.to) || peakHours.from >= peakHours.to) {
+      throw new Error('Invalid peakHours: expected { from, to } as local hours with from before to');
+    }
+
+    const { timeZone } = resolveZone(options.zone || zone);
+    const now = clock();
+    const todayStart = startOfZonedDay(now, timeZone);
+    const tomorrowEnd = startOfZonedDay(now, timeZone, 2);
+    const prices = await getPriceData(options);
+    const todayAndTomorrow = prices.filter(p => {
+      const time = new Date(p.timestamp).getTime();
+      return time >= todayStart && time < tomorrowEnd;
+    });
+
+    const from = options.from === undefined ? todayStart : new Date(options.from).getTime();
+    const to = options.to === undefined ? tomorrowEnd : new Date(options.to).getTime();
+    const inRange = options.from === undefined && options.to === undefined
+      ? todayAndTomorrow.map(formatPrice)
+      : await getPrices({ ...options, from, to });
+    if (inRange.length === 0) {
+      return { error: 'No prices available for the requested range' };
+    }
+
+    const stats = summarizePrices(inRange, {
+      percentiles: options.percentiles,
+      slotCount,
+      isPeak: p => isPeakSlot(p.timestamp, timeZone, peakHours)
+    });
+    const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+    const current = prices.find(p => p.period === 'current');
+    const currentRank = current ? rankPrice(current.price, todayAndTomorrow) : null;
+
     return {
-      error: 'Not enough data for the requested duration'
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      count: stats.count,
+      min: stats.min,
+      max: stats.max,
+      mean: round(stats.mean),
+      median: round(stats.median),
+      standardDeviation: round(stats.standardDeviation),
+      percentiles: Object.fromEntries(Object.entries(stats.percentiles).map(([key, value]) => [key, round(value)])),
+      cheapestSlots: stats.cheapestSlots,
+      mostExpensiveSlots: stats.mostExpensiveSlots,
+      peakHours: { from: peakHours.from, to: peakHours.to },
+      peakAverage: round(stats.peakAverage),
+      offPeakAverage: round(stats.offPeakAverage),
+      peakSpread: round(stats.peakSpread),
+      current: current ? {
+        price: current.price,
+        timestamp: current.timestamp,
+        rank: currentRank.rank,
+        count: currentRank.count,
+        percentile: Math.round(currentRank.percentile * 10) / 10
+      } : null,
+      basis: options.basis || (tariff ? tariff.basis : 'wholesale'),
+      unit: '€cents/kWh'
     };
-  }
-  
-  let bestSlot = null;
-  let lowestAvgPrice = Infinity;
-  
-  // Find the time slot with the lowest average price
-  for (let i = 0; i <= currentAndFuture.length - durationHours; i++) {
-    const slot = currentAndFuture.slice(i, i + durationHours);
-    const avgPrice = slot.reduce((sum, p) => sum + p.price, 0) / slot.length;
-    
-    if (avgPrice < lowestAvgPrice) {
-      lowestAvgPrice = avgPrice;
-      const startDate = new Date(slot[0].timestamp);
-      const endDate = new Date(startDate.getTime() + durationHours * 60 * 60 * 1000);
-      bestSlot = {
-        startTime: slot[0].timestamp,
-        startHour: slot[0].hour,
-        endTime: endDate.toISOString(),
-        endHour: endDate.getUTCHours(),
-        averagePrice: Math.round(avgPrice * 100) / 100,
-        prices: slot.map(p => ({
-          timestamp: p.timestamp,
-          hour: p.hour,
-          price: p.price
-        }))
+  };
+
+  /**
+   * Recommend the best time to run an appliance
+   * Windows start on 15-minute boundaries and prices are averaged weighted by duration, so
+   * 15-minute data is used at full resolution. With a load profile the start with the lowest
+   * total cost in euros is chosen instead, and the duration follows from the profile.
+   * @param {number|Object} durationHours - How long the appliance will run (default: 1), or an options object
+   * @param {number} lookAheadHours - How many hours ahead to check (default: 24)
+   * @param {Object} [options] - Options
+   * @param {number} [options.durationMinutes] - Duration in minutes (overrides durationHours)
+   * @param {number} [options.lookAheadMinutes] - Look-ahead in minutes (overrides lookAheadHours)
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {string} [options.basis] - 'consumer' or 'wholesale' price basis (default: the tariff's basis)
+   * @param {Array|Object} [options.loadProfile] - Energy profile of the appliance, see normalizeLoadProfile()
+   * @param {Date|number|string} [options.earliestStart] - Do not start before this instant or local 'HH:MM'
+   * @param {Date|number|string} [options.latestEnd] - Finish by this instant or local 'HH:MM'
+   * @param {Array} [options.excludedRanges] - Ranges as { from, to } the run must not overlap, e.g. quiet hours
+   * @param {Object} [options.solar] - PV forecast as { forecastKw, baseLoadKw }, see solar.js; slots are
+   *   then priced at the effective marginal price of the appliance
+   * @param {number} [options.powerKw] - Power the appliance draws, required with solar and no load profile
+   * @returns {Promise<Object>} Recommendation with best time slot and potential savings, or
+   *   { infeasible: true, reason } when the constraints leave no window
+   */
+  const recommendBestTime = async (durationHours, lookAheadHours, options = {}) => {
+    const window = resolveWindowArgs(durationHours, lookAheadHours, options);
+    const { lookAheadMinutes } = window;
+    options = window.options;
+    const profile = options.loadProfile ? normalizeLoadProfile(options.loadProfile) : null;
+    const durationMinutes = profile ? profile.durationMinutes : window.durationMinutes;
+    if (options.solar && !profile && (typeof options.powerKw !== 'number' || !(options.powerKw > 0))) {
+      throw new Error(`Invalid powerKw: ${options.powerKw} (required with a solar forecast)`);
+    }
+
+    const { timeZone } = resolveZone(options.zone || zone);
+    const constraints = resolveConstraints(options, { now: clock(), timeZone });
+    const upcoming = await getUpcomingPrices(options);
+    // With a PV forecast a fixed-power run pays the effective price; a profile pays it per phase
+    const currentAndFuture = options.solar && !profile ? applySolar(upcoming, options.powerKw) : upcoming;
+    const valueFor = options.solar ? (p, phase) => getEffectivePrice(p, phase.kWh * 60 / phase.durationMinutes) : undefined;
+    const search = currentAndFuture.length > 0
+      ? getSearchRange(currentAndFuture, clock(), lookAheadMinutes)
+      : {};
+    const currentStart = search.from;
+    const { from, until, excluded } = constrainSearchRange(constraints, search.from, search.until, timeZone);
+
+    // Constraint failures are reported as infeasible, plain data shortages as errors
+    const infeasible = constraints && currentAndFuture.length > 0
+      ? (reason) => infeasibleResult(reason, { from, until, excluded })
+      : null;
+    const between = () => describeRange(from, until, timeZone);
+
+    if (infeasible && until - from < durationMinutes * 60 * 1000) {
+      return infeasible(`A ${durationMinutes}-minute run does not fit ${between()}`);
+    }
+
+    if (currentAndFuture.length === 0 || getAvailableMinutes(currentAndFuture, from, until) < durationMinutes) {
+      return infeasible
+        ? infeasible(`Not enough price data ${between()}`)
+        : { error: 'Not enough data for the requested duration' };
+    }
+
+    // Find the cheapest run for the profile, or the window with the lowest duration-weighted average price
+    const best = profile
+      ? findCheapestStart(currentAndFuture, { from, until, profile, excluded, valueFor })
+      : findBestWindow(currentAndFuture, { from, until, durationMinutes, excluded });
+
+    if (!best) {
+      if (infeasible && excluded.length > 0) {
+        return infeasible(`No ${durationMinutes}-minute window ${between()} avoids the excluded time ranges`);
+      }
+      return {
+        error: 'Not enough contiguous data for the requested duration'
       };
     }
-  }
-  
-  // Calculate current price for comparison
-  const currentPrice = currentAndFuture[0].price;
-  const potentialSavings = Math.round((currentPrice - lowestAvgPrice) * 100) / 100;
-  const savingsPercentage = Math.round((potentialSavings / currentPrice) * 10000) / 100;
-  
+
+    const lowestAvgPrice = best.average;
+    const bestSlot = {
+      startTime: new Date(best.start).toISOString(),
+      startHour: getZonedParts(best.start, timeZone).hour,
+      endTime: new Date(best.end).toISOString(),
+      endHour: getZonedParts(best.end, timeZone).hour,
+      averagePrice: Math.round(lowestAvgPrice * 100) / 100,
+      prices: best.coverage.map(({ slot, minutes }) => ({
+        timestamp: slot.entry.timestamp,
+        hour: slot.entry.hour,
+        price: slot.entry.price,
+        wholesalePrice: slot.entry.wholesalePrice,
+        consumerPrice: slot.entry.consumerPrice,
+        minutes
+      }))
+    };
+
+    if (options.solar) {
+      const energyKwh = profile ? profile.energyKwh : options.powerKw * durationMinutes / 60;
+      const solarKwh = profile
+        ? getProfileSolarKwh(toSlots(currentAndFuture), best.start, profile)
+        : getWindowSolarShare(toSlots(currentAndFuture), best.start, best.end) * energyKwh;
+      bestSlot.solarKwh = Math.round(solarKwh * 1000) / 1000;
+      bestSlot.solarShare = Math.round(solarKwh / energyKwh * 1000) / 1000;
+    }
+
+    // Calculate current price for comparison
+    const currentPrice = currentAndFuture[0].price;
+    const potentialSavings = Math.round((currentPrice - lowestAvgPrice) * 100) / 100;
+    const savingsPercentage = Math.round((potentialSavings / currentPrice) * 10000) / 100;
+
+    if (profile) {
+      // Compare with starting the run in the current quarter hour, regardless of constraints
+      const currentCost = getProfileCost(toSlots(currentAndFuture), currentStart, profile, valueFor);
+      bestSlot.expectedCost = roundEuros(best.cost);
+      const costSavings = currentCost === null ? null : roundEuros(currentCost - best.cost);
+
+      return {
+        recommendation: bestSlot,
+        currentPrice: currentPrice,
+        currentCost: currentCost === null ? null : roundEuros(currentCost),
+        costSavings: costSavings,
+        energyKwh: profile.energyKwh,
+        basis: options.basis || (tariff ? tariff.basis : 'wholesale'),
+        unit: '€cents/kWh',
+        costUnit: '€',
+        durationHours: durationMinutes / 60,
+        durationMinutes: durationMinutes,
+        message: costSavings > 0
+          ? `Wait until ${new Date(bestSlot.startTime).toLocaleTimeString(undefined, { timeZone })} to save €${costSavings} on this run`
+          : 'Current time is already optimal'
+      };
+    }
+
+    return {
+      recommendation: bestSlot,
+      currentPrice: currentPrice,
+      potentialSavings: potentialSavings,
+      savingsPercentage: savingsPercentage,
+      basis: options.basis || (tariff ? tariff.basis : 'wholesale'),
+      unit: '€cents/kWh',
+      durationHours: durationMinutes / 60,
+      durationMinutes: durationMinutes,
+      message: potentialSavings > 0
+        ? `Wait until ${new Date(bestSlot.startTime).toLocaleTimeString(undefined, { timeZone })} to save ${potentialSavings} €cents/kWh (${savingsPercentage}%)`
+        : 'Current time is already optimal'
+    };
+  };
+
+  /**
+   * Plan an interruptible load, such as EV charging or boiler heating, on the cheapest quarters
+   * The load may be switched on and off, but each block lasts at least minBlockMinutes and it is
+   * switched on at most maxSwitches times. Savings are relative to the best contiguous window.
+   * @param {Object} options - Options
+   * @param {number} options.runtimeMinutes - Total runtime, rounded up to whole quarter hours
+   * @param {Date|number|string} [options.deadline] - Finish by this instant or local 'HH:MM' (default: end of look-ahead)
+   * @param {number} [options.minBlockMinutes] - Minimum length of each block (default: 15)
+   * @param {number} [options.maxSwitches] - Maximum number of blocks (default: unlimited)
+   * @param {number} [options.powerKw] - Power drawn while running, for costs (default: 1)
+   * @param {Date|number|string} [options.earliestStart] - Do not start before this instant or local 'HH:MM'
+   * @param {Array} [options.excludedRanges] - Ranges as { from, to } the load must not run in
+   * @param {number} [options.lookAheadMinutes] - Search range without a deadline (default: 1440)
+   * @param {Object} [options.solar] - PV forecast as { forecastKw, baseLoadKw }, see solar.js
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {string} [options.basis] - 'consumer' or 'wholesale' price basis (default: the tariff's basis)
+   * @returns {Promise<Object>} Plan with slots, total cost and savings, or { infeasible: true, reason }
+   */
+  const planInterruptibleLoad = async (options = {}) => {
+    const { runtimeMinutes, minBlockMinutes = 15, maxSwitches, powerKw = 1 } = options;
+    if (typeof runtimeMinutes !== 'number' || !(runtimeMinutes > 0)) {
+      throw new Error(`Invalid runtimeMinutes: ${runtimeMinutes}`);
+    }
+    if (typeof minBlockMinutes !== 'number' || !(minBlockMinutes > 0)) {
+      throw new Error(`Invalid minBlockMinutes: ${minBlockMinutes}`);
+    }
+    if (maxSwitches !== undefined && !(Number.isInteger(maxSwitches) && maxSwitches >= 1)) {
+      throw new Error(`Invalid maxSwitches: ${maxSwitches}`);
+    }
+    if (typeof powerKw !== 'number' || !(powerKw > 0)) {
+      throw new Error(`Invalid powerKw: ${powerKw}`);
+    }
+
+    const { timeZone } = resolveZone(options.zone || zone);
+    const constraints = resolveConstraints({
+      earliestStart: options.earliestStart,
+      latestEnd: options.deadline,
+      excludedRanges: options.excludedRanges
+    }, { now: clock(), timeZone });
+    const currentAndFuture = applySolar(await getUpcomingPrices(options), powerKw);
+    if (currentAndFuture.length === 0) {
+      return {
+        error: 'Not enough data for the requested runtime'
+      };
+    }
+
+    // A deadline replaces the default look-ahead
+    const lookAheadMinutes = options.lookAheadMinutes || (options.deadline !== undefined ? Infinity : 24 * 60);
+    const search = getSearchRange(currentAndFuture, clock(), lookAheadMinutes);
+    const range = constrainSearchRange(constraints, search.from, search.until, timeZone);
+    const { from, until, excluded } = range;
+    const plannedMinutes = Math.ceil(runtimeMinutes / 15) * 15;
+
+    if (until - from < plannedMinutes * 60 * 1000) {
+      return infeasibleResult(`${plannedMinutes} minutes of runtime do not fit ${describeRange(from, until, timeZone)}`, range);
+    }
+
+    const plan = planInterruptibleSlots(currentAndFuture, { from, until, runtimeMinutes, minBlockMinutes, maxSwitches, excluded });
+    if (!plan) {
+      const limits = `blocks of at least ${minBlockMinutes} minutes${maxSwitches ? ` and at most ${maxSwitches} switches` : ''}`;
+      return infeasibleResult(`No plan for ${plannedMinutes} minutes of runtime in ${limits} fits ${describeRange(from, until, timeZone)}`, range);
+    }
+
+    const energyKwh = powerKw * plannedMinutes / 60;
+    const totalCost = roundEuros(plan.priceSum * (powerKw / 4) / 100);
+    const contiguous = findBestWindow(currentAndFuture, { from, until, durationMinutes: plannedMinutes, excluded });
+    const contiguousCost = contiguous ? roundEuros(contiguous.average * energyKwh / 100) : null;
+    const savings = contiguous ? roundEuros(contiguousCost - totalCost) : null;
+
+    const priceSlots = toSlots(currentAndFuture);
+    const solarKwh = plan.quarters.reduce((sum, q) => sum + getWindowSolarShare(priceSlots, q.start, q.end) * powerKw / 4, 0);
+
+    return {
+      slots: plan.blocks.map(block => ({
+        startTime: new Date(block.start).toISOString(),
+        endTime: new Date(block.end).toISOString(),
+        minutes: (block.end - block.start) / 60000,
+        averagePrice: Math.round(block.average * 100) / 100
+      })),
+      runtimeMinutes: plannedMinutes,
+      switches: plan.blocks.length,
+      energyKwh,
+      totalCost,
+      averagePrice: Math.round(plan.priceSum / plan.quarters.length * 100) / 100,
+      contiguous: contiguous
+        ? {
+          startTime: new Date(contiguous.start).toISOString(),
+          endTime: new Date(contiguous.end).toISOString(),
+          averagePrice: Math.round(contiguous.average * 100) / 100,
+          cost: contiguousCost
+        }
+        : null,
+      savings,
+      solarKwh: Math.round(solarKwh * 1000) / 1000,
+      solarShare: Math.round(solarKwh / energyKwh * 1000) / 1000,
+      deadline: new Date(until).toISOString(),
+      basis: options.basis || (tariff ? tariff.basis : 'wholesale'),
+      unit: '€cents/kWh',
+      costUnit: '€',
+      message: savings > 0
+        ? `Run in ${plan.blocks.length} block(s) for €${totalCost}, €${savings} less than the best contiguous run`
+        : `Run in ${plan.blocks.length} block(s) for €${totalCost}`
+    };
+  };
+
+  /**
+   * Schedule several appliance jobs together under a power cap
+   * Jobs run within their own earliest start and deadline, after the jobs listed in `after`, and
+   * the combined load never exceeds the cap. The schedule minimises the total cost heuristically.
+   * @param {Object} options - Options
+   * @param {Array} options.jobs - Jobs as { id, powerKw, durationMinutes, earliestStart, deadline,
+   *   excludedRanges, after, interruptible, minBlockMinutes, maxSwitches }
+   * @param {number} [options.maxPowerKw] - Power cap per quarter hour (default: from connection, or unlimited)
+   * @param {Object} [options.connection] - Grid connection as { phases, amps, voltage }, e.g. 3 × 25A
+   * @param {number} [options.baseLoadKw] - Other household load counted against the cap (default: 0)
+   * @param {number} [options.lookAheadMinutes] - Planning horizon, extended to the latest deadline (default: 1440)
+   * @param {Object} [options.solar] - PV forecast as { forecastKw, baseLoadKw }, see solar.js; baseLoadKw
+   *   defaults to options.baseLoadKw and the surplus goes to the jobs in planning order
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {string} [options.basis] - 'consumer' or 'wholesale' price basis (default: the tariff's basis)
+   * @returns {Promise<Object>} Combined schedule with per-job slots, load per slot and total cost,
+   *   or { infeasible: true, reason, jobId }
+   */
+  const planHousehold = async (options = {}) => {
+    if (!Array.isArray(options.jobs) || options.jobs.length === 0) {
+      throw new Error('Invalid jobs: expected a non-empty array');
+    }
+    const jobs = options.jobs.map(validateJob);
+    const duplicate = jobs.find((job, i) => jobs.findIndex(other => other.id === job.id) !== i);
+    if (duplicate) {
+      throw new Error(`Duplicate job id: ${duplicate.id}`);
+    }
+    const capacityKw = options.maxPowerKw || (options.connection ? connectionCapacityKw(options.connection) : Infinity);
+    const baseLoadKw = options.baseLoadKw || 0;
+
+    const { timeZone } = resolveZone(options.zone || zone);
+    const now = clock();
+    const jobConstraints = jobs.map(job => resolveConstraints({
+      earliestStart: job.earliestStart,
+      latestEnd: job.deadline,
+      excludedRanges: job.excludedRanges
+    }, { now, timeZone }));
+
+    const solar = options.solar && { baseLoadKw, ...options.solar };
+    const currentAndFuture = await getUpcomingPrices({ ...options, solar });
+    if (currentAndFuture.length === 0) {
+      return {
+        error: 'Not enough data for the requested jobs'
+      };
+    }
+
+    const search = getSearchRange(currentAndFuture, now, options.lookAheadMinutes || 24 * 60);
+    const deadlines = jobConstraints.map(c => (c && c.latestEnd !== null ? c.latestEnd : search.until));
+    const from = search.from;
+    const until = Math.max(search.until, ...deadlines);
+    const quarters = annotateQuarters(priceQuarters(currentAndFuture, from, until, [], p => p.price), currentAndFuture);
+
+    const planned = jobs.map((job, i) => {
+      const range = constrainSearchRange(jobConstraints[i], from, deadlines[i], timeZone);
+      return {
+        ...job,
+        quarters: Math.ceil(job.durationMinutes / 15),
+        lo: Math.max(0, Math.ceil((range.from - from) / QUARTER_HOUR_MS)),
+        hi: Math.min(quarters.length, Math.floor((range.until - from) / QUARTER_HOUR_MS)),
+        blocked: quarters.map(q => range.excluded.some(r => r.start < q.end && q.start < r.end))
+      };
+    });
+
+    const oversized = planned.find(job => job.powerKw + baseLoadKw > capacityKw);
+    if (oversized) {
+      const reason = `Job ${oversized.id} needs ${oversized.powerKw + baseLoadKw} kW including the base load, more than the ${capacityKw} kW cap`;
+      return { infeasible: true, error: reason, reason, jobId: oversized.id };
+    }
+
+    const result = planHouseholdJobs(quarters, planned, { capacityKw, baseLoadKw });
+    if (result.failed) {
+      const reason = `Job ${result.failed} cannot be scheduled before its deadline` +
+        (capacityKw < Infinity ? ` within the ${capacityKw} kW cap` : '');
+      return { infeasible: true, error: reason, reason, jobId: result.failed };
+    }
+
+    const toEuros = (priceSum, powerKw) => priceSum * (powerKw / 4) / 100;
+    const scheduledJobs = planned.map(job => {
+      const { indices, priceSum, solarKwh } = result.placements.get(job.id);
+      const blocks = [];
+      for (const i of indices) {
+        const last = blocks[blocks.length - 1];
+        if (last && last.end === quarters[i].start) {
+          last.end = quarters[i].end;
+        } else {
+          blocks.push({ start: quarters[i].start, end: quarters[i].end });
+        }
+      }
+      return {
+        id: job.id,
+        startTime: new Date(blocks[0].start).toISOString(),
+        endTime: new Date(blocks[blocks.length - 1].end).toISOString(),
+        blocks: blocks.map(block => ({
+          startTime: new Date(block.start).toISOString(),
+          endTime: new Date(block.end).toISOString(),
+          minutes: (block.end - block.start) / 60000
+        })),
+        powerKw: job.powerKw,
+        energyKwh: job.powerKw * indices.length / 4,
+        cost: roundEuros(toEuros(priceSum, job.powerKw)),
+        averagePrice: Math.round(priceSum / indices.length * 100) / 100,
+        solarKwh: Math.round(solarKwh * 1000) / 1000
+      };
+    });
+
+    // Load of every quarter in which at least one job runs
+    const slots = quarters
+      .map((quarter, i) => ({
+        quarter,
+        jobs: planned.filter(job => result.placements.get(job.id).indices.includes(i)).map(job => job.id),
+        loadKw: Math.round(result.load[i] * 100) / 100
+      }))
+      .filter(slot => slot.jobs.length > 0)
+      .map(({ quarter, jobs: running, loadKw }) => ({
+        startTime: new Date(quarter.start).toISOString(),
+        endTime: new Date(quarter.end).toISOString(),
+        loadKw,
+        price: Math.round(quarter.price * 100) / 100,
+        jobs: running
+      }));
+
+    const totalCost = roundEuros(planned.reduce((sum, job) => sum + toEuros(result.placements.get(job.id).priceSum, job.powerKw), 0));
+    const peakLoadKw = Math.max(...slots.map(slot => slot.loadKw));
+
+    return {
+      jobs: scheduledJobs,
+      slots,
+      peakLoadKw,
+      maxPowerKw: capacityKw < Infinity ? capacityKw : null,
+      totalCost,
+      energyKwh: scheduledJobs.reduce((sum, job) => sum + job.energyKwh, 0),
+      solarKwh: Math.round(scheduledJobs.reduce((sum, job) => sum + job.solarKwh, 0) * 1000) / 1000,
+      basis: options.basis || (tariff ? tariff.basis : 'wholesale'),
+      unit: '€cents/kWh',
+      costUnit: '€',
+      message: `Scheduled ${jobs.length} job(s) for €${totalCost}, peak load ${peakLoadKw} kW` +
+        (capacityKw < Infinity ? ` of ${capacityKw} kW` : '')
+    };
+  };
+
+  /**
+   * Plan home battery charging and discharging on the future prices
+   * Charging pays the price on the chosen basis (the consumer price with a tariff), discharging
+   * earns the feed-in export price. The plan ends at or above endSoc, so the profit is pure arbitrage.
+   * @param {Object} battery - Battery as { capacityKwh, maxChargeKw, maxDischargeKw, roundTripEfficiency,
+   *   minSoc, currentSoc, endSoc, cycleCost }, see battery-optimizer.js
+   * @param {Object} [options] - Options
+   * @param {number} [options.lookAheadMinutes] - Only plan slots starting within this time (default: all future slots)
+   * @param {number} [options.socSteps] - State-of-charge levels over the capacity (default: 100)
+   * @param {Object} [options.solar] - PV forecast as { forecastKw, baseLoadKw }, see solar.js; charging
+   *   from the surplus forgoes the export price
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {string} [options.basis] - 'consumer' or 'wholesale' price basis for charging (default: the tariff's basis)
+   * @returns {Promise<Object>} Per-slot actions, state-of-charge trajectory and expected profit
+   */
+  const optimizeBattery = async (battery, options = {}) => {
+    const normalized = normalizeBattery(battery);
+    const prices = await getUpcomingPrices(options);
+    const limit = options.lookAheadMinutes ? clock() + options.lookAheadMinutes * 60 * 1000 : Infinity;
+    const future = prices.filter(p => p.period === 'future' && new Date(p.timestamp).getTime() < limit);
+
+    if (future.length === 0) {
+      return {
+        error: 'No future prices available'
+      };
+    }
+
+    const slots = future.map(p => {
+      const start = new Date(p.timestamp).getTime();
+      return {
+        start,
+        end: start + (p.resolutionMinutes || 60) * 60 * 1000,
+        buyPrice: p.price,
+        sellPrice: p.exportPrice,
+        surplusKw: p.surplusKw
+      };
+    });
+    const plan = optimizeBatterySlots(slots, normalized, { socSteps: options.socSteps });
+    if (!plan) {
+      return {
+        error: 'The battery cannot reach endSoc within the available prices'
+      };
+    }
+
+    const { capacityKwh } = normalized;
+    const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+    const schedule = plan.steps.map(({ slot, gridKwh, socEnd }) => {
+      const hours = (slot.end - slot.start) / 3600000;
+      const action = gridKwh > 1e-9 ? 'charge' : gridKwh < -1e-9 ? 'discharge' : 'idle';
+      return {
+        startTime: new Date(slot.start).toISOString(),
+        endTime: new Date(slot.end).toISOString(),
+        action,
+        powerKw: action === 'idle' ? 0 : round(Math.abs(gridKwh) / hours, 2),
+        energyKwh: round(Math.abs(gridKwh), 3),
+        buyPrice: slot.buyPrice,
+        sellPrice: slot.sellPrice,
+        socKwh: round(socEnd, 3),
+        soc: round(socEnd / capacityKwh, 3)
+      };
+    });
+    const socTrajectory = [
+      { time: schedule[0].startTime, socKwh: round(plan.steps[0].socStart, 3), soc: round(plan.steps[0].socStart / capacityKwh, 3) },
+      ...schedule.map(slot => ({ time: slot.endTime, socKwh: slot.socKwh, soc: slot.soc }))
+    ];
+
+    const sumOf = (select) => plan.steps.reduce((sum, step) => sum + select(step), 0);
+    const charging = schedule.filter(slot => slot.action === 'charge').length;
+    const discharging = schedule.filter(slot => slot.action === 'discharge').length;
+    const expectedProfit = roundEuros(plan.profit / 100);
+
+    return {
+      schedule,
+      socTrajectory,
+      expectedProfit,
+      chargedKwh: round(sumOf(step => Math.max(0, step.gridKwh)), 3),
+      dischargedKwh: round(sumOf(step => Math.max(0, -step.gridKwh)), 3),
+      cycles: round(sumOf(step => Math.max(0, -step.storedKwh)) / capacityKwh, 2),
+      degradationCost: roundEuros(sumOf(step => step.wear) / 100),
+      solarKwh: round(sumOf(step => step.solarKwh), 3),
+      basis: options.basis || (tariff ? tariff.basis : 'wholesale'),
+      unit: '€cents/kWh',
+      costUnit: '€',
+      message: expectedProfit > 0
+        ? `Charge in ${charging} slot(s) and discharge in ${discharging} slot(s) for an expected profit of €${expectedProfit}`
+        : 'No profitable arbitrage in the coming prices'
+    };
+  };
+
+  /**
+   * Plan EV charging to reach a target state of charge by departure at the lowest cost
+   * Charging uses the cheapest quarter hours before departure, at full charger power except for
+   * the last one. When the priced quarters cannot deliver the energy, e.g. because tomorrow's
+   * prices are not published yet, the car charges as fast as possible from now instead.
+   * @param {Object} ev - EV as { batteryKwh, currentSoc, targetSoc, chargerKw, phases,
+   *   chargingEfficiency, departure }, see ev-planner.js; departure is an instant or local 'HH:MM'
+   * @param {Object} [options] - Options
+   * @param {Object} [options.solar] - PV forecast as { forecastKw, baseLoadKw }, see solar.js
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {string} [options.basis] - 'consumer' or 'wholesale' price basis (default: the tariff's basis)
+   * @returns {Promise<Object>} Per-slot charge power, projected state of charge at departure and
+   *   the cost compared with charging immediately
+   */
+  const planEvCharging = async (ev = {}, options = {}) => {
+    const normalized = normalizeEv(ev);
+    if (ev.departure === undefined) {
+      throw new Error('EV departure is required');
+    }
+
+    const { timeZone } = resolveZone(options.zone || zone);
+    const now = clock();
+    const { latestEnd: departure } = resolveConstraints({ latestEnd: ev.departure }, { now, timeZone });
+    if (departure <= now) {
+      throw new Error(`Invalid EV departure: ${new Date(departure).toISOString()} is not in the future`);
+    }
+
+    const currentAndFuture = await getUpcomingPrices(options);
+    const from = Math.floor(now / QUARTER_HOUR_MS) * QUARTER_HOUR_MS;
+    const quarters = annotateQuarters(priceQuarters(currentAndFuture, from, departure, [], p => p.price), currentAndFuture);
+    // Plan on the effective price at full charger power, then cost each quarter at the power used
+    const { powers, fallback } = planEvQuarters(
+      quarters.map(q => (q.price === null ? q : { ...q, price: getEffectivePrice(q, normalized.chargerKw) })),
+      normalized
+    );
+
+    const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+    // Cost in euros, or null when charging in a quarter without a price
+    const costOf = (plan) => (plan.some((kw, i) => kw > 0 && quarters[i].price === null)
+      ? null
+      : roundEuros(plan.reduce((sum, kw, i) => sum + (kw > 0 ? kw / 4 * getEffectivePrice(quarters[i], kw) : 0), 0) / 100));
+    const solarKwh = powers.reduce((sum, kw, i) => sum + kw / 4 * getSolarShare(quarters[i].surplusKw || 0, kw), 0);
+
+    const { batteryKwh, currentSoc, targetSoc, chargingEfficiency } = normalized;
+    let socKwh = currentSoc * batteryKwh;
+    const schedule = quarters.map((quarter, i) => {
+      socKwh += powers[i] / 4 * chargingEfficiency;
+      return {
+        startTime: new Date(quarter.start).toISOString(),
+        endTime: new Date(quarter.end).toISOString(),
+        powerKw: round(powers[i], 2),
+        energyKwh: round(powers[i] / 4, 3),
+        price: quarter.price === null ? null : round(quarter.price, 4),
+        soc: round(socKwh / batteryKwh, 3)
+      };
+    });
+
+    const projectedSoc = round(socKwh / batteryKwh, 3);
+    const targetReached = projectedSoc >= targetSoc - 0.0005;
+    const energyKwh = round(powers.reduce((sum, kw) => sum + kw / 4, 0), 3);
+    const cost = costOf(powers);
+    const immediateCost = costOf(chargeImmediately(quarters.length, getNeededGridKwh(normalized), normalized.chargerKw));
+    const savings = cost !== null && immediateCost !== null ? roundEuros(immediateCost - cost) : null;
+
+    let message;
+    if (energyKwh === 0 && targetReached) {
+      message = 'The battery is already at the target state of charge';
+    } else if (fallback && !targetReached) {
+      message = `The target state of charge cannot be reached by departure; charging as fast as possible reaches ${Math.round(projectedSoc * 100)}%`;
+    } else if (fallback) {
+      message = 'Not enough prices are known before departure; charging as fast as possible';
+    } else if (savings > 0) {
+      message = `Charge ${energyKwh} kWh for €${cost}, €${savings} less than charging immediately`;
+    } else {
+      message = `Charge ${energyKwh} kWh for €${cost}`;
+    }
+
+    return {
+      schedule,
+      departure: new Date(departure).toISOString(),
+      chargerKw: normalized.chargerKw,
+      phases: normalized.phases,
+      currentSoc,
+      targetSoc,
+      projectedSoc,
+      targetReached,
+      fallback,
+      energyKwh,
+      solarKwh: round(solarKwh, 3),
+      cost,
+      immediateCost,
+      savings,
+      basis: options.basis || (tariff ? tariff.basis : 'wholesale'),
+      unit: '€cents/kWh',
+      costUnit: '€',
+      message
+    };
+  };
+
+  /**
+   * Plan heat pump pre-heating on a first-order thermal model of the home
+   * The heat pump heats in the cheap quarter hours, storing heat in the home or buffer tank within
+   * the comfort range. Savings are relative to a thermostat that only keeps the comfort minimum.
+   * @param {Object} heatPump - Heat pump and home as { heatLossCoefficient, thermalCapacity, cop,
+   *   maxPowerKw, powerLevels, comfortMin, comfortMax, indoorTemp }, see heat-pump-planner.js
+   * @param {Object} options - Options
+   * @param {Array} options.outdoorTemperatures - Forecast as [{ timestamp, temperature }], interpolated per quarter hour
+   * @param {number} [options.lookAheadMinutes] - Planning horizon, cut short where prices end (default: 1440)
+   * @param {number} [options.tempStep] - Temperature resolution of the plan in kelvin (default: 0.05)
+   * @param {Object} [options.solar] - PV forecast as { forecastKw, baseLoadKw }, see solar.js
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {string} [options.basis] - 'consumer' or 'wholesale' price basis (default: the tariff's basis)
+   * @returns {Promise<Object>} Per-slot power plan, predicted indoor temperatures and cost
+   */
+  const planHeatPump = async (heatPump, options = {}) => {
+    const normalized = normalizeHeatPump(heatPump);
+    const series = normalizeOutdoorSeries(options.outdoorTemperatures);
+
+    const currentAndFuture = await getUpcomingPrices(options);
+    const from = Math.floor(clock() / QUARTER_HOUR_MS) * QUARTER_HOUR_MS;
+    const until = from + (options.lookAheadMinutes || 24 * 60) * 60 * 1000;
+    const quarters = annotateQuarters(priceQuarters(currentAndFuture, from, until, [], p => p.price), currentAndFuture);
+    // The plan ends where the known prices end
+    const priced = quarters.findIndex(quarter => quarter.price === null);
+    const slots = quarters
+      .slice(0, priced === -1 ? quarters.length : priced)
+      .map(quarter => ({ ...quarter, outdoorTemp: outdoorTempAt(series, (quarter.start + quarter.end) / 2) }));
+
+    if (slots.length === 0) {
+      return {
+        error: 'No prices available for the planning horizon'
+      };
+    }
+
+    const plan = planHeating(slots, normalized, { tempStep: options.tempStep });
+    const thermostat = runThermostat(slots, normalized);
+
+    const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+    const schedule = plan.steps.map(step => ({
+      startTime: new Date(step.slot.start).toISOString(),
+      endTime: new Date(step.slot.end).toISOString(),
+      on: step.powerKw > 0,
+      powerKw: round(step.powerKw, 2),
+      heatKw: round(step.heatKw, 2),
+      cop: round(step.cop, 2),
+      outdoorTemp: round(step.slot.outdoorTemp, 1),
+      price: round(step.slot.price, 4),
+      indoorTemp: round(step.tempEnd, 2)
+    }));
+    const indoorTemperatures = [
+      { time: schedule[0].startTime, temperature: round(normalized.indoorTemp, 2) },
+      ...schedule.map(slot => ({ time: slot.endTime, temperature: slot.indoorTemp }))
+    ];
+
+    const sumOf = (select) => plan.steps.reduce((sum, step) => sum + select(step), 0);
+    const totalCost = roundEuros(plan.cost / 100);
+    const thermostatCost = roundEuros(thermostat.cost / 100);
+    const savings = roundEuros(thermostatCost - totalCost);
+    const comfortViolation = round(plan.underheat, 2);
+    const heating = schedule.filter(slot => slot.on).length;
+
+    let message;
+    if (comfortViolation > 0) {
+      message = `The comfort minimum of ${normalized.comfortMin} °C cannot be held: short by ${comfortViolation} degree-hours`;
+    } else if (savings > 0) {
+      message = `Heat in ${heating} quarter(s) for €${totalCost}, €${savings} less than thermostat control`;
+    } else {
+      message = `Heat in ${heating} quarter(s) for €${totalCost}`;
+    }
+
+    return {
+      schedule,
+      indoorTemperatures,
+      minIndoorTemp: Math.min(...indoorTemperatures.map(point => point.temperature)),
+      maxIndoorTemp: Math.max(...indoorTemperatures.map(point => point.temperature)),
+      comfortViolation,
+      energyKwh: round(sumOf(step => step.powerKw * (step.slot.end - step.slot.start) / 3600000), 3),
+      heatKwh: round(sumOf(step => step.heatKw * (step.slot.end - step.slot.start) / 3600000), 3),
+      solarKwh: round(sumOf(step => step.solarKwh), 3),
+      totalCost,
+      thermostatCost,
+      savings,
+      basis: options.basis || (tariff ? tariff.basis : 'wholesale'),
+      unit: '€cents/kWh',
+      costUnit: '€',
+      message
+    };
+  };
+
+  /**
+   * Get the current and future price entries with export prices and the action to take
+   * @param {Object} options - Options with zone and minExportPrice
+   * @returns {Promise<Array>} Price entries with exportPrice and action
+   */
+  const getUpcomingExportData = async (options) => {
+    const { timeZone } = resolveZone(options.zone || zone);
+    const minExportPrice = options.minExportPrice || 0;
+    const prices = applyFeedIn(await getPriceData(options), feedIn, { timeZone });
+
+    return prices
+      .filter(p => p.period === 'current' || p.period === 'future')
+      .map(p => ({ ...p, action: p.exportPrice < minExportPrice ? 'curtail' : 'export' }));
+  };
+
+  /**
+   * Get export prices for the current and coming slots, with whether to export or curtail
+   * Slots are selected by time, so 24 hours are 24 hourly or 96 quarter-hour entries.
+   * @param {number} hours - Number of hours to return from the start of the current slot (default: 24)
+   * @param {Object} [options] - Options
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {number} [options.minExportPrice] - Curtail below this export price in €cents/kWh (default: 0)
+   * @returns {Promise<Array>} Array of { exportPrice, wholesalePrice, timestamp, hour, unit, action }
+   */
+  const getExportPrices = async (hours = 24, options = {}) => {
+    const upcoming = await getUpcomingExportData(options);
+    const until = upcoming.length > 0 ? new Date(upcoming[0].timestamp).getTime() + hours * 60 * 60 * 1000 : 0;
+    return upcoming
+      .filter(p => new Date(p.timestamp).getTime() < until)
+      .map(p => ({
+        exportPrice: p.exportPrice,
+        wholesalePrice: p.wholesalePrice,
+        timestamp: p.timestamp,
+        hour: p.hour,
+        unit: '€cents/kWh',
+        action: p.action
+      }));
+  };
+
+  /**
+   * Recommend the best time to export stored or shiftable energy, and when to curtail
+   * @param {number|Object} durationHours - How long the export will run (default: 1), or an options object
+   * @param {number} lookAheadHours - How many hours ahead to check (default: 24)
+   * @param {Object} [options] - Options
+   * @param {number} [options.durationMinutes] - Duration in minutes (overrides durationHours)
+   * @param {number} [options.lookAheadMinutes] - Look-ahead in minutes (overrides lookAheadHours)
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {number} [options.minExportPrice] - Curtail below this export price in €cents/kWh (default: 0)
+   * @returns {Promise<Object>} Recommendation with the best export window and the periods to curtail
+   */
+  const recommendBestExportTime = async (durationHours, lookAheadHours, options = {}) => {
+    const window = resolveWindowArgs(durationHours, lookAheadHours, options);
+    const { durationMinutes, lookAheadMinutes } = window;
+    options = window.options;
+
+    const { timeZone } = resolveZone(options.zone || zone);
+    const upcomingData = await getUpcomingExportData(options);
+    const { from, until } = upcomingData.length > 0
+      ? getSearchRange(upcomingData, clock(), lookAheadMinutes)
+      : {};
+    const upcoming = upcomingData.filter(p => new Date(p.timestamp).getTime() < until);
+
+    if (upcoming.length === 0 || getAvailableMinutes(upcoming, from, until) < durationMinutes) {
+      return {
+        error: 'Not enough data for the requested duration'
+      };
+    }
+
+    // Find the window with the highest duration-weighted average export price
+    const best = findBestWindow(upcoming, {
+      from,
+      until,
+      durationMinutes,
+      valueFor: p => p.exportPrice,
+      prefer: 'highest'
+    });
+
+    if (!best) {
+      return {
+        error: 'Not enough contiguous data for the requested duration'
+      };
+    }
+
+    const highestAvgPrice = best.average;
+    const bestSlot = {
+      startTime: new Date(best.start).toISOString(),
+      startHour: getZonedParts(best.start, timeZone).hour,
+      endTime: new Date(best.end).toISOString(),
+      endHour: getZonedParts(best.end, timeZone).hour,
+      averageExportPrice: Math.round(highestAvgPrice * 100) / 100,
+      prices: best.coverage.map(({ slot, minutes }) => ({
+        timestamp: slot.entry.timestamp,
+        hour: slot.entry.hour,
+        exportPrice: slot.entry.exportPrice,
+        wholesalePrice: slot.entry.wholesalePrice,
+        minutes
+      }))
+    };
+
+    // Merge consecutive curtail slots into periods
+    const curtailPeriods = [];
+    for (const p of upcoming.filter(p => p.action === 'curtail')) {
+      const start = new Date(p.timestamp).getTime();
+      const end = new Date(start + (p.resolutionMinutes || 60) * 60 * 1000).toISOString();
+      const last = curtailPeriods[curtailPeriods.length - 1];
+      if (last && last.endTime === p.timestamp) {
+        last.endTime = end;
+      } else {
+        curtailPeriods.push({ startTime: p.timestamp, endTime: end });
+      }
+    }
+
+    const current = upcoming[0];
+    const potentialGain = Math.round((highestAvgPrice - current.exportPrice) * 100) / 100;
+    const gainPercentage = current.exportPrice > 0
+      ? Math.round((potentialGain / current.exportPrice) * 10000) / 100
+      : null;
+
+    let message;
+    if (current.action === 'curtail') {
+      message = `Curtail exports now (export price ${current.exportPrice} €cents/kWh)`;
+    } else if (potentialGain > 0) {
+      message = `Export from ${new Date(bestSlot.startTime).toLocaleTimeString(undefined, { timeZone })} to earn ${potentialGain} €cents/kWh more`;
+    } else {
+      message = 'Current time is already optimal for exporting';
+    }
+
+    return {
+      recommendation: bestSlot,
+      currentExportPrice: current.exportPrice,
+      potentialGain,
+      gainPercentage,
+      curtailPeriods,
+      unit: '€cents/kWh',
+      durationHours: durationMinutes / 60,
+      durationMinutes,
+      message
+    };
+  };
+
+  /**
+   * Find negative-price windows and price spikes in the current and future prices
+   * Consecutive slots past a threshold are merged into one window.
+   * @param {Object} [options] - Options
+   * @param {number} [options.negativeThreshold] - Alert on prices below this, in €cents/kWh (default: 0)
+   * @param {number} [options.spikeThreshold] - Alert on prices above this, in €cents/kWh (default: twice the
+   *   magnitude of the average scanned price)
+   * @param {number} [options.lookAheadMinutes] - Only scan slots starting within this time (default: all available)
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @param {string} [options.basis] - 'consumer' or 'wholesale' price basis (default: the tariff's basis)
+   * @returns {Promise<Object>} { negativeWindows, spikeWindows, thresholds, message }, or { error } without prices
+   */
+  const getPriceAlerts = async (options = {}) => {
+    const { negativeThreshold = 0, lookAheadMinutes } = options;
+    for (const [name, value] of Object.entries({ negativeThreshold, spikeThreshold: options.spikeThreshold })) {
+      if (value !== undefined && (typeof value !== 'number' || !isFinite(value))) {
+        throw new Error(`Invalid ${name}: ${value}`);
+      }
+    }
+    if (lookAheadMinutes !== undefined && !(typeof lookAheadMinutes === 'number' && lookAheadMinutes > 0)) {
+      throw new Error(`Invalid lookAheadMinutes: ${lookAheadMinutes}`);
+    }
+
+    const { timeZone } = resolveZone(options.zone || zone);
+    const limit = lookAheadMinutes ? clock() + lookAheadMinutes * 60 * 1000 : Infinity;
+    const prices = await getPriceData(options);
+    const upcoming = prices.filter(p => (p.period === 'current' || p.period === 'future') && new Date(p.timestamp).getTime() < limit);
+    if (upcoming.length === 0) {
+      return { error: 'No current or future prices available' };
+    }
+    const spikeThreshold = options.spikeThreshold !== undefined ? options.spikeThreshold : getDefaultSpikeThreshold(upcoming);
+
+    // Consuming in a negative window earns money; avoiding (or exporting in) a spike saves it
+    const formatWindow = (window, value) => ({
+      startTime: new Date(window.start).toISOString(),
+      startHour: getZonedParts(window.start, timeZone).hour,
+      endTime: new Date(window.end).toISOString(),
+      endHour: getZonedParts(window.end, timeZone).hour,
+      durationMinutes: window.durationMinutes,
+      minPrice: window.minPrice,
+      maxPrice: window.maxPrice,
+      averagePrice: Math.round(window.averagePrice * 100) / 100,
+      valuePerKwh: roundEuros(value / 100)
+    });
+    const negativeWindows = findPriceWindows(upcoming, p => p.price < negativeThreshold)
+      .map(window => formatWindow(window, -window.averagePrice));
+    const spikeWindows = findPriceWindows(upcoming, p => p.price > spikeThreshold)
+      .map(window => formatWindow(window, window.averagePrice));
+
+    const lastSlot = upcoming[upcoming.length - 1];
+    const scannedUntil = new Date(lastSlot.timestamp).getTime() + (lastSlot.resolutionMinutes || 60) * 60 * 1000;
+    const describe = (window) => describeRange(new Date(window.startTime).getTime(), new Date(window.endTime).getTime(), timeZone);
+    const alerts = [
+      ...negativeWindows.map(window => `Negative prices ${describe(window)}, down to ${window.minPrice} €cents/kWh`),
+      ...spikeWindows.map(window => `Price spike ${describe(window)}, up to ${window.maxPrice} €cents/kWh`)
+    ];
+
+    return {
+      negativeWindows,
+      spikeWindows,
+      thresholds: {
+        negative: negativeThreshold,
+        spike: Math.round(spikeThreshold * 100) / 100
+      },
+      scannedUntil: new Date(scannedUntil).toISOString(),
+      basis: options.basis || (tariff ? tariff.basis : 'wholesale'),
+      unit: '€cents/kWh',
+      costUnit: '€',
+      message: alerts.length > 0
+        ? alerts.join('. ')
+        : `No negative prices or spikes until ${new Date(scannedUntil).toLocaleString(undefined, { timeZone })}`
+    };
+  };
+
+  /**
+   * Get the data-quality report (selected resolution, duplicates, conflicts and gaps) of the most recent fetch
+   * @param {Object} [options] - Options
+   * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+   * @returns {Object|null} Quality report, or null when nothing was fetched yet
+   */
+  const getDataQuality = (options = {}) => {
+    return entsoeClient.getDataQuality({ zone: options.zone || zone, cache });
+  };
+
+  /**
+   * Clear this checker's price cache
+   * @param {string} [zoneToClear] - Only clear this bidding zone (default: all zones)
+   */
+  const clearCache = (zoneToClear) => {
+    entsoeClient.clearCache(zoneToClear, cache);
+  };
+
   return {
-    recommendation: bestSlot,
-    currentPrice: currentPrice,
-    potentialSavings: potentialSavings,
-    savingsPercentage: savingsPercentage,
-    unit: '€cents/kWh',
-    durationHours: durationHours,
-    message: potentialSavings > 0 
-      ? `Wait until ${new Date(bestSlot.startTime).toLocaleTimeString()} to save ${potentialSavings} €cents/kWh (${savingsPercentage}%)` 
-      : 'Current time is already optimal'
+    zone,
+    tariff,
+    feedIn,
+    priceLevels,
+    getCurrentPrice,
+    getPastPrices,
+    getFuturePrices,
+    getPrices,
+    getPriceStatistics,
+    recommendBestTime,
+    planInterruptibleLoad,
+    planHousehold,
+    optimizeBattery,
+    planEvCharging,
+    planHeatPump,
+    getExportPrices,
+    recommendBestExportTime,
+    getPriceAlerts,
+    getDataQuality,
+    clearCache
   };
 };
 
+// Default instance backing the top-level exports, configured from the environment on first use
+let defaultChecker = null;
+
+const getDefaultChecker = () => {
+  if (!defaultChecker) {
+    const token = process.env.ENTSOE_API_TOKEN;
+    if (!token) {
+      throw new EntsoeAuthError('ENTSOE_API_TOKEN environment variable is required. Get your token at https://transparency.entsoe.eu/');
+    }
+    defaultChecker = createPriceChecker({ token, cache: entsoeClient.priceCache });
+  }
+  return defaultChecker;
+};
+
 // Export functions
 module.exports = {
-  getCurrentPrice,
-  getPastPrices,
-  getFuturePrices,
-  recommendBestTime
+  createPriceChecker,
+  createMemoryStore,
+  createFileStore,
+  createPriceMonitor: (checker, options) => createPriceMonitor(checker || getDefaultChecker(), options),
+  EntsoeError,
+  EntsoeAuthError,
+  EntsoeNoDataError,
+  EntsoeRateLimitError,
+  EntsoeNetworkError,
+  getCurrentPrice: async (...args) => getDefaultChecker().getCurrentPrice(...args),
+  getPastPrices: async (...args) => getDefaultChecker().getPastPrices(...args),
+  getFuturePrices: async (...args) => getDefaultChecker().getFuturePrices(...args),
+  getPrices: async (...args) => getDefaultChecker().getPrices(...args),
+  getPriceStatistics: async (...args) => getDefaultChecker().getPriceStatistics(...args),
+  recommendBestTime: async (...args) => getDefaultChecker().recommendBestTime(...args),
+  planInterruptibleLoad: async (...args) => getDefaultChecker().planInterruptibleLoad(...args),
+  planHousehold: async (...args) => getDefaultChecker().planHousehold(...args),
+  optimizeBattery: async (...args) => getDefaultChecker().optimizeBattery(...args),
+  planEvCharging: async (...args) => getDefaultChecker().planEvCharging(...args),
+  planHeatPump: async (...args) => getDefaultChecker().planHeatPump(...args),
+  getExportPrices: async (...args) => getDefaultChecker().getExportPrices(...args),
+  recommendBestExportTime: async (...args) => getDefaultChecker().recommendBestExportTime(...args),
+  getPriceAlerts: async (...args) => getDefaultChecker().getPriceAlerts(...args),
+  getDataQuality: (...args) => getDefaultChecker().getDataQuality(...args),
+  clearCache: (...args) => getDefaultChecker().clearCache(...args)
 };
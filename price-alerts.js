@@ -0,0 +1,57 @@
+/**
+ * Price alerts
+ * Finds windows of consecutive slots whose price crosses a threshold: negative prices, when using
+ * power pays, and spikes, when shifting load away or exporting is worth most. Slots of any
+ * resolution are merged when one ends where the next starts.
+ */
+
+const { toSlots } = require('./scheduler.js');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Merge consecutive matching slots into windows
+ * @param {Array} prices - Price entries with timestamp, resolutionMinutes and price
+ * @param {Function} matches - Returns true for entries that belong in a window
+ * @returns {Array} Windows as { start, end, durationMinutes, minPrice, maxPrice, averagePrice }, start/end
+ *   in milliseconds and averagePrice weighted by duration
+ */
+const findPriceWindows = (prices, matches) => {
+  const windows = [];
+  for (const slot of toSlots(prices)) {
+    if (!matches(slot.entry)) continue;
+    const last = windows[windows.length - 1];
+    if (last && last.end === slot.start) {
+      last.end = slot.end;
+      last.slots.push(slot);
+    } else {
+      windows.push({ start: slot.start, end: slot.end, slots: [slot] });
+    }
+  }
+
+  return windows.map(({ start, end, slots }) => {
+    const weighted = slots.reduce((sum, slot) => sum + slot.entry.price * (slot.end - slot.start), 0);
+    const prices = slots.map(slot => slot.entry.price);
+    return {
+      start,
+      end,
+      durationMinutes: (end - start) / MINUTE_MS,
+      minPrice: Math.min(...prices),
+      maxPrice: Math.max(...prices),
+      averagePrice: weighted / (end - start)
+    };
+  });
+};
+
+/**
+ * Get the default spike threshold for a set of prices
+ * @param {Array} prices - Price entries with price
+ * @returns {number} Twice the magnitude of the average price
+ */
+const getDefaultSpikeThreshold = (prices) =>
+  2 * Math.abs(prices.reduce((sum, p) => sum + p.price, 0) / prices.length);
+
+module.exports = {
+  findPriceWindows,
+  getDefaultSpikeThreshold
+};
@@ -0,0 +1,117 @@
+/**
+ * Relative price levels
+ * Classifies price slots from VERY_CHEAP to VERY_EXPENSIVE against four ascending bounds. The
+ * bounds come from a trailing average, the quantiles of the slot's own delivery day, or fixed
+ * thresholds. Hysteresis keeps the level from flapping: a slot only moves to another level when
+ * its price clears the bound by the hysteresis margin, otherwise it keeps the previous level.
+ */
+
+const { percentile } = require('./price-statistics.js');
+
+const PRICE_LEVELS = ['VERY_CHEAP', 'CHEAP', 'NORMAL', 'EXPENSIVE', 'VERY_EXPENSIVE'];
+
+const DEFAULT_THRESHOLDS = {
+  // Fractions of the trailing average
+  trailingAverage: [0.6, 0.9, 1.15, 1.4],
+  // Percentiles of the delivery day
+  quantiles: [10, 35, 65, 90]
+};
+
+const isAscending = (values) => values.every((v, i) => i === 0 || v > values[i - 1]);
+
+/**
+ * Validate a price level configuration and apply defaults
+ * @param {Object} [config] - Price level configuration
+ * @param {string} [config.strategy] - 'trailingAverage', 'quantiles' or 'absolute' (default: 'quantiles')
+ * @param {Array} [config.thresholds] - Four ascending bounds between the levels: fractions of the
+ *   average for 'trailingAverage' (default: [0.6, 0.9, 1.15, 1.4]), percentiles of the day for
+ *   'quantiles' (default: [10, 35, 65, 90]) or €cents/kWh for 'absolute' (required)
+ * @param {number} [config.days] - Days of the trailing average (default: 7)
+ * @param {number} [config.hysteresis] - Margin in €cents/kWh a price must clear a bound by to change level (default: 0.5)
+ * @returns {Object} Normalized configuration as { strategy, thresholds, days, hysteresis }
+ * @throws {Error} When a setting is invalid
+ */
+const normalizePriceLevels = (config = {}) => {
+  const { strategy = 'quantiles', days = 7, hysteresis = 0.5 } = config;
+  if (!['trailingAverage', 'quantiles', 'absolute'].includes(strategy)) {
+    throw new Error(`Invalid price level strategy: ${strategy} (expected 'trailingAverage', 'quantiles' or 'absolute')`);
+  }
+  const thresholds = config.thresholds || DEFAULT_THRESHOLDS[strategy];
+  if (!Array.isArray(thresholds) || thresholds.length !== PRICE_LEVELS.length - 1 ||
+      !thresholds.every(t => typeof t === 'number' && isFinite(t)) || !isAscending(thresholds)) {
+    throw new Error(`Invalid price level thresholds: expected ${PRICE_LEVELS.length - 1} ascending numbers`);
+  }
+  if (strategy === 'quantiles' && !thresholds.every(t => t >= 0 && t <= 100)) {
+    throw new Error('Invalid price level thresholds: quantiles are percentiles between 0 and 100');
+  }
+  if (!Number.isInteger(days) || days < 1) {
+    throw new Error(`Invalid price level days: ${days}`);
+  }
+  if (typeof hysteresis !== 'number' || !(hysteresis >= 0)) {
+    throw new Error(`Invalid price level hysteresis: ${hysteresis}`);
+  }
+  return { strategy, thresholds, days, hysteresis };
+};
+
+/**
+ * Get the bounds between the levels relative to an average price
+ * The thresholds scale the magnitude of the average, so a negative average still gives ascending bounds.
+ * @param {number} average - Average price
+ * @param {Array} thresholds - Fractions of the average
+ * @returns {Array} Bounds in €cents/kWh
+ */
+const getAverageBounds = (average, thresholds) => thresholds.map(t => average + (t - 1) * Math.abs(average));
+
+/**
+ * Get the bounds between the levels from the quantiles of a set of prices
+ * @param {Array} prices - Price entries with price
+ * @param {Array} thresholds - Percentiles
+ * @returns {Array} Bounds in €cents/kWh
+ */
+const getQuantileBounds = (prices, thresholds) => {
+  const sorted = prices.map(p => p.price).sort((a, b) => a - b);
+  return thresholds.map(t => percentile(sorted, t));
+};
+
+/**
+ * Get the level index of a price
+ * @param {number} price - Price
+ * @param {Array} bounds - Ascending bounds; a price on a bound belongs to the level above
+ * @returns {number} Index into PRICE_LEVELS
+ */
+const classifyPrice = (price, bounds) => bounds.filter(bound => price >= bound).length;
+
+/**
+ * Assign levels to consecutive price entries with hysteresis
+ * The first entry is classified without hysteresis; every later entry only leaves the level of the
+ * previous one when its price clears a bound by the margin, and then moves as far as it clears.
+ * @param {Array} prices - Price entries in time order
+ * @param {Function} boundsFor - Returns the bounds for an entry
+ * @param {number} hysteresis - Margin in €cents/kWh
+ * @returns {Array} Level names per entry
+ */
+const assignLevels = (prices, boundsFor, hysteresis) => {
+  let previous = null;
+  return prices.map(p => {
+    const bounds = boundsFor(p);
+    let level;
+    if (previous === null) {
+      level = classifyPrice(p.price, bounds);
+    } else {
+      const up = classifyPrice(p.price, bounds.map(bound => bound + hysteresis));
+      const down = classifyPrice(p.price, bounds.map(bound => bound - hysteresis));
+      level = up > previous ? up : down < previous ? down : previous;
+    }
+    previous = level;
+    return PRICE_LEVELS[level];
+  });
+};
+
+module.exports = {
+  PRICE_LEVELS,
+  normalizePriceLevels,
+  getAverageBounds,
+  getQuantileBounds,
+  classifyPrice,
+  assignLevels
+};
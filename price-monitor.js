@@ -0,0 +1,275 @@
+/**
+ * Price monitor
+ * A long-running EventEmitter that pushes price events instead of making callers poll. Each
+ * check compares the current slot with the last announced one and sets a single timer for the
+ * next thing that can happen: a slot boundary, a window start or end, or the expiry of the
+ * cached prices. Timers never run longer than maxTimerMs; a timer that fires before anything is due
+ * only compares the clock with when it was expected to fire, and prices are read again only when
+ * something fell due or the clock jumped. So the monitor catches up after the system sleeps or the
+ * clock jumps without polling: events that fell due in the meantime fire once, late, with their delay.
+ *
+ * Events:
+ * - slotChange: a new price slot began
+ * - levelChange: the price level differs from the previous slot's
+ * - negativePrice: a run of negative prices began
+ * - newDayAheadPrices: prices for a later delivery day were published
+ * - cheapestWindowStart / cheapestWindowEnd: a registered appliance window began or ended
+ * - error: a check failed (only emitted when there is a listener; the monitor retries)
+ */
+
+const { EventEmitter } = require('events');
+const { resolveZone } = require('./bidding-zones.js');
+const { getZonedDay } = require('./zone-time.js');
+
+const DEFAULT_MAX_TIMER_MS = 60 * 1000;
+const DEFAULT_RETRY_MS = 60 * 1000;
+const CLOCK_JUMP_TOLERANCE_MS = 1000;
+
+/**
+ * Create a price monitor
+ * @param {Object} checker - Price checker from createPriceChecker()
+ * @param {Object} [options] - Options
+ * @param {string} [options.zone] - Bidding zone alias or EIC code (default: the checker's zone)
+ * @param {string} [options.basis] - 'consumer' or 'wholesale' price basis (default: the tariff's basis)
+ * @param {Object} [options.priceLevels] - Price level configuration (default: the checker's)
+ * @param {number} [options.maxTimerMs] - Longest timer, bounding how late a clock jump is noticed (default: 1 minute)
+ * @param {number} [options.retryMs] - Delay before retrying a failed check (default: 1 minute)
+ * @param {Function} [options.clock] - Returns the current time in milliseconds (default: Date.now)
+ * @param {Object} [options.timers] - { setTimeout, clearTimeout } (default: the global timers)
+ * @returns {EventEmitter} Monitor with start(), stop(), isRunning(), addWindow() and removeWindow()
+ */
+const createPriceMonitor = (checker, options = {}) => {
+  const {
+    maxTimerMs = DEFAULT_MAX_TIMER_MS,
+    retryMs = DEFAULT_RETRY_MS,
+    clock = Date.now,
+    timers = { setTimeout, clearTimeout }
+  } = options;
+  const requestOptions = { zone: options.zone, basis: options.basis, priceLevels: options.priceLevels };
+  const { timeZone } = resolveZone(options.zone || checker.zone);
+  const dayOf = (p) => getZonedDay(new Date(p.timestamp), timeZone);
+  const timeOf = (p) => new Date(p.timestamp).getTime();
+
+  const monitor = new EventEmitter();
+  const windows = new Map();
+  let running = false;
+  let timer = null;
+  let lastSlot = null;
+  let lastDay = null;
+  // Each start() begins a new generation; checks of an earlier one never reschedule
+  let generation = 0;
+  let nextDue = 0;
+  let expectedWake = 0;
+
+  const emitError = (error) => {
+    if (monitor.listenerCount('error') > 0) {
+      monitor.emit('error', error);
+    }
+  };
+
+  /**
+   * Announce the current slot when it differs from the last announced one
+   * @param {Object} current - Current price with level
+   * @param {Array} future - Future prices with levels
+   * @param {number} now - Current time in milliseconds
+   */
+  const checkSlot = (current, future, now) => {
+    if (lastSlot && lastSlot.timestamp === current.timestamp) return;
+
+    const previous = lastSlot;
+    const slot = {
+      timestamp: current.timestamp,
+      endTime: future.length ? future[0].timestamp : null,
+      price: current.price,
+      level: current.level
+    };
+    lastSlot = slot;
+    const delayMs = Math.max(0, now - timeOf(current));
+
+    monitor.emit('slotChange', { ...slot, previous, delayMs });
+    if (previous && previous.level !== slot.level) {
+      monitor.emit('levelChange', { timestamp: slot.timestamp, from: previous.level, to: slot.level, price: slot.price, delayMs });
+    }
+    if (slot.price < 0 && (!previous || previous.price >= 0)) {
+      const end = future.find(p => p.price >= 0);
+      monitor.emit('negativePrice', { timestamp: slot.timestamp, price: slot.price, until: end ? end.timestamp : null, delayMs });
+    }
+  };
+
+  /**
+   * Announce prices for a delivery day later than any seen before
+   * @param {Object} current - Current price
+   * @param {Array} future - Future prices
+   */
+  const checkDayAhead = (current, future) => {
+    const latest = future.length ? future[future.length - 1] : current;
+    const day = dayOf(latest);
+    if (lastDay !== null && day > lastDay) {
+      monitor.emit('newDayAheadPrices', { day, prices: future.filter(p => dayOf(p) === day) });
+    }
+    lastDay = lastDay === null || day > lastDay ? day : lastDay;
+  };
+
+  /**
+   * Plan, start and end the registered appliance windows
+   * A pending window is re-planned on every check until it starts; a started window is fixed.
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<Array>} Upcoming start and end instants in milliseconds
+   */
+  const checkWindows = async (now) => {
+    const upcoming = [];
+    for (const [id, window] of windows) {
+      if (!window.started) {
+        if (!window.planned || now < window.planned.start) {
+          const result = await checker.recommendBestTime({ ...requestOptions, ...window.options });
+          const best = result.infeasible ? null : result.recommendation || null;
+          window.planned = best && {
+            start: new Date(best.startTime).getTime(),
+            end: new Date(best.endTime).getTime(),
+            averagePrice: best.averagePrice
+          };
+        }
+        if (!window.planned) continue;
+        if (now < window.planned.start) {
+          upcoming.push(window.planned.start);
+          continue;
+        }
+        window.started = true;
+        monitor.emit('cheapestWindowStart', {
+          id,
+          startTime: new Date(window.planned.start).toISOString(),
+          endTime: new Date(window.planned.end).toISOString(),
+          averagePrice: window.planned.averagePrice,
+          delayMs: now - window.planned.start
+        });
+      }
+      if (now < window.planned.end) {
+        upcoming.push(window.planned.end);
+        continue;
+      }
+      windows.delete(id);
+      monitor.emit('cheapestWindowEnd', {
+        id,
+        startTime: new Date(window.planned.start).toISOString(),
+        endTime: new Date(window.planned.end).toISOString(),
+        delayMs: now - window.planned.end
+      });
+    }
+    return upcoming;
+  };
+
+  /**
+   * Run one check and emit the events that fell due
+   * @returns {Promise<number>} Instant of the next thing that can happen, in milliseconds
+   */
+  const check = async () => {
+    const current = await checker.getCurrentPrice(requestOptions);
+    const future = await checker.getFuturePrices(Infinity, requestOptions);
+    const now = clock();
+
+    checkSlot(current, future, now);
+    checkDayAhead(current, future);
+    const upcoming = await checkWindows(now);
+
+    const quality = checker.getDataQuality({ zone: options.zone });
+    const candidates = [
+      ...upcoming,
+      future.length ? timeOf(future[0]) : Infinity,
+      quality ? new Date(quality.expiresAt).getTime() : Infinity
+    ];
+    return Math.min(...candidates.filter(time => time > now));
+  };
+
+  const schedule = (at, runGeneration) => {
+    const now = clock();
+    const delay = Math.min(maxTimerMs, Math.max(0, at - now));
+    nextDue = at;
+    expectedWake = now + delay;
+    timer = timers.setTimeout(() => wake(runGeneration), delay);
+  };
+
+  const run = async (runGeneration) => {
+    let next;
+    try {
+      next = await check();
+    } catch (error) {
+      emitError(error);
+      next = clock() + retryMs;
+    }
+    if (running && runGeneration === generation && timer === null) {
+      schedule(next, runGeneration);
+    }
+  };
+
+  // Check when something fell due or the clock jumped; otherwise keep waiting without reading prices
+  const wake = (runGeneration) => {
+    timer = null;
+    const now = clock();
+    if (now < nextDue && Math.abs(now - expectedWake) <= CLOCK_JUMP_TOLERANCE_MS) {
+      schedule(nextDue, runGeneration);
+      return Promise.resolve();
+    }
+    return run(runGeneration);
+  };
+
+  /**
+   * Start monitoring; the first check announces the current slot
+   * @returns {Promise<void>} Resolves after the first check
+   */
+  monitor.start = async () => {
+    if (running) return;
+    running = true;
+    generation++;
+    await run(generation);
+  };
+
+  /**
+   * Stop monitoring; registered windows are kept for the next start
+   */
+  monitor.stop = () => {
+    running = false;
+    generation++;
+    if (timer !== null) {
+      timers.clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  /**
+   * Check whether the monitor is running
+   * @returns {boolean}
+   */
+  monitor.isRunning = () => running;
+
+  /**
+   * Register an appliance window; cheapestWindowStart and cheapestWindowEnd fire once for it
+   * @param {string} id - Window name, e.g. 'dishwasher'
+   * @param {Object} windowOptions - Options for recommendBestTime(), such as durationMinutes,
+   *   lookAheadMinutes, latestEnd or loadProfile
+   * @throws {Error} When the id is already registered
+   */
+  monitor.addWindow = (id, windowOptions = {}) => {
+    if (windows.has(id)) {
+      throw new Error(`Window already registered: ${id}`);
+    }
+    windows.set(id, { options: windowOptions, planned: null, started: false });
+    if (running && timer !== null) {
+      timers.clearTimeout(timer);
+      schedule(clock(), generation);
+    }
+  };
+
+  /**
+   * Remove a registered appliance window
+   * @param {string} id - Window name
+   * @returns {boolean} True when the window was registered
+   */
+  monitor.removeWindow = (id) => windows.delete(id);
+
+  return monitor;
+};
+
+module.exports = {
+  DEFAULT_MAX_TIMER_MS,
+  createPriceMonitor
+};
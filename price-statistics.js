@@ -0,0 +1,118 @@
+/**
+ * Price statistics
+ * Summaries of a list of price entries: spread, percentiles, the extreme slots and how a price
+ * ranks among the others. Every entry counts as one slot, whatever its resolution.
+ */
+
+const { getZonedParts } = require('./zone-time.js');
+
+const DEFAULT_PERCENTILES = [10, 25, 50, 75, 90];
+const DEFAULT_PEAK_HOURS = { from: 8, to: 20 };
+
+/**
+ * Get a percentile of sorted values, interpolating linearly between neighbours
+ * @param {Array} sorted - Numbers in ascending order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} Value, or null without values
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Check whether a slot falls in the peak period
+ * @param {string} timestamp - Slot start
+ * @param {string} timeZone - IANA timezone of the bidding zone
+ * @param {Object} [peakHours] - Local hours as { from, to } on weekdays (default: { from: 8, to: 20 })
+ * @returns {boolean} True on Monday to Friday within the peak hours
+ */
+const isPeakSlot = (timestamp, timeZone, peakHours = DEFAULT_PEAK_HOURS) => {
+  const { year, month, day, hour } = getZonedParts(new Date(timestamp), timeZone);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return weekday >= 1 && weekday <= 5 && hour >= peakHours.from && hour < peakHours.to;
+};
+
+/**
+ * Validate the percentiles to report
+ * @param {Array} [percentiles] - Percentiles between 0 and 100 (default: [10, 25, 50, 75, 90])
+ * @returns {Array} Percentiles
+ * @throws {Error} When a percentile is out of range
+ */
+const normalizePercentiles = (percentiles = DEFAULT_PERCENTILES) => {
+  if (!Array.isArray(percentiles) || !percentiles.every(p => typeof p === 'number' && p >= 0 && p <= 100)) {
+    throw new Error('Invalid percentiles: expected an array of numbers between 0 and 100');
+  }
+  return percentiles;
+};
+
+/**
+ * Summarize price entries
+ * @param {Array} prices - Price entries with price and timestamp
+ * @param {Object} [options] - Options
+ * @param {Array} [options.percentiles] - Percentiles to report (default: [10, 25, 50, 75, 90])
+ * @param {number} [options.slotCount] - Number of cheapest and most expensive slots (default: 3)
+ * @param {Function} [options.isPeak] - Returns true for entries in the peak period (default: none are)
+ * @returns {Object} { count, min, max, mean, median, standardDeviation, percentiles, cheapestSlots,
+ *   mostExpensiveSlots, peakAverage, offPeakAverage, peakSpread }; averages are null without entries
+ */
+const summarizePrices = (prices, options = {}) => {
+  const { slotCount = 3, isPeak = () => false } = options;
+  const values = prices.map(p => p.price);
+  const sorted = [...values].sort((a, b) => a - b);
+  const average = (list) => (list.length ? list.reduce((sum, v) => sum + v, 0) / list.length : null);
+  const mean = average(values);
+  const variance = average(values.map(v => (v - mean) ** 2));
+
+  const byTime = (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+  const cheapestSlots = [...prices].sort((a, b) => a.price - b.price || byTime(a, b)).slice(0, slotCount);
+  const mostExpensiveSlots = [...prices].sort((a, b) => b.price - a.price || byTime(a, b)).slice(0, slotCount);
+
+  const peakAverage = average(prices.filter(p => isPeak(p)).map(p => p.price));
+  const offPeakAverage = average(prices.filter(p => !isPeak(p)).map(p => p.price));
+
+  return {
+    count: values.length,
+    min: values.length ? sorted[0] : null,
+    max: values.length ? sorted[sorted.length - 1] : null,
+    mean,
+    median: percentile(sorted, 50),
+    standardDeviation: variance === null ? null : Math.sqrt(variance),
+    percentiles: Object.fromEntries(normalizePercentiles(options.percentiles).map(p => [`p${p}`, percentile(sorted, p)])),
+    cheapestSlots,
+    mostExpensiveSlots,
+    peakAverage,
+    offPeakAverage,
+    peakSpread: peakAverage === null || offPeakAverage === null ? null : peakAverage - offPeakAverage
+  };
+};
+
+/**
+ * Rank a price among price entries
+ * @param {number} price - Price to rank
+ * @param {Array} prices - Price entries with price
+ * @returns {Object} { rank, count, percentile }: rank 1 is the cheapest, ties share the better rank;
+ *   percentile is the share of the other entries that are cheaper, 0 to 100
+ */
+const rankPrice = (price, prices) => {
+  const cheaper = prices.filter(p => p.price < price).length;
+  const others = Math.max(1, prices.length - 1);
+  return {
+    rank: cheaper + 1,
+    count: prices.length,
+    percentile: Math.min(100, (cheaper / others) * 100)
+  };
+};
+
+module.exports = {
+  DEFAULT_PERCENTILES,
+  DEFAULT_PEAK_HOURS,
+  percentile,
+  isPeakSlot,
+  normalizePercentiles,
+  summarizePrices,
+  rankPrice
+};
@@ -0,0 +1,105 @@
+/**
+ * Price storage backends
+ * Stores parsed day-ahead prices per bidding zone and delivery day, so restarts do not refetch
+ * and history beyond the in-memory window stays available.
+ *
+ * A store is any object with these async methods:
+ * - getDay(zone, day)          -> Array of prices, or null when the day is not stored
+ * - putDay(zone, day, prices)  -> stores (or replaces) a delivery day
+ * - listDays(zone)             -> sorted delivery days ('YYYY-MM-DD') stored for the zone
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create an in-memory store (useful for tests and short-lived processes)
+ * @returns {Object} Price store
+ */
+const createMemoryStore = () => {
+  const days = new Map();
+  const key = (zone, day) => `${zone}|${day}`;
+
+  return {
+    getDay: async (zone, day) => days.get(key(zone, day)) || null,
+    putDay: async (zone, day, prices) => {
+      days.set(key(zone, day), prices);
+    },
+    listDays: async (zone) => [...days.keys()]
+      .filter(k => k.startsWith(`${zone}|`))
+      .map(k => k.slice(zone.length + 1))
+      .sort()
+  };
+};
+
+/**
+ * Create an append-only JSON-lines file store
+ * Each line holds one delivery day: { zone, day, storedAt, prices }. The file is read once on
+ * first use; when a day was written more than once the last line wins. A partially written last
+ * line is skipped and the next record starts on a new line.
+ * @param {Object} options - Store options
+ * @param {string} options.path - Path of the JSON-lines file (created when missing)
+ * @returns {Object} Price store
+ */
+const createFileStore = (options) => {
+  const filePath = options.path;
+  let index = null;
+  let writes = Promise.resolve();
+  // A partially written last line must not swallow the next record
+  let needsNewline = false;
+
+  const load = async () => {
+    if (index) {
+      return index;
+    }
+
+    const loaded = new Map();
+    let content = '';
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        loaded.set(`${record.zone}|${record.day}`, record.prices);
+      } catch (error) {
+        // A partially written last line (e.g. after a crash) is skipped
+      }
+    }
+
+    needsNewline = content.length > 0 && !content.endsWith('\n');
+    index = loaded;
+    return index;
+  };
+
+  return {
+    getDay: async (zone, day) => (await load()).get(`${zone}|${day}`) || null,
+    putDay: async (zone, day, prices) => {
+      const days = await load();
+      days.set(`${zone}|${day}`, prices);
+
+      const line = JSON.stringify({ zone, day, storedAt: new Date().toISOString(), prices }) + '\n';
+      // Serialise appends so concurrent writes never interleave lines
+      const write = writes.then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, needsNewline ? '\n' + line : line, 'utf8');
+        needsNewline = false;
+      });
+      writes = write.catch(() => {});
+      await write;
+    },
+    listDays: async (zone) => [...(await load()).keys()]
+      .filter(k => k.startsWith(`${zone}|`))
+      .map(k => k.slice(zone.length + 1))
+      .sort()
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  createFileStore
+};
@@ -0,0 +1,69 @@
+/**
+ * Client-side token-bucket rate limiter
+ * Keeps requests under the ENTSO-E limit of 400 requests per minute per token
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a token-bucket rate limiter
+ * @param {Object} [options] - Limiter options
+ * @param {number} [options.requestsPerMinute] - Sustained request rate (default: 400)
+ * @param {number} [options.burst] - Bucket capacity (default: requestsPerMinute)
+ * @param {Function} [options.clock] - Returns the current time in milliseconds (default: Date.now)
+ * @returns {Object} Limiter with acquire() and available()
+ */
+const createRateLimiter = (options = {}) => {
+  const {
+    requestsPerMinute = 400,
+    burst = requestsPerMinute,
+    clock = Date.now
+  } = options;
+
+  const refillPerMs = requestsPerMinute / 60000;
+  let tokens = burst;
+  let lastRefill = clock();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = clock();
+    tokens = Math.min(burst, tokens + (now - lastRefill) * refillPerMs);
+    lastRefill = now;
+  };
+
+  /**
+   * Wait until a request may be made; waiters are served in call order
+   * @returns {Promise<void>}
+   */
+  const acquire = () => {
+    const turn = queue.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep(Math.ceil((1 - tokens) / refillPerMs));
+        refill();
+      }
+      tokens -= 1;
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  };
+
+  /**
+   * Number of requests that can be made right now without waiting
+   * @returns {number}
+   */
+  const available = () => {
+    refill();
+    return Math.max(0, Math.floor(tokens));
+  };
+
+  return {
+    acquire,
+    available
+  };
+};
+
+module.exports = {
+  createRateLimiter,
+  sleep
+};
@@ -0,0 +1,148 @@
+/**
+ * Time-window search on price data of any resolution
+ * Durations are measured in minutes, windows start on 15-minute boundaries (or where a price
+ * slot starts) and prices are averaged weighted by how long each slot overlaps the window, so
+ * hourly, 30-minute and 15-minute data are treated alike.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const QUARTER_HOUR_MS = 15 * MINUTE_MS;
+
+/**
+ * Convert price entries to time slots
+ * @param {Array} prices - Price entries with timestamp and resolutionMinutes (default: 60)
+ * @returns {Array} Slots as { start, end, entry } in milliseconds, sorted by start
+ */
+const toSlots = (prices) => prices
+  .map(entry => {
+    const start = new Date(entry.timestamp).getTime();
+    return { start, end: start + (entry.resolutionMinutes || 60) * MINUTE_MS, entry };
+  })
+  .sort((a, b) => a.start - b.start);
+
+/**
+ * Get the slots covering a window, with how many minutes of each fall inside it
+ * @param {Array} slots - Slots from toSlots()
+ * @param {number} start - Window start in milliseconds
+ * @param {number} end - Window end in milliseconds
+ * @returns {Array|null} Array of { slot, minutes }, or null when part of the window has no price
+ */
+const getWindowCoverage = (slots, start, end) => {
+  const coverage = [];
+  let covered = start;
+
+  for (const slot of slots) {
+    if (slot.end <= start) continue;
+    if (slot.start >= end) break;
+    // A slot starting after the covered time means a gap in the data
+    if (slot.start > covered) return null;
+
+    const overlapEnd = Math.min(slot.end, end);
+    coverage.push({ slot, minutes: (overlapEnd - Math.max(slot.start, start)) / MINUTE_MS });
+    covered = overlapEnd;
+  }
+
+  return covered >= end ? coverage : null;
+};
+
+/**
+ * Calculate the duration-weighted average of a value over a coverage
+ * @param {Array} coverage - Coverage from getWindowCoverage()
+ * @param {Function} valueFor - Returns the value of a price entry
+ * @returns {number} Weighted average
+ */
+const weightedAverage = (coverage, valueFor) => {
+  const minutes = coverage.reduce((sum, c) => sum + c.minutes, 0);
+  return coverage.reduce((sum, c) => sum + valueFor(c.slot.entry) * c.minutes, 0) / minutes;
+};
+
+/**
+ * Check whether a window overlaps any excluded range
+ * @param {number} start - Window start in milliseconds
+ * @param {number} end - Window end in milliseconds
+ * @param {Array} excluded - Ranges as { start, end } in milliseconds
+ * @returns {boolean} True when the window overlaps a range
+ */
+const overlapsExcluded = (start, end, excluded) => excluded.some(range => range.start < end && start < range.end);
+
+/**
+ * List candidate window starts: every quarter hour, every slot start and every end of an
+ * excluded range within a range
+ * @param {Array} slots - Slots from toSlots()
+ * @param {number} from - Earliest start in milliseconds
+ * @param {number} latestStart - Latest start in milliseconds
+ * @param {Array} [excluded] - Excluded ranges as { start, end } (default: none)
+ * @returns {Array} Sorted start times in milliseconds
+ */
+const listWindowStarts = (slots, from, latestStart, excluded = []) => {
+  const starts = new Set();
+  for (let t = Math.ceil(from / QUARTER_HOUR_MS) * QUARTER_HOUR_MS; t <= latestStart; t += QUARTER_HOUR_MS) {
+    starts.add(t);
+  }
+  for (const slot of slots) {
+    if (slot.start >= from && slot.start <= latestStart) starts.add(slot.start);
+  }
+  for (const range of excluded) {
+    if (range.end >= from && range.end <= latestStart) starts.add(range.end);
+  }
+  if (from <= latestStart) starts.add(from);
+  return [...starts].sort((a, b) => a - b);
+};
+
+/**
+ * Find the window with the lowest (or highest) duration-weighted average price
+ * Windows that span a gap in the data or overlap an excluded range are skipped; on equal
+ * averages the earliest wins.
+ * @param {Array} prices - Price entries
+ * @param {Object} options - Search options
+ * @param {number} options.from - Earliest window start in milliseconds
+ * @param {number} options.until - Latest window end in milliseconds
+ * @param {number} options.durationMinutes - Window length in minutes
+ * @param {Function} [options.valueFor] - Returns the value to average (default: entry.price)
+ * @param {string} [options.prefer] - 'lowest' or 'highest' (default: 'lowest')
+ * @param {Array} [options.excluded] - Ranges as { start, end } windows must not overlap (default: none)
+ * @returns {Object|null} { start, end, average, coverage }, or null when no window fits
+ */
+const findBestWindow = (prices, options) => {
+  const { from, until, durationMinutes, valueFor = p => p.price, prefer = 'lowest', excluded = [] } = options;
+  const durationMs = durationMinutes * MINUTE_MS;
+  const slots = toSlots(prices);
+  let best = null;
+
+  for (const start of listWindowStarts(slots, from, until - durationMs, excluded)) {
+    if (overlapsExcluded(start, start + durationMs, excluded)) continue;
+    const coverage = getWindowCoverage(slots, start, start + durationMs);
+    if (!coverage) continue;
+
+    const average = weightedAverage(coverage, valueFor);
+    const better = !best || (prefer === 'highest' ? average > best.average : average < best.average);
+    if (better) {
+      best = { start, end: start + durationMs, average, coverage };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Count the minutes with a price between two instants
+ * @param {Array} prices - Price entries
+ * @param {number} from - Range start in milliseconds
+ * @param {number} until - Range end in milliseconds
+ * @returns {number} Covered minutes
+ */
+const getAvailableMinutes = (prices, from, until) => toSlots(prices).reduce((sum, slot) => {
+  const overlap = Math.min(slot.end, until) - Math.max(slot.start, from);
+  return sum + Math.max(0, overlap) / MINUTE_MS;
+}, 0);
+
+module.exports = {
+  QUARTER_HOUR_MS,
+  toSlots,
+  getWindowCoverage,
+  weightedAverage,
+  overlapsExcluded,
+  listWindowStarts,
+  findBestWindow,
+  getAvailableMinutes
+};
@@ -0,0 +1,133 @@
+/**
+ * Solar self-consumption
+ * With rooftop PV, energy a load takes from the solar surplus is not bought but no longer
+ * exported, so it costs the feed-in price instead of the consumption price. The effective
+ * marginal price of a slot blends the two by the share of the load the surplus covers.
+ */
+
+const { toSlots, getWindowCoverage, weightedAverage } = require('./scheduler.js');
+
+const MINUTE_MS = 60 * 1000;
+
+const isNonNegative = (value) => typeof value === 'number' && value >= 0;
+
+/**
+ * Validate a PV forecast and baseline household load
+ * @param {Object} config - Solar configuration
+ * @param {Array} config.forecastKw - PV production in kW per price slot, starting with the current slot
+ * @param {number|Array} [config.baseLoadKw] - Household load in kW the PV covers first, constant or
+ *   per price slot (default: 0)
+ * @returns {Object} Normalized solar configuration
+ * @throws {Error} When the forecast or load is malformed
+ */
+const normalizeSolar = (config = {}) => {
+  const { forecastKw, baseLoadKw = 0 } = config;
+  if (!Array.isArray(forecastKw) || !forecastKw.every(isNonNegative)) {
+    throw new Error('Invalid solar forecastKw: expected an array of kW per price slot');
+  }
+  if (!isNonNegative(baseLoadKw) && !(Array.isArray(baseLoadKw) && baseLoadKw.every(isNonNegative))) {
+    throw new Error('Invalid solar baseLoadKw: expected kW, or an array of kW per price slot');
+  }
+  return { forecastKw, baseLoadKw };
+};
+
+/**
+ * Add the PV surplus to price entries
+ * Slots beyond the forecast have no surplus.
+ * @param {Array} upcoming - Current and future price entries with exportPrice, current first
+ * @param {Object} solar - Normalized solar configuration
+ * @returns {Array} New price entries with surplusKw
+ */
+const annotateSurplus = (upcoming, solar) => upcoming.map((p, i) => {
+  const pvKw = solar.forecastKw[i] || 0;
+  const baseLoadKw = Array.isArray(solar.baseLoadKw) ? solar.baseLoadKw[i] || 0 : solar.baseLoadKw;
+  return { ...p, surplusKw: Math.max(0, pvKw - baseLoadKw) };
+});
+
+/**
+ * Get the share of a load the surplus covers
+ * @param {number} surplusKw - PV surplus
+ * @param {number} powerKw - Power the load draws
+ * @returns {number} Fraction between 0 and 1
+ */
+const getSolarShare = (surplusKw, powerKw) => (powerKw > 0 ? Math.min(1, surplusKw / powerKw) : 0);
+
+/**
+ * Get the effective marginal price of a load
+ * @param {Object} entry - Price entry with price, exportPrice and surplusKw
+ * @param {number} powerKw - Power the load draws
+ * @returns {number} Price in €cents/kWh
+ */
+const getEffectivePrice = (entry, powerKw) => {
+  const share = getSolarShare(entry.surplusKw || 0, powerKw);
+  return share * entry.exportPrice + (1 - share) * entry.price;
+};
+
+/**
+ * Price entries at the effective marginal cost for a load of fixed power
+ * @param {Array} prices - Price entries from annotateSurplus()
+ * @param {number} powerKw - Power the load draws
+ * @returns {Array} New price entries with the effective price, gridPrice (the consumption price)
+ *   and solarShare
+ */
+const applySolar = (prices, powerKw) => prices.map(p => ({
+  ...p,
+  price: getEffectivePrice(p, powerKw),
+  gridPrice: p.price,
+  solarShare: getSolarShare(p.surplusKw, powerKw)
+}));
+
+/**
+ * Add the average surplus and export price to quarters from priceQuarters()
+ * @param {Array} quarters - Quarters as { start, end, price }
+ * @param {Array} prices - Price entries with surplusKw and exportPrice
+ * @returns {Array} New quarters with surplusKw and exportPrice, both null when the quarter has no price
+ */
+const annotateQuarters = (quarters, prices) => {
+  const slots = toSlots(prices);
+  return quarters.map(quarter => {
+    const coverage = quarter.price === null ? null : getWindowCoverage(slots, quarter.start, quarter.end);
+    return {
+      ...quarter,
+      surplusKw: coverage ? weightedAverage(coverage, p => p.surplusKw) : null,
+      exportPrice: coverage ? weightedAverage(coverage, p => p.exportPrice) : null
+    };
+  });
+};
+
+/**
+ * Get the duration-weighted share of a window covered by the surplus
+ * @param {Array} slots - Slots from toSlots() over entries with solarShare
+ * @param {number} start - Window start in milliseconds
+ * @param {number} end - Window end in milliseconds
+ * @returns {number} Fraction between 0 and 1, 0 when part of the window has no price
+ */
+const getWindowSolarShare = (slots, start, end) => {
+  const coverage = getWindowCoverage(slots, start, end);
+  return coverage ? weightedAverage(coverage, p => p.solarShare || 0) : 0;
+};
+
+/**
+ * Get the energy of a load profile run the surplus covers
+ * @param {Array} slots - Slots from toSlots() over entries with surplusKw
+ * @param {number} start - Run start in milliseconds
+ * @param {Object} profile - Normalized load profile
+ * @returns {number} Energy in kWh
+ */
+const getProfileSolarKwh = (slots, start, profile) => profile.phases.reduce((sum, phase) => {
+  const phaseStart = start + phase.offsetMinutes * MINUTE_MS;
+  const coverage = getWindowCoverage(slots, phaseStart, phaseStart + phase.durationMinutes * MINUTE_MS);
+  const powerKw = phase.kWh * 60 / phase.durationMinutes;
+  return coverage ? sum + weightedAverage(coverage, p => getSolarShare(p.surplusKw, powerKw)) * phase.kWh : sum;
+}, 0);
+
+module.exports = {
+  normalizeSolar,
+  annotateSurplus,
+  getSolarShare,
+  getEffectivePrice,
+  applySolar,
+  annotateQuarters,
+  getWindowSolarShare,
+  getProfileSolarKwh
+};
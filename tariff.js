@@ -0,0 +1,203 @@
+/**
+ * Consumer and feed-in tariff models
+ * What a household pays per kWh is (wholesale + fixed per-kWh adders) × (1 + VAT), where the
+ * adders are e.g. the supplier markup and energy tax (energiebelasting). Exported energy is paid
+ * at (wholesale - fee) × (1 + VAT). Rates carry an effective date, so a tax change on 1 January
+ * applies from local midnight in the bidding zone.
+ */
+
+const { zonedTimeToUtc } = require('./zone-time.js');
+
+const PRICE_BASES = ['wholesale', 'consumer'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate the effective date and VAT rate shared by consumer and feed-in rates
+ * @param {Object} rate - Rate with validFrom and vatRate
+ */
+const validateRate = (rate) => {
+  if (rate.validFrom !== null && !/^\d{4}-\d{2}-\d{2}$/.test(rate.validFrom)) {
+    throw new Error(`Invalid tariff validFrom: ${rate.validFrom} (expected YYYY-MM-DD)`);
+  }
+  if (typeof rate.vatRate !== 'number' || rate.vatRate < 0 || rate.vatRate >= 1) {
+    throw new Error(`Invalid VAT rate: ${rate.vatRate} (expected a fraction such as 0.21)`);
+  }
+};
+
+// Rates without an effective date come first; 'YYYY-MM-DD' strings sort chronologically
+const byValidFrom = (a, b) => (a.validFrom || '').localeCompare(b.validFrom || '');
+
+/**
+ * Validate a tariff configuration and sort its rates by effective date
+ * A configuration without `rates` is treated as a single rate that is always effective.
+ * @param {Object} config - Tariff configuration
+ * @param {string} [config.basis] - 'consumer' or 'wholesale', the price recommendations use (default: 'consumer')
+ * @param {Array} [config.rates] - Rates as { validFrom, adders, vatRate }
+ * @param {string} [config.rates[].validFrom] - First local delivery day as 'YYYY-MM-DD' (default: always)
+ * @param {Object} [config.rates[].adders] - Fixed adders in €cents/kWh, e.g. { supplierMarkup: 2.5, energyTax: 9.16 }
+ * @param {number} [config.rates[].vatRate] - VAT as a fraction, e.g. 0.21 (default: 0)
+ * @returns {Object} Normalized tariff { basis, rates }
+ */
+const normalizeTariff = (config) => {
+  const basis = config.basis || 'consumer';
+  if (!PRICE_BASES.includes(basis)) {
+    throw new Error(`Unsupported price basis: ${basis}`);
+  }
+
+  const rates = (config.rates || [config]).map(rate => {
+    const { validFrom = null, adders = {}, vatRate = 0 } = rate;
+    validateRate({ validFrom, vatRate });
+    for (const [name, value] of Object.entries(adders)) {
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        throw new Error(`Invalid tariff adder ${name}: ${value}`);
+      }
+    }
+    return { validFrom, adders: { ...adders }, vatRate };
+  });
+
+  return { ...config, basis, rates: rates.sort(byValidFrom) };
+};
+
+/**
+ * Validate a feed-in tariff configuration and sort its rates by effective date
+ * A configuration without `rates` is treated as a single rate that is always effective.
+ * @param {Object} [config] - Feed-in configuration (default: spot price without fee or VAT)
+ * @param {Array} [config.rates] - Rates as { validFrom, fee, vatRate }
+ * @param {string} [config.rates[].validFrom] - First local delivery day as 'YYYY-MM-DD' (default: always)
+ * @param {number} [config.rates[].fee] - Fee deducted from the wholesale price in €cents/kWh (default: 0)
+ * @param {number} [config.rates[].vatRate] - VAT paid on top of the export price as a fraction (default: 0)
+ * @param {boolean} [config.negativePriceAsCost] - Pay for exports when the export price is negative;
+ *   when false the export price never drops below zero (default: true)
+ * @returns {Object} Normalized feed-in tariff { negativePriceAsCost, rates }
+ */
+const normalizeFeedIn = (config = {}) => {
+  const { negativePriceAsCost = true } = config;
+
+  const rates = (config.rates || [config]).map(rate => {
+    const { validFrom = null, fee = 0, vatRate = 0 } = rate;
+    validateRate({ validFrom, vatRate });
+    if (typeof fee !== 'number' || Number.isNaN(fee)) {
+      throw new Error(`Invalid feed-in fee: ${fee}`);
+    }
+    return { validFrom, fee, vatRate };
+  });
+
+  return { ...config, negativePriceAsCost, rates: rates.sort(byValidFrom) };
+};
+
+/**
+ * Get the tariff rate effective at an instant
+ * @param {Object} tariff - Normalized consumer or feed-in tariff
+ * @param {Date|number|string} timestamp - Instant
+ * @param {string} timeZone - Bidding zone timezone the effective dates are in
+ * @returns {Object} Effective rate
+ * @throws {Error} When no rate is effective yet
+ */
+const getTariffRate = (tariff, timestamp, timeZone) => {
+  const time = new Date(timestamp).getTime();
+  let effective = null;
+
+  for (const rate of tariff.rates) {
+    if (rate.validFrom) {
+      const [year, month, day] = rate.validFrom.split('-').map(Number);
+      if (zonedTimeToUtc({ year, month, day }, timeZone) > time) break;
+    }
+    effective = rate;
+  }
+
+  if (!effective) {
+    throw new Error(`No tariff rate effective at ${new Date(time).toISOString()}`);
+  }
+  return effective;
+};
+
+/**
+ * Calculate the all-in consumer price from a wholesale price
+ * @param {number} wholesalePrice - Wholesale price in €cents/kWh
+ * @param {Object} rate - Tariff rate { adders, vatRate }
+ * @returns {number} Consumer price in €cents/kWh, rounded to 2 decimals
+ */
+const toConsumerPrice = (wholesalePrice, rate) => {
+  const adders = Object.values(rate.adders).reduce((sum, value) => sum + value, 0);
+  return round((wholesalePrice + adders) * (1 + rate.vatRate));
+};
+
+/**
+ * Calculate the price paid for exported energy from a wholesale price
+ * @param {number} wholesalePrice - Wholesale price in €cents/kWh
+ * @param {Object} rate - Feed-in rate { fee, vatRate }
+ * @param {boolean} [negativePriceAsCost] - Allow a negative export price (default: true)
+ * @returns {number} Export price in €cents/kWh, rounded to 2 decimals; negative means exporting costs money
+ */
+const toExportPrice = (wholesalePrice, rate, negativePriceAsCost = true) => {
+  const exportPrice = round((wholesalePrice - rate.fee) * (1 + rate.vatRate));
+  return negativePriceAsCost ? exportPrice : Math.max(0, exportPrice);
+};
+
+/**
+ * Add wholesale and consumer prices to price entries
+ * `price` is set to the chosen basis so existing consumers of `price` follow it.
+ * @param {Array} prices - Price entries in €cents/kWh
+ * @param {Object|null} tariff - Normalized tariff, or null when none is configured
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - Bidding zone timezone
+ * @param {string} [options.basis] - 'consumer' or 'wholesale' (default: the tariff's basis, or 'wholesale' without a tariff)
+ * @returns {Array} New price entries with wholesalePrice and consumerPrice (null without a tariff)
+ */
+const applyTariff = (prices, tariff, options) => {
+  const basis = options.basis || (tariff ? tariff.basis : 'wholesale');
+  if (!PRICE_BASES.includes(basis)) {
+    throw new Error(`Unsupported price basis: ${basis}`);
+  }
+  if (basis === 'consumer' && !tariff) {
+    throw new Error('A tariff is required for the consumer price basis');
+  }
+
+  return prices.map(p => {
+    const wholesalePrice = p.wholesalePrice !== undefined ? p.wholesalePrice : p.price;
+    const exactWholesale = p.priceEurMwh !== undefined ? p.priceEurMwh / 10 : wholesalePrice;
+    const consumerPrice = tariff
+      ? toConsumerPrice(exactWholesale, getTariffRate(tariff, p.timestamp, options.timeZone))
+      : null;
+
+    return {
+      ...p,
+      price: basis === 'consumer' ? consumerPrice : wholesalePrice,
+      wholesalePrice,
+      consumerPrice
+    };
+  });
+};
+
+/**
+ * Add export prices to price entries
+ * @param {Array} prices - Price entries in €cents/kWh
+ * @param {Object} feedIn - Normalized feed-in tariff
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - Bidding zone timezone
+ * @returns {Array} New price entries with exportPrice
+ */
+const applyFeedIn = (prices, feedIn, options) => {
+  return prices.map(p => {
+    const wholesalePrice = p.wholesalePrice !== undefined ? p.wholesalePrice : p.price;
+    const exactWholesale = p.priceEurMwh !== undefined ? p.priceEurMwh / 10 : wholesalePrice;
+    const rate = getTariffRate(feedIn, p.timestamp, options.timeZone);
+
+    return {
+      ...p,
+      exportPrice: toExportPrice(exactWholesale, rate, feedIn.negativePriceAsCost)
+    };
+  });
+};
+
+module.exports = {
+  PRICE_BASES,
+  normalizeTariff,
+  normalizeFeedIn,
+  getTariffRate,
+  toConsumerPrice,
+  toExportPrice,
+  applyTariff,
+  applyFeedIn
+};
@@ -0,0 +1,140 @@
+/**
+ * Shared test fixtures
+ * Assertion counters and an axios stub that answers ENTSO-E requests with generated A44
+ * documents, so the tests run without network access. Each test file is its own process.
+ */
+
+const axios = require('axios');
+
+const MINUTE = 60 * 1000;
+const QUARTER = 15 * MINUTE;
+const HOUR = 60 * MINUTE;
+const at = (iso) => new Date(iso).getTime();
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+const assert = (condition, testName) => {
+  if (condition) {
+    console.log(`✓ ${testName}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${testName}`);
+    testsFailed++;
+  }
+};
+
+const throws = (fn) => {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return true;
+  }
+};
+
+const rejects = async (promise) => {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return true;
+  }
+};
+
+// Parse an ENTSO-E period parameter (YYYYMMDDHHmm, UTC)
+const parsePeriod = (value) => Date.UTC(
+  parseInt(value.slice(0, 4)), parseInt(value.slice(4, 6)) - 1, parseInt(value.slice(6, 8)),
+  parseInt(value.slice(8, 10)), parseInt(value.slice(10, 12))
+);
+
+const NO_DATA = `<?xml version="1.0" encoding="UTF-8"?>
+<Acknowledgement_MarketDocument>
+  <Reason><code>999</code><text>No matching data found</text></Reason>
+</Acknowledgement_MarketDocument>`;
+
+const RESOLUTION_MS = { PT15M: QUARTER, PT30M: 30 * MINUTE, PT60M: HOUR };
+
+/**
+ * Build an A44 price document with a single period
+ * @param {number} start - Period start in milliseconds
+ * @param {number} end - Period end in milliseconds
+ * @param {Function} priceAt - Returns the price in EUR/MWh of the slot starting at a time
+ * @param {string} [resolution] - 'PT15M', 'PT30M' or 'PT60M' (default: 'PT60M')
+ * @returns {string} XML document
+ */
+const buildPriceXml = (start, end, priceAt, resolution = 'PT60M') => {
+  const points = [];
+  for (let t = start, i = 1; t < end; t += RESOLUTION_MS[resolution], i++) {
+    points.push(`<Point><position>${i}</position><price.amount>${priceAt(t)}</price.amount></Point>`);
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Publication_MarketDocument>
+  <TimeSeries>
+    <Period>
+      <timeInterval><start>${new Date(start).toISOString()}</start><end>${new Date(end).toISOString()}</end></timeInterval>
+      <resolution>${resolution}</resolution>
+      ${points.join('')}
+    </Period>
+  </TimeSeries>
+</Publication_MarketDocument>`;
+};
+
+const originalGet = axios.get;
+
+/**
+ * Answer ENTSO-E requests with generated prices for the requested period
+ * @param {Function} priceAt - Returns the price in EUR/MWh of the slot starting at a time
+ * @param {Object} [options] - Options
+ * @param {string} [options.resolution] - Resolution of the answers (default: 'PT60M')
+ * @param {Function} [options.publishedUntil] - Returns the end of the published prices; periods
+ *   are cut off there and answered with an acknowledgement when nothing is left (default: no limit)
+ * @param {number} [options.publishedFrom] - Start of the published prices (default: no limit)
+ * @param {Function} [options.onRequest] - Called with the requested { start, end } in milliseconds
+ */
+const stubEntsoe = (priceAt, options = {}) => {
+  const { resolution = 'PT60M', publishedUntil, publishedFrom = -Infinity, onRequest } = options;
+  axios.get = async (url, config) => {
+    const requested = { start: parsePeriod(config.params.periodStart), end: parsePeriod(config.params.periodEnd) };
+    if (onRequest) onRequest(requested);
+    if (!publishedUntil && publishedFrom === -Infinity) {
+      return { data: buildPriceXml(requested.start, requested.end, priceAt, resolution) };
+    }
+
+    const start = Math.max(requested.start, publishedFrom);
+    const end = Math.min(requested.end, publishedUntil ? publishedUntil() : Infinity);
+    return { data: end > start ? buildPriceXml(start, end, priceAt, resolution) : NO_DATA };
+  };
+};
+
+/**
+ * Run a test suite, print the summary and exit with its status
+ * @param {Function} runTests - Async function with the tests
+ */
+const runTestSuite = (runTests) => {
+  runTests().then(() => {
+    axios.get = originalGet;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log('='.repeat(50));
+
+    process.exit(testsFailed > 0 ? 1 : 0);
+  }).catch(error => {
+    console.error('Test error:', error);
+    process.exit(1);
+  });
+};
+
+module.exports = {
+  MINUTE,
+  HOUR,
+  at,
+  assert,
+  throws,
+  rejects,
+  buildPriceXml,
+  stubEntsoe,
+  runTestSuite
+};
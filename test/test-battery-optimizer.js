@@ -0,0 +1,78 @@
+/**
+ * Test the home battery arbitrage optimiser
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { normalizeBattery, optimizeBattery } = require('../battery-optimizer.js');
+const { HOUR, at, assert, throws, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+// Free energy 02:00-04:00 UTC on 2 April, an evening peak 18:00-20:00 UTC the same day
+const wholesaleEurMwh = (time) => {
+  if (time >= at('2026-04-02T02:00:00Z') && time < at('2026-04-02T04:00:00Z')) return 0;
+  if (time >= at('2026-04-02T18:00:00Z') && time < at('2026-04-02T20:00:00Z')) return 400;
+  return 100;
+};
+
+stubEntsoe(wholesaleEurMwh);
+
+// 10 kWh battery, 5 kW either way, 90% efficient each way
+const battery = { capacityKwh: 10, maxChargeKw: 5, roundTripEfficiency: 0.81, minSoc: 0.1, currentSoc: 0.1 };
+
+async function runTests() {
+  console.log('Testing battery configuration...');
+  const normalized = normalizeBattery(battery);
+  assert(normalized.maxDischargeKw === 5 && normalized.endSoc === 0.1 && normalized.cycleCost === 0, 'Defaults follow the other settings');
+  assert(throws(() => normalizeBattery({ ...battery, capacityKwh: 0 })), 'Capacity must be positive');
+  assert(throws(() => normalizeBattery({ ...battery, roundTripEfficiency: 90 })), 'Efficiency given as a percentage is rejected');
+  assert(throws(() => normalizeBattery({ ...battery, currentSoc: 0.05 })), 'Current SoC below the minimum is rejected');
+
+  console.log('\nTesting optimizeBattery() on slots...');
+  const slots = [5, 5, 50, 50].map((price, i) => ({ start: i * HOUR, end: (i + 1) * HOUR, buyPrice: price, sellPrice: price }));
+  let plan = optimizeBattery(slots, normalized);
+  assert(plan.steps.map(s => Math.sign(Math.round(s.gridKwh * 1000))).join(',') === '1,1,-1,-1', 'Charges cheap and discharges dear');
+  assert(Math.abs(plan.steps[0].storedKwh - 4.5) < 1e-9 && Math.abs(plan.steps[0].gridKwh - 5) < 1e-9, 'Charging loses efficiency between grid and battery');
+  assert(Math.min(...plan.steps.map(s => s.socEnd)) >= 1 - 1e-9, 'State of charge stays above the minimum');
+  plan = optimizeBattery(slots.map(s => ({ ...s, buyPrice: 10, sellPrice: 10 })), normalized);
+  assert(plan.profit === 0 && plan.steps.every(s => s.gridKwh === 0), 'Flat prices leave the battery idle');
+  assert(optimizeBattery(slots.slice(0, 1), normalizeBattery({ ...battery, endSoc: 1 })) === null, 'Unreachable end SoC gives no plan');
+
+  console.log('\nTesting the price checker...');
+  const now = at('2026-04-01T12:05:00Z');
+  const checker = createPriceChecker({ token: 'token', clock: () => now, retry: false });
+
+  let result = await checker.optimizeBattery(battery);
+  const actions = Object.fromEntries(result.schedule.map(slot => [slot.startTime, slot]));
+  assert(result.schedule[0].startTime === '2026-04-01T13:00:00.000Z', 'Plan starts with the first future slot');
+  assert(actions['2026-04-02T02:00:00.000Z'].action === 'charge' && actions['2026-04-02T02:00:00.000Z'].powerKw === 5, 'Charges at full power on free energy');
+  assert(actions['2026-04-02T18:00:00.000Z'].action === 'discharge' && actions['2026-04-02T19:00:00.000Z'].action === 'discharge', 'Discharges in the evening peak');
+  assert(result.chargedKwh === 10 && result.dischargedKwh === 8.1 && result.expectedProfit === 3.24, 'Profit after round-trip losses');
+  assert(result.socTrajectory.length === result.schedule.length + 1 && result.socTrajectory[0].soc === 0.1, 'Trajectory starts at the current SoC');
+  assert(Math.max(...result.socTrajectory.map(p => p.socKwh)) === 10 && result.socTrajectory[result.socTrajectory.length - 1].soc === 0.1, 'Battery fills up and returns to the start SoC');
+  assert(/expected profit of €3.24$/.test(result.message), 'Message states the profit');
+
+  result = await checker.optimizeBattery({ ...battery, cycleCost: 2 });
+  assert(result.expectedProfit === 1.44 && result.degradationCost === 1.8 && result.cycles === 0.9, 'Cycle cost is deducted per kWh discharged');
+  result = await checker.optimizeBattery({ ...battery, cycleCost: 4 });
+  assert(result.expectedProfit === 0 && result.schedule.every(slot => slot.action === 'idle'), 'Wear above the spread keeps the battery idle');
+  assert(result.message === 'No profitable arbitrage in the coming prices', 'Message without arbitrage');
+
+  result = await checker.optimizeBattery({ ...battery, endSoc: 0.5 });
+  assert(result.socTrajectory[result.socTrajectory.length - 1].soc === 0.5, 'Plan ends at the requested SoC');
+
+  result = await checker.optimizeBattery(battery, { lookAheadMinutes: 6 * 60 });
+  assert(result.schedule.length === 6 && result.expectedProfit === 0, 'Look-ahead limits the planned slots');
+
+  const withTariff = createPriceChecker({
+    token: 'token',
+    clock: () => now,
+    retry: false,
+    tariff: { adders: { energyTax: 10 } },
+    feedIn: { fee: 0 }
+  });
+  result = await withTariff.optimizeBattery(battery);
+  const charge = result.schedule.find(slot => slot.action === 'charge');
+  assert(charge.buyPrice === 10 && result.basis === 'consumer', 'Charging pays the consumer price');
+  assert(result.schedule.find(slot => slot.action === 'discharge').sellPrice === 40 && result.expectedProfit === 2.24, 'Discharging earns the export price');
+}
+
+runTestSuite(runTests);
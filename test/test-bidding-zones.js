@@ -0,0 +1,56 @@
+/**
+ * Test bidding zone resolution and per-zone requests/caching in entsoe-client
+ */
+
+const axios = require('axios');
+const { resolveZone, BIDDING_ZONES } = require('../bidding-zones.js');
+const entsoeClient = require('../entsoe-client.js');
+const { at, assert, buildPriceXml, runTestSuite } = require('./helpers.js');
+
+// Minimal A44 document with a single hourly point
+const buildXml = (price) => buildPriceXml(at('2026-01-02T00:00:00Z'), at('2026-01-02T01:00:00Z'), () => price);
+
+const requests = [];
+axios.get = async (url, config) => {
+  requests.push(config.params);
+  return { data: buildXml(config.params.in_Domain === BIDDING_ZONES.BE.code ? 120 : 80) };
+};
+
+async function runTests() {
+  console.log('Testing resolveZone()...');
+  assert(resolveZone().code === '10YNL----------L', 'Defaults to the Netherlands');
+  assert(resolveZone('nl').timeZone === 'Europe/Amsterdam', 'Aliases are case-insensitive');
+  assert(resolveZone('DE-LU').code === '10Y1001A1001A82H', 'Resolves DE-LU alias');
+  assert(resolveZone('10YBE----------2').id === 'BE', 'Resolves EIC codes back to their alias');
+  assert(resolveZone('SE3').timeZone === 'Europe/Stockholm', 'Nordic zones carry their timezone');
+
+  let error = null;
+  try {
+    resolveZone('XX');
+  } catch (err) {
+    error = err;
+  }
+  assert(error && /Unknown bidding zone/.test(error.message), 'Unknown zones throw');
+
+  console.log('\nTesting per-zone requests...');
+  await entsoeClient.fetchDayAheadPrices('token', new Date(), new Date(), { zone: 'NO2' });
+  assert(requests[0].in_Domain === BIDDING_ZONES.NO2.code, 'in_Domain uses the requested zone');
+  assert(requests[0].out_Domain === BIDDING_ZONES.NO2.code, 'out_Domain uses the requested zone');
+
+  console.log('\nTesting per-zone cache...');
+  entsoeClient.clearCache();
+  requests.length = 0;
+  const nl = await entsoeClient.getPriceData('token');
+  const be = await entsoeClient.getPriceData('token', { zone: 'BE' });
+  assert(nl[0].price === 8 && be[0].price === 12, 'Each zone gets its own prices');
+  await entsoeClient.getPriceData('token', { zone: 'NL' });
+  await entsoeClient.getPriceData('token', { zone: 'BE' });
+  assert(requests.length === 2, 'Cached zones are not fetched again');
+
+  entsoeClient.clearCache('BE');
+  await entsoeClient.getPriceData('token', { zone: 'BE' });
+  await entsoeClient.getPriceData('token', { zone: 'NL' });
+  assert(requests.length === 3, 'clearCache(zone) only clears that zone');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,80 @@
+/**
+ * Test publication-aware cache expiry and period categorization on every read
+ */
+
+const axios = require('axios');
+const entsoeClient = require('../entsoe-client.js');
+const { getPublicationTime, getCacheExpiry, hasNextDayPrices } = require('../market-calendar.js');
+const { HOUR, at, assert, buildPriceXml, runTestSuite } = require('./helpers.js');
+
+// Hourly prices from start for a number of hours
+const hourlyPrices = (start, hours) => Array.from({ length: hours }, (_, i) => ({
+  timestamp: new Date(at(start) + i * HOUR).toISOString(),
+  price: 10,
+  resolutionMinutes: 60
+}));
+
+// A44 document with hourly points from start for a number of hours
+const buildXml = (start, hours) => buildPriceXml(at(start), at(start) + hours * HOUR, (t) => 100 + (t - at(start)) / HOUR);
+
+async function runTests() {
+  console.log('Testing market calendar...');
+  assert(new Date(getPublicationTime(at('2026-01-02T10:00:00Z'))).toISOString() === '2026-01-02T11:45:00.000Z', 'Winter publication is 12:45 CET');
+  assert(new Date(getPublicationTime(at('2026-07-02T10:00:00Z'))).toISOString() === '2026-07-02T10:45:00.000Z', 'Summer publication is 12:45 CEST');
+  assert(new Date(getPublicationTime(at('2026-01-02T10:00:00Z'), 1)).toISOString() === '2026-01-03T11:45:00.000Z', 'Publication of the next auction day');
+
+  // Yesterday and today (Amsterdam days) without tomorrow
+  const withoutTomorrow = hourlyPrices('2025-12-31T23:00:00Z', 48);
+  const withTomorrow = hourlyPrices('2025-12-31T23:00:00Z', 72);
+  assert(!hasNextDayPrices(withoutTomorrow, at('2026-01-02T10:00:00Z'), 'Europe/Amsterdam'), 'Detects that tomorrow is missing');
+  assert(hasNextDayPrices(withTomorrow, at('2026-01-02T14:00:00Z'), 'Europe/Amsterdam'), 'Detects that tomorrow is published');
+
+  const options = { timeZone: 'Europe/Amsterdam', pollIntervalMs: 10 * 60 * 1000 };
+  assert(getCacheExpiry(withTomorrow, at('2026-01-02T14:00:00Z'), options) === at('2026-01-03T11:45:00Z'), 'Final data is cached until the next auction result');
+  assert(getCacheExpiry(withoutTomorrow, at('2026-01-02T08:00:00Z'), options) === at('2026-01-02T11:45:00Z'), 'Data before publication is cached until the expected publication');
+  assert(getCacheExpiry(withoutTomorrow, at('2026-01-02T12:00:00Z'), options) === at('2026-01-02T12:10:00Z'), 'Overdue data is polled at the configured interval');
+
+  console.log('\nTesting getPriceData() expiry...');
+  let now = at('2026-01-02T08:20:00Z');
+  let calls = 0;
+  let xml = buildXml('2025-12-31T23:00:00Z', 48);
+  axios.get = async () => {
+    calls++;
+    return { data: xml };
+  };
+
+  const cache = entsoeClient.createPriceCache();
+  const rateLimiter = entsoeClient.createRateLimiter({ requestsPerMinute: 60000 });
+  const read = () => entsoeClient.getPriceData('token', { cache, rateLimiter, clock: () => now, pollIntervalMs: 10 * 60 * 1000 });
+
+  let prices = await read();
+  assert(calls === 1, 'First read fetches');
+  assert(prices.find(p => p.period === 'current').timestamp === '2026-01-02T08:00:00.000Z', 'Current slot matches the clock');
+
+  now = at('2026-01-02T10:30:00Z');
+  prices = await read();
+  assert(calls === 1, 'Served from cache before the expected publication');
+  assert(prices.find(p => p.period === 'current').timestamp === '2026-01-02T10:00:00.000Z', 'Period is recomputed on every read');
+  assert(prices.filter(p => p.period === 'current').length === 1, 'Exactly one current slot after recomputing');
+
+  now = at('2026-01-02T11:50:00Z');
+  await read();
+  assert(calls === 2, 'Refetches once the publication time has passed');
+
+  now = at('2026-01-02T11:55:00Z');
+  await read();
+  assert(calls === 2, 'Does not refetch within the poll interval');
+
+  xml = buildXml('2025-12-31T23:00:00Z', 72);
+  now = at('2026-01-02T12:01:00Z');
+  await read();
+  assert(calls === 3, 'Polls again after the interval and picks up tomorrow');
+  assert(entsoeClient.getDataQuality({ cache }).expiresAt === '2026-01-03T11:45:00.000Z', 'Final data expires at the next auction result');
+
+  now = at('2026-01-03T09:00:00Z');
+  prices = await read();
+  assert(calls === 3, 'Final data is not refetched overnight');
+  assert(prices.find(p => p.period === 'current').timestamp === '2026-01-03T09:00:00.000Z', 'Current slot moves into the next day from cache');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,95 @@
+/**
+ * Test earliest start, latest end and excluded time ranges on recommendations
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { resolveConstraints, expandExcludedRanges } = require('../constraints.js');
+const { at, assert, throws, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+// Cheapest 01:00-03:00 UTC (02:00-04:00 in Amsterdam), then 05:00 UTC, then 21:00 UTC
+const wholesaleEurMwh = (time) => {
+  const hour = new Date(time).getUTCHours();
+  if (hour === 1 || hour === 2) return 20;
+  if (hour === 5) return 40;
+  if (hour === 21) return 50;
+  return 100;
+};
+
+stubEntsoe(wholesaleEurMwh);
+
+const timeZone = 'Europe/Amsterdam';
+
+async function runTests() {
+  const now = at('2026-01-15T18:10:00Z'); // 19:10 in Amsterdam
+
+  console.log('Testing constraint resolution...');
+  assert(resolveConstraints({}, { now, timeZone }) === null, 'No constraints without options');
+  let constraints = resolveConstraints({ latestEnd: '07:00' }, { now, timeZone });
+  assert(constraints.latestEnd === at('2026-01-16T06:00:00Z') && constraints.earliestStart === null, 'Time of day is the next local occurrence');
+  constraints = resolveConstraints({ earliestStart: '20:00', latestEnd: '19:00' }, { now, timeZone });
+  assert(constraints.earliestStart === at('2026-01-15T19:00:00Z') && constraints.latestEnd === at('2026-01-16T18:00:00Z'), 'latestEnd follows earliestStart');
+  constraints = resolveConstraints({ earliestStart: '19:00', latestEnd: '07:00' }, { now, timeZone });
+  assert(constraints.earliestStart === now && constraints.latestEnd === at('2026-01-16T06:00:00Z'), 'Inside the window it starts now');
+  constraints = resolveConstraints({ earliestStart: '22:00', latestEnd: '07:00' }, { now: at('2026-01-15T23:30:00Z'), timeZone });
+  assert(constraints.earliestStart === at('2026-01-15T23:30:00Z') && constraints.latestEnd === at('2026-01-16T06:00:00Z'), 'After midnight inside an overnight window it starts now');
+  constraints = resolveConstraints({ earliestStart: '08:00', latestEnd: '12:00' }, { now, timeZone });
+  assert(constraints.earliestStart === at('2026-01-16T07:00:00Z') && constraints.latestEnd === at('2026-01-16T11:00:00Z'), 'A window that closed today moves to tomorrow');
+  constraints = resolveConstraints({ earliestStart: '22:00', latestEnd: '2026-03-11T06:00:00Z' }, { now: at('2026-03-10T14:00:00Z'), timeZone });
+  assert(constraints.earliestStart === at('2026-03-10T21:00:00Z') && constraints.latestEnd === at('2026-03-11T06:00:00Z'), 'Before the opening with an instant as latestEnd it waits for earliestStart');
+  constraints = resolveConstraints({ earliestStart: '22:00' }, { now: at('2026-03-10T22:00:00Z'), timeZone });
+  assert(constraints.earliestStart === at('2026-03-10T22:00:00Z') && constraints.latestEnd === null, 'After the opening without latestEnd it starts now');
+  constraints = resolveConstraints({ earliestStart: '2026-01-15T20:00:00Z' }, { now, timeZone });
+  assert(constraints.earliestStart === at('2026-01-15T20:00:00Z'), 'Instants are accepted');
+  assert(throws(() => resolveConstraints({ earliestStart: 'tomorrow' }, { now, timeZone })), 'Invalid earliestStart is rejected');
+  assert(throws(() => resolveConstraints({ latestEnd: '25:00' }, { now, timeZone })), 'Invalid time of day is rejected');
+  assert(throws(() => resolveConstraints({ excludedRanges: [{ from: '22:00', to: '2026-01-16T06:00:00Z' }] }, { now, timeZone })), 'Mixed excluded range is rejected');
+
+  constraints = resolveConstraints({ excludedRanges: [{ from: '22:00', to: '07:00' }] }, { now, timeZone });
+  const nights = expandExcludedRanges(constraints.excludedRanges, at('2026-01-15T23:00:00Z'), at('2026-01-17T23:00:00Z'), timeZone);
+  assert(nights.length === 3 && nights[0].start === at('2026-01-15T21:00:00Z') && nights[0].end === at('2026-01-16T06:00:00Z'), 'Overnight range reaching into the search is kept');
+  assert(nights[2].start === at('2026-01-17T21:00:00Z') && nights[2].end === at('2026-01-18T06:00:00Z'), 'Daily ranges repeat every night');
+
+  console.log('\nTesting constrained recommendations...');
+  const checker = createPriceChecker({ token: 'token', clock: () => now, retry: false });
+
+  let result = await checker.recommendBestTime(1, 24);
+  assert(result.recommendation.startTime === '2026-01-16T01:00:00.000Z', 'Unconstrained run picks the cheapest hour');
+
+  result = await checker.recommendBestTime(1, 24, { latestEnd: '02:00' });
+  assert(result.recommendation.startTime === '2026-01-15T21:00:00.000Z', 'Run finishes by latestEnd');
+
+  result = await checker.recommendBestTime(1, 24, { earliestStart: '03:30' });
+  assert(result.recommendation.startTime === '2026-01-16T05:00:00.000Z', 'Run starts at or after earliestStart');
+
+  result = await checker.recommendBestTime({ durationMinutes: 60, earliestStart: '19:00', latestEnd: '07:00' });
+  assert(result.recommendation.startTime === '2026-01-16T01:00:00.000Z', 'A run inside an open window finishes by the next latestEnd');
+
+  result = await checker.recommendBestTime(1, 24, { excludedRanges: [{ from: '01:00', to: '05:00' }] });
+  assert(result.recommendation.startTime === '2026-01-16T05:00:00.000Z', 'Run avoids quiet hours');
+
+  result = await checker.recommendBestTime(1, 24, { excludedRanges: [{ from: '22:00', to: '03:00' }] });
+  assert(result.recommendation.startTime === '2026-01-16T02:00:00.000Z', 'Run may start when overnight quiet hours end');
+
+  result = await checker.recommendBestTime(1, 24, {
+    earliestStart: '03:30',
+    excludedRanges: [{ from: '2026-01-16T05:00:00Z', to: '2026-01-16T06:00:00Z' }]
+  });
+  assert(result.recommendation.startTime === '2026-01-16T02:30:00.000Z' && result.recommendation.averagePrice === 6, 'Excluded instants combine with earliestStart');
+
+  result = await checker.recommendBestTime({ latestEnd: '02:00', loadProfile: [{ durationMinutes: 60, kWh: 1 }] });
+  assert(result.recommendation.startTime === '2026-01-15T21:00:00.000Z' && result.currentCost === 0.1, 'Load profiles respect constraints and compare with now');
+
+  console.log('\nTesting infeasible constraints...');
+  result = await checker.recommendBestTime(1, 24, { latestEnd: '19:30' });
+  assert(result.infeasible === true && /^A 60-minute run does not fit between/.test(result.reason), 'Too little time before latestEnd');
+  assert(result.error === result.reason && !result.recommendation, 'Infeasible results carry the reason as error');
+  assert(result.constraints.latestEnd === '2026-01-15T18:30:00.000Z', 'Infeasible results show the resolved constraints');
+
+  result = await checker.recommendBestTime(1, 24, { excludedRanges: [{ from: '00:00', to: '00:00' }] });
+  assert(result.infeasible === true && /avoids the excluded time ranges$/.test(result.reason), 'Excluded ranges covering everything');
+
+  result = await checker.recommendBestTime(2, 96, { earliestStart: '2026-01-17T00:00:00Z' });
+  assert(result.infeasible === true && /^Not enough price data between/.test(result.reason), 'No prices after earliestStart yet');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,54 @@
+/**
+ * Test parsing of ENTSO-E curve types (A01 and A03) and gap reporting
+ */
+
+const entsoeClient = require('../entsoe-client.js');
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { assert, runTestSuite } = require('./helpers.js');
+
+const buildXml = (curveType, points) => `<?xml version="1.0" encoding="UTF-8"?>
+<Publication_MarketDocument>
+  <TimeSeries>
+    <curveType>${curveType}</curveType>
+    <Period>
+      <timeInterval><start>2026-01-02T00:00Z</start><end>2026-01-02T06:00Z</end></timeInterval>
+      <resolution>PT60M</resolution>
+      ${points.map(([position, price]) => `<Point><position>${position}</position><price.amount>${price}</price.amount></Point>`).join('\n      ')}
+    </Period>
+  </TimeSeries>
+</Publication_MarketDocument>`;
+
+async function runTests() {
+  console.log('Testing A03 expansion...');
+  const a03 = await entsoeClient.parseEntsoeResponse(buildXml('A03', [[1, 80], [3, 60], [6, 90]]));
+  assert(a03.prices.length === 6, 'A03 series is expanded to the full timeInterval');
+  assert(a03.prices.map(p => p.priceEurMwh).join(',') === '80,80,60,60,60,90', 'Omitted positions carry the previous price forward');
+  assert(a03.prices[1].timestamp === '2026-01-02T01:00:00.000Z', 'Carried-forward points get their own timestamps');
+  assert(a03.quality.gaps.length === 0, 'Complete A03 series reports no gaps');
+
+  const a03Leading = await entsoeClient.parseEntsoeResponse(buildXml('A03', [[3, 60]]));
+  assert(a03Leading.prices.length === 4, 'A03 series without a first point keeps only known prices');
+  assert(a03Leading.quality.gaps.length === 1 && a03Leading.quality.gaps[0].slots === 2, 'Leading positions without a previous price are reported');
+
+  console.log('\nTesting A01 gaps...');
+  const a01 = await entsoeClient.parseEntsoeResponse(buildXml('A01', [[1, 80], [2, 70], [5, 60], [6, 50]]));
+  assert(a01.prices.length === 4, 'A01 series does not invent missing prices');
+  assert(a01.quality.gaps.length === 1, 'Missing A01 positions are reported as one gap');
+  assert(a01.quality.gaps[0].start === '2026-01-02T02:00:00.000Z', 'Gap starts at the first missing slot');
+  assert(a01.quality.gaps[0].end === '2026-01-02T04:00:00.000Z', 'Gap ends after the last missing slot');
+
+  const prices = await entsoeClient.parseEntsoeXml(buildXml('A01', [[1, 80], [2, 70]]));
+  assert(Array.isArray(prices), 'parseEntsoeXml() still returns a plain array');
+
+  console.log('\nTesting recommendBestTime() across gaps...');
+  const originalGetPriceData = entsoeClient.getPriceData;
+  entsoeClient.getPriceData = async () => a01.prices.map((p, i) => ({ ...p, period: i === 0 ? 'current' : 'future' }));
+  const checker = createPriceChecker({ token: 'test-token' });
+  const rec = await checker.recommendBestTime(2, 24);
+  assert(rec.recommendation.startTime === '2026-01-02T04:00:00.000Z', 'Windows spanning a gap are skipped');
+  const tooLong = await checker.recommendBestTime(3, 24);
+  assert(tooLong.error !== undefined, 'Reports an error when no contiguous window fits');
+  entsoeClient.getPriceData = originalGetPriceData;
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,93 @@
+/**
+ * Test acknowledgement parsing and typed ENTSO-E errors
+ */
+
+const axios = require('axios');
+const entsoeClient = require('../entsoe-client.js');
+const {
+  EntsoeError,
+  EntsoeAuthError,
+  EntsoeNoDataError,
+  EntsoeRateLimitError,
+  EntsoeNetworkError
+} = require('../powerpricecheck.js');
+const { assert, runTestSuite } = require('./helpers.js');
+
+const buildAcknowledgement = (code, text) => `<?xml version="1.0" encoding="UTF-8"?>
+<Acknowledgement_MarketDocument xmlns="urn:iec62325.351:tc57wg16:451-1:acknowledgementdocument:7:0">
+  <mRID>ack-1</mRID>
+  <createdDateTime>2026-01-02T10:00:00Z</createdDateTime>
+  <sender_MarketParticipant.mRID codingScheme="A01">10X1001A1001A450</sender_MarketParticipant.mRID>
+  <Reason>
+    <code>${code}</code>
+    <text>${text}</text>
+  </Reason>
+</Acknowledgement_MarketDocument>`;
+
+const NO_DATA = buildAcknowledgement('999', 'No matching data found for Data item Day-ahead Prices [12.1.D] (10YNL----------L, 10YNL----------L) and interval 2026-01-03T23:00:00.000Z/2026-01-04T23:00:00.000Z.');
+
+const startDate = new Date('2026-01-03T23:00:00.000Z');
+const endDate = new Date('2026-01-04T23:00:00.000Z');
+
+const originalGet = axios.get;
+
+// Run a fetch against a stubbed axios.get and return the thrown error
+const fetchWith = async (stub) => {
+  axios.get = stub;
+  try {
+    await entsoeClient.fetchDayAheadPrices('token', startDate, endDate, { retry: false });
+    return null;
+  } catch (error) {
+    return error;
+  } finally {
+    axios.get = originalGet;
+  }
+};
+
+const httpError = (status, data = '', headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data, headers }
+});
+
+async function runTests() {
+  console.log('Testing acknowledgement documents...');
+  let error = await fetchWith(async () => ({ data: NO_DATA }));
+  assert(error instanceof EntsoeNoDataError, '"No matching data" acknowledgement throws EntsoeNoDataError');
+  assert(error instanceof EntsoeError, 'Typed errors extend EntsoeError');
+  assert(error.code === '999', 'Error carries the reason code');
+  assert(/No matching data found/.test(error.reason), 'Error carries the reason text');
+  assert(error.period.start === startDate.toISOString() && error.period.end === endDate.toISOString(), 'Error carries the requested period');
+  assert(error.zone === 'NL', 'Error carries the requested zone');
+
+  error = await fetchWith(async () => { throw httpError(400, buildAcknowledgement('999', 'The amount of requested data exceeds allowed limit.')); });
+  assert(error instanceof EntsoeError && !(error instanceof EntsoeNoDataError), 'Other 999 reasons are not reported as missing data');
+  assert(error.status === 400, 'Error carries the HTTP status');
+
+  error = await fetchWith(async () => { throw httpError(400, 'Bad request'); });
+  assert(error instanceof EntsoeError && error.message === 'Invalid request parameters', '400 without acknowledgement keeps its message');
+
+  console.log('\nTesting HTTP status mapping...');
+  error = await fetchWith(async () => { throw httpError(401, 'Unauthorized'); });
+  assert(error instanceof EntsoeAuthError, '401 throws EntsoeAuthError');
+  assert(error.message === 'Invalid ENTSO-E API token', 'Auth error keeps its message');
+
+  error = await fetchWith(async () => { throw httpError(429, '', { 'retry-after': '30' }); });
+  assert(error instanceof EntsoeRateLimitError, '429 throws EntsoeRateLimitError');
+  assert(error.retryAfterMs === 30000, 'Rate limit error carries Retry-After');
+
+  error = await fetchWith(async () => { throw httpError(500); });
+  assert(error instanceof EntsoeError && error.status === 500, 'Other statuses throw EntsoeError with status');
+
+  error = await fetchWith(async () => { throw Object.assign(new Error('timeout'), { request: {}, code: 'ECONNABORTED' }); });
+  assert(error instanceof EntsoeNetworkError, 'Missing response throws EntsoeNetworkError');
+  assert(error.code === 'ECONNABORTED', 'Network error carries the system error code');
+
+  error = null;
+  try {
+    await entsoeClient.fetchDayAheadPrices(null, startDate, endDate);
+  } catch (err) {
+    error = err;
+  }
+  assert(error instanceof EntsoeAuthError, 'Missing token throws EntsoeAuthError');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,69 @@
+/**
+ * Test the EV charging planner
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { normalizeEv, planEvCharging } = require('../ev-planner.js');
+const { HOUR, at, assert, throws, rejects, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+const QUARTER = HOUR / 4;
+
+// Cheap night energy 01:00-03:00 UTC on 2 April, 100 €/MWh otherwise
+const wholesaleEurMwh = (time) =>
+  (time >= at('2026-04-02T01:00:00Z') && time < at('2026-04-02T03:00:00Z') ? 20 : 100);
+
+stubEntsoe(wholesaleEurMwh);
+
+// 50 kWh battery at half charge, wanted at 80% by 07:00 Amsterdam time (05:00 UTC)
+const car = { batteryKwh: 50, currentSoc: 0.5, targetSoc: 0.8, chargerKw: { 1: 3.7, 3: 11 }, departure: '07:00' };
+
+async function runTests() {
+  console.log('Testing EV configuration...');
+  let ev = normalizeEv(car);
+  assert(ev.chargerKw === 11 && ev.phases === 3 && ev.chargingEfficiency === 0.9, 'Defaults to the most powerful phase count');
+  assert(normalizeEv({ ...car, phases: 1 }).chargerKw === 3.7, 'Phase count selects the charger power');
+  assert(normalizeEv({ ...car, chargerKw: 7.4 }).phases === null, 'A single charger power needs no phase count');
+  assert(throws(() => normalizeEv({ ...car, phases: 2 })), 'Unknown phase count is rejected');
+  assert(throws(() => normalizeEv({ ...car, targetSoc: 80 })), 'SoC given as a percentage is rejected');
+  assert(throws(() => normalizeEv({ ...car, chargingEfficiency: 0 })), 'Efficiency must be positive');
+
+  console.log('\nTesting planEvCharging() on quarters...');
+  const quarters = [10, null, 2, 5].map((price, i) => ({ start: i * QUARTER, end: (i + 1) * QUARTER, price }));
+  ev = normalizeEv({ batteryKwh: 10, currentSoc: 0.5, targetSoc: 0.65, chargerKw: 4, chargingEfficiency: 1 });
+  let plan = planEvCharging(quarters, ev);
+  assert(!plan.fallback && plan.powers.map(kw => Math.round(kw * 100) / 100).join(',') === '0,0,4,2', 'Fills the cheapest quarters, the last one partly');
+  plan = planEvCharging(quarters.map((q, i) => (i < 2 ? { ...q, price: null } : q)).slice(0, 3), ev);
+  assert(plan.fallback && plan.powers.map(kw => Math.round(kw * 100) / 100).join(',') === '4,2,0', 'Charges as fast as possible when prices are missing');
+  plan = planEvCharging(quarters, normalizeEv({ ...ev, currentSoc: 0.7 }));
+  assert(!plan.fallback && plan.powers.every(kw => kw === 0), 'No charging above the target');
+
+  console.log('\nTesting the price checker...');
+  const now = at('2026-04-01T20:05:00Z');
+  const checker = createPriceChecker({ token: 'token', clock: () => now, retry: false });
+
+  let result = await checker.planEvCharging(car);
+  const charging = result.schedule.filter(slot => slot.powerKw > 0);
+  assert(result.schedule[0].startTime === '2026-04-01T20:00:00.000Z' && result.departure === '2026-04-02T05:00:00.000Z', 'Plans from the current quarter until departure');
+  assert(result.schedule.length === 36, 'One slot per quarter hour');
+  assert(charging.length === 7 && charging.every(slot => slot.price === 2), 'Charges in the cheap night hours only');
+  assert(charging.filter(slot => slot.powerKw === 11).length === 6 && charging.some(slot => slot.powerKw === 0.67), 'Full power except for the last quarter');
+  assert(result.projectedSoc === 0.8 && result.targetReached && !result.fallback, 'Reaches the target SoC by departure');
+  assert(result.energyKwh === 16.667 && result.cost === 0.3333, 'Cost includes charging losses');
+  assert(result.immediateCost === 1.6667 && result.savings === 1.3334, 'Cost compared with charging on plug-in');
+  assert(result.message === 'Charge 16.667 kWh for €0.3333, €1.3334 less than charging immediately', 'Message states the savings');
+
+  result = await checker.planEvCharging({ ...car, phases: 1 });
+  assert(result.schedule.filter(slot => slot.powerKw > 0).length === 19 && result.targetReached, 'Slower charging on one phase also uses dearer quarters');
+
+  result = await checker.planEvCharging({ ...car, departure: '23:00' });
+  assert(result.fallback && !result.targetReached && result.schedule.every(slot => slot.powerKw === 11), 'Falls back to charging as fast as possible');
+  assert(result.projectedSoc === 0.698 && /reaches 70%$/.test(result.message), 'Projected SoC when the target is out of reach');
+
+  result = await checker.planEvCharging({ ...car, currentSoc: 0.9 });
+  assert(result.energyKwh === 0 && result.cost === 0 && result.message === 'The battery is already at the target state of charge', 'Nothing to charge above the target');
+
+  assert(await rejects(checker.planEvCharging({ ...car, departure: undefined })), 'Departure is required');
+  assert(await rejects(checker.planEvCharging({ ...car, departure: '2026-04-01T18:00:00Z' })), 'Departure in the past is rejected');
+}
+
+runTestSuite(runTests);
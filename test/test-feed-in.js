@@ -0,0 +1,76 @@
+/**
+ * Test the feed-in tariff model and export recommendations
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { normalizeFeedIn, toExportPrice, applyFeedIn } = require('../tariff.js');
+const { at, assert, throws, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+// Negative prices around solar noon, an evening peak, flat otherwise (EUR/MWh)
+const wholesaleEurMwh = (time) => {
+  const hour = new Date(time).getUTCHours();
+  if (hour >= 10 && hour < 14) return -20;
+  if (hour >= 18 && hour < 20) return 300;
+  return 80;
+};
+
+stubEntsoe(wholesaleEurMwh);
+
+async function runTests() {
+  console.log('Testing feed-in configuration...');
+  const defaults = normalizeFeedIn();
+  assert(defaults.negativePriceAsCost === true && defaults.rates[0].fee === 0 && defaults.rates[0].vatRate === 0, 'Default feed-in pays the spot price');
+  const feedIn = normalizeFeedIn({
+    rates: [
+      { validFrom: '2026-07-01', fee: 1.5, vatRate: 0.21 },
+      { validFrom: '2026-01-01', fee: 1, vatRate: 0.21 }
+    ]
+  });
+  assert(feedIn.rates[0].validFrom === '2026-01-01', 'Feed-in rates are sorted by effective date');
+  assert(throws(() => normalizeFeedIn({ fee: 'one' })), 'Invalid fee is rejected');
+  assert(throws(() => normalizeFeedIn({ vatRate: 21 })), 'VAT given as a percentage is rejected');
+
+  console.log('\nTesting export prices...');
+  assert(toExportPrice(12, { fee: 2, vatRate: 0.21 }) === 12.1, '(wholesale - fee) × (1 + VAT)');
+  assert(toExportPrice(-3, { fee: 1, vatRate: 0 }) === -4, 'Negative prices are a cost by default');
+  assert(toExportPrice(-3, { fee: 1, vatRate: 0 }, false) === 0, 'Negative prices can be floored at zero');
+  const [june, july] = applyFeedIn([
+    { timestamp: '2026-06-30T21:00:00Z', price: 10 },
+    { timestamp: '2026-06-30T22:00:00Z', price: 10 }
+  ], feedIn, { timeZone: 'Europe/Amsterdam' });
+  assert(june.exportPrice === 10.89 && july.exportPrice === 10.29, 'Fee changes at local midnight');
+
+  console.log('\nTesting getExportPrices()...');
+  let now = at('2026-06-01T08:30:00Z');
+  const checker = createPriceChecker({ token: 'token', clock: () => now, retry: false, feedIn: { fee: 1 } });
+  let exportPrices = await checker.getExportPrices(6);
+  assert(exportPrices.length === 6 && exportPrices[0].timestamp === '2026-06-01T08:00:00.000Z', 'Starts with the current slot');
+  assert(exportPrices[0].exportPrice === 7 && exportPrices[0].wholesalePrice === 8 && exportPrices[0].action === 'export', 'Positive export price means export');
+  assert(exportPrices[2].exportPrice === -3 && exportPrices[2].action === 'curtail', 'Negative export price means curtail');
+  exportPrices = await checker.getExportPrices(3, { minExportPrice: 8 });
+  assert(exportPrices.every(p => p.action === 'curtail'), 'minExportPrice raises the curtail threshold');
+
+  console.log('\nTesting recommendBestExportTime()...');
+  let result = await checker.recommendBestExportTime(2, 24);
+  assert(result.recommendation.startTime === '2026-06-01T18:00:00.000Z', 'Best export window is the evening peak');
+  assert(result.recommendation.averageExportPrice === 29 && result.potentialGain === 22, 'Gain is relative to exporting now');
+  assert(result.curtailPeriods.length >= 1 && result.curtailPeriods[0].startTime === '2026-06-01T10:00:00.000Z' && result.curtailPeriods[0].endTime === '2026-06-01T14:00:00.000Z', 'Negative hours are merged into one curtail period');
+  assert(/^Export from /.test(result.message), 'Message tells when to export');
+
+  now = at('2026-06-01T10:30:00Z');
+  result = await checker.recommendBestExportTime(1, 6);
+  assert(result.currentExportPrice === -3 && /^Curtail exports now/.test(result.message), 'Message tells to curtail during negative prices');
+  assert(result.gainPercentage === null, 'No percentage relative to a negative price');
+
+  const floored = createPriceChecker({ token: 'token', clock: () => now, retry: false, feedIn: { fee: 1, negativePriceAsCost: false } });
+  exportPrices = await floored.getExportPrices(2);
+  assert(exportPrices[0].exportPrice === 0 && exportPrices[0].action === 'export', 'Floored export prices never require curtailment');
+
+  stubEntsoe(wholesaleEurMwh, { resolution: 'PT15M' });
+  const quarterly = createPriceChecker({ token: 'token', clock: () => now, retry: false, feedIn: { fee: 1 } });
+  exportPrices = await quarterly.getExportPrices(6);
+  assert(exportPrices.length === 24 && exportPrices[0].timestamp === '2026-06-01T10:30:00.000Z' &&
+    exportPrices[23].timestamp === '2026-06-01T16:15:00.000Z', 'Hours of quarter-hour prices are selected by time');
+}
+
+runTestSuite(runTests);
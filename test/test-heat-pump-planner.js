@@ -0,0 +1,75 @@
+/**
+ * Test the heat pump pre-heating planner
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { normalizeHeatPump, outdoorTempAt, nextTemperature, planHeating, runThermostat } = require('../heat-pump-planner.js');
+const { HOUR, at, assert, throws, rejects, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+const QUARTER = HOUR / 4;
+
+// Cheap night energy 01:00-03:00 UTC on 2 April, 100 €/MWh otherwise
+const wholesaleEurMwh = (time) =>
+  (time >= at('2026-04-02T01:00:00Z') && time < at('2026-04-02T03:00:00Z') ? 20 : 100);
+
+stubEntsoe(wholesaleEurMwh);
+
+// Loses 4 kW at 20 °C inside and 0 °C outside; 2 kWh warms the home by a degree
+const home = { heatLossCoefficient: 0.2, thermalCapacity: 2, cop: 3, maxPowerKw: 2, comfortMin: 19, comfortMax: 22, indoorTemp: 20 };
+const freezing = [{ timestamp: '2026-04-01T00:00:00Z', temperature: 0 }];
+
+async function runTests() {
+  console.log('Testing the thermal model...');
+  const heatPump = normalizeHeatPump(home);
+  assert(Math.abs(nextTemperature(heatPump, 20, 0, 0, 1000) - 0) < 1e-6, 'Without heating the home cools to the outdoor temperature');
+  assert(Math.abs(nextTemperature(heatPump, 20, 4, 0, 5) - 20) < 1e-9, 'Heat equal to the loss holds the temperature');
+  assert(Math.abs(nextTemperature(heatPump, 20, 0, 0, 1) - 20 * Math.exp(-0.1)) < 1e-9, 'Cools exponentially with the time constant');
+  const table = normalizeHeatPump({ ...home, cop: [{ outdoorTemp: 7, cop: 4 }, { outdoorTemp: -7, cop: 2.5 }] });
+  assert(table.copAt(0) === 3.25 && table.copAt(-20) === 2.5 && table.copAt(15) === 4, 'COP table is interpolated and held beyond its ends');
+  assert(normalizeHeatPump({ ...home, cop: t => 3 + t / 10 }).copAt(10) === 4, 'COP can be a function');
+  assert(throws(() => normalizeHeatPump({ ...home, comfortMin: 22 })), 'Comfort minimum must be below the maximum');
+  assert(throws(() => normalizeHeatPump({ ...home, cop: 0 })), 'COP must be positive');
+  assert(throws(() => normalizeHeatPump({ ...home, powerLevels: 0 })), 'Power levels must be a positive integer');
+  const series = [{ timestamp: 0, temperature: 0 }, { timestamp: HOUR, temperature: 4 }];
+  assert(outdoorTempAt(series, HOUR / 4) === 1 && outdoorTempAt(series, 2 * HOUR) === 4, 'Outdoor temperatures are interpolated');
+
+  console.log('\nTesting planHeating() on slots...');
+  const slots = [1, 1, 1, 1, 10, 10, 10, 10, 10, 10, 10, 10].map((price, i) => ({ start: i * QUARTER, end: (i + 1) * QUARTER, price, outdoorTemp: 0 }));
+  let plan = planHeating(slots, heatPump);
+  const thermostat = runThermostat(slots, heatPump);
+  assert(plan.steps.slice(0, 4).every(step => step.powerKw === 2), 'Pre-heats in the cheap quarters');
+  assert(plan.cost < thermostat.cost && plan.underheat === 0, 'Pre-heating costs less than thermostat control');
+  assert(plan.steps.every(step => step.tempEnd >= 19 - 1e-6 && step.tempEnd <= 22 + 1e-6), 'Stays within the comfort range');
+  assert(thermostat.steps.every(step => step.tempEnd >= 19 - 1e-6), 'Thermostat holds the comfort minimum');
+  plan = planHeating(slots, normalizeHeatPump({ ...home, maxPowerKw: 0.5 }));
+  assert(plan.underheat > 0 && plan.steps.every(step => step.powerKw === 0.5), 'Heats at full power when comfort cannot be held');
+  plan = planHeating(slots.map(slot => ({ ...slot, price: 0 })), heatPump);
+  assert(Math.max(...plan.steps.map(step => step.tempEnd)) <= 22 + 1e-9, 'Never heats above the comfort maximum');
+
+  console.log('\nTesting the price checker...');
+  const now = at('2026-04-01T20:05:00Z');
+  const checker = createPriceChecker({ token: 'token', clock: () => now, retry: false });
+
+  let result = await checker.planHeatPump(home, { outdoorTemperatures: freezing, lookAheadMinutes: 12 * 60 });
+  assert(result.schedule.length === 48 && result.schedule[0].startTime === '2026-04-01T20:00:00.000Z', 'One slot per quarter hour from now');
+  assert(result.indoorTemperatures.length === 49 && result.indoorTemperatures[0].temperature === 20, 'Temperatures start at the indoor temperature');
+  assert(result.minIndoorTemp >= 19 && result.maxIndoorTemp <= 22 && result.comfortViolation === 0, 'Predicted temperatures stay within comfort');
+  assert(result.schedule.every(slot => slot.powerKw === 0 || slot.powerKw === 2) && result.schedule.every(slot => slot.on === slot.powerKw > 0), 'On/off plan by default');
+  assert(result.schedule.filter(slot => slot.on && slot.price === 2).length >= 7, 'Heats in the cheap night hours');
+  assert(result.totalCost < result.thermostatCost && result.savings === Math.round((result.thermostatCost - result.totalCost) * 10000) / 10000, 'Saves against thermostat control');
+  assert(result.energyKwh * 3 === result.heatKwh, 'Heat follows the COP');
+  assert(/^Heat in \d+ quarter\(s\) for €[\d.]+, €[\d.]+ less than thermostat control$/.test(result.message), 'Message states the savings');
+
+  result = await checker.planHeatPump({ ...home, powerLevels: 4 }, { outdoorTemperatures: freezing, lookAheadMinutes: 12 * 60 });
+  assert(result.schedule.some(slot => slot.powerKw > 0 && slot.powerKw < 2) && result.schedule.every(slot => [0, 0.5, 1, 1.5, 2].includes(slot.powerKw)), 'Modulating heat pumps use power steps');
+
+  result = await checker.planHeatPump(home, { outdoorTemperatures: freezing, lookAheadMinutes: 48 * 60 });
+  assert(result.schedule[result.schedule.length - 1].endTime === '2026-04-02T22:00:00.000Z', 'The plan ends where the known prices end');
+
+  result = await checker.planHeatPump({ ...home, maxPowerKw: 0.5 }, { outdoorTemperatures: freezing, lookAheadMinutes: 4 * 60 });
+  assert(result.comfortViolation > 0 && /^The comfort minimum of 19 °C cannot be held/.test(result.message), 'Reports when comfort cannot be held');
+
+  assert(await rejects(checker.planHeatPump(home, {})), 'Outdoor temperatures are required');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,84 @@
+/**
+ * Test household planning of several jobs under a power cap
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { connectionCapacityKw, planHousehold } = require('../household-planner.js');
+const { HOUR, at, assert, throws, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+const QUARTER = HOUR / 4;
+
+// Cheap night 01:00-04:00 UTC, a little dearer at 04:00, expensive otherwise
+const wholesaleEurMwh = (time) => {
+  const hour = new Date(time).getUTCHours();
+  if (hour >= 1 && hour < 4) return 20;
+  if (hour === 4) return 50;
+  return 100;
+};
+
+stubEntsoe(wholesaleEurMwh);
+
+const gridJob = (id, powerKw, quarters, extra = {}) => ({
+  id, powerKw, quarters, after: [], interruptible: false, lo: 0, hi: 8, blocked: new Array(8).fill(false), ...extra
+});
+
+const jobs = [
+  { id: 'washer', powerKw: 2, durationMinutes: 90 },
+  { id: 'dryer', powerKw: 2.5, durationMinutes: 60, after: ['washer'] },
+  { id: 'dishwasher', powerKw: 1.8, durationMinutes: 60, deadline: '07:00' },
+  { id: 'ev', powerKw: 7.4, durationMinutes: 120, interruptible: true, deadline: '07:00' }
+];
+
+async function runTests() {
+  console.log('Testing planHousehold() on a quarter grid...');
+  const quarters = [1, 1, 5, 5, 9, 9, 9, 9].map((price, i) => ({ start: i * QUARTER, end: (i + 1) * QUARTER, price }));
+  let plan = planHousehold(quarters, [gridJob('a', 3, 2), gridJob('b', 3, 2)], { capacityKw: 4 });
+  assert(plan.placements.get('a').indices.join(',') === '0,1' && plan.placements.get('b').indices.join(',') === '2,3', 'Jobs that together exceed the cap do not overlap');
+  plan = planHousehold(quarters, [gridJob('a', 3, 2), gridJob('b', 3, 2)]);
+  assert(plan.placements.get('b').indices.join(',') === '0,1' && Math.max(...plan.load) === 6, 'Without a cap jobs share the cheapest quarters');
+  plan = planHousehold(quarters, [gridJob('c', 1, 2, { after: ['d'], hi: 4 }), gridJob('d', 1, 2, { hi: 8 })]);
+  assert(plan.placements.get('d').indices.join(',') === '0,1' && plan.placements.get('c').indices.join(',') === '2,3', 'Jobs finish early enough for the jobs depending on them');
+  plan = planHousehold(quarters, [gridJob('a', 3, 2, { blocked: [true, true, false, false, false, false, false, false] })]);
+  assert(plan.placements.get('a').indices[0] === 2, 'Blocked quarters are avoided');
+  assert(planHousehold(quarters, [gridJob('a', 3, 2, { hi: 1 })]).failed === 'a', 'Job without room is reported');
+  assert(throws(() => planHousehold(quarters, [gridJob('a', 1, 1, { after: ['b'] }), gridJob('b', 1, 1, { after: ['a'] })])), 'Circular dependencies are rejected');
+  assert(throws(() => planHousehold(quarters, [gridJob('a', 1, 1, { after: ['x'] })])), 'Unknown dependencies are rejected');
+  assert(connectionCapacityKw({ phases: 3, amps: 25 }) === 17.25, '3 × 25A is 17.25 kW');
+
+  console.log('\nTesting household schedules...');
+  const now = at('2026-02-03T12:05:00Z');
+  const checker = createPriceChecker({ token: 'token', clock: () => now, retry: false });
+
+  let result = await checker.planHousehold({ jobs, maxPowerKw: 11, baseLoadKw: 0.5 });
+  const byId = Object.fromEntries(result.jobs.map(job => [job.id, job]));
+  assert(result.jobs.map(job => job.id).join(',') === 'washer,dryer,dishwasher,ev', 'Jobs are reported in input order');
+  assert(result.peakLoadKw <= 11 && result.slots.every(slot => slot.loadKw <= 11), 'Load stays within the cap in every slot');
+  assert(byId.dryer.startTime >= byId.washer.endTime, 'Dryer starts after the washer');
+  assert(byId.ev.endTime <= '2026-02-04T06:00:00.000Z' && byId.dishwasher.endTime <= '2026-02-04T06:00:00.000Z', 'Deadlines are met');
+  assert(byId.ev.energyKwh === 14.8 && byId.ev.blocks.reduce((sum, b) => sum + b.minutes, 0) === 120, 'Interruptible job gets its full runtime');
+  const slot = result.slots[0];
+  const expected = 0.5 + jobs.filter(job => slot.jobs.includes(job.id)).reduce((sum, job) => sum + job.powerKw, 0);
+  assert(Math.abs(slot.loadKw - expected) < 1e-9, 'Slot load is the base load plus the running jobs');
+  const sum = result.jobs.reduce((total, job) => total + job.cost, 0);
+  assert(Math.abs(result.totalCost - sum) < 0.001 && result.maxPowerKw === 11, 'Total cost adds up the jobs');
+  assert(/^Scheduled 4 job\(s\) for €[\d.]+, peak load [\d.]+ kW of 11 kW$/.test(result.message), 'Message summarises the schedule');
+
+  result = await checker.planHousehold({ jobs });
+  assert(result.jobs.every(job => job.averagePrice === 2) && result.maxPowerKw === null, 'Without a cap every job runs in the cheap night');
+
+  result = await checker.planHousehold({ jobs, connection: { phases: 1, amps: 25 } });
+  assert(result.infeasible === true && result.jobId === 'ev' && /more than the 5.75 kW cap$/.test(result.reason), 'Job above the connection limit is infeasible');
+
+  result = await checker.planHousehold({ jobs: [{ id: 'dishwasher', powerKw: 1.8, durationMinutes: 60, deadline: '13:30' }] });
+  assert(result.infeasible === true && result.reason === 'Job dishwasher cannot be scheduled before its deadline', 'Job without room before its deadline is infeasible');
+
+  let rejected = false;
+  try {
+    await checker.planHousehold({ jobs: [{ id: 'a', powerKw: 1, durationMinutes: 15 }, { id: 'a', powerKw: 1, durationMinutes: 15 }] });
+  } catch (error) {
+    rejected = error.message === 'Duplicate job id: a';
+  }
+  assert(rejected, 'Duplicate job ids are rejected');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,81 @@
+/**
+ * Test interruptible-load planning on non-contiguous slots
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { planInterruptibleSlots } = require('../interruptible-load.js');
+const { at, assert, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+const blocksOf = (plan) => plan.slots.map(s => `${s.startTime.slice(11, 16)}-${s.endTime.slice(11, 16)}`).join(',');
+
+// Cheap hours at 14:00 and 16:00 UTC split by an expensive 15:00, 18:00 nearly as cheap
+const wholesaleEurMwh = (time) => {
+  const hour = new Date(time).getUTCHours();
+  if (hour === 14 || hour === 16) return 20;
+  if (hour === 15 || hour === 17) return 200;
+  if (hour === 18) return 30;
+  return 100;
+};
+
+stubEntsoe(wholesaleEurMwh);
+
+async function runTests() {
+  console.log('Testing planInterruptibleSlots()...');
+  const prices = [
+    { timestamp: '2026-01-20T00:00:00Z', price: 1, resolutionMinutes: 15 },
+    { timestamp: '2026-01-20T00:15:00Z', price: 9, resolutionMinutes: 15 },
+    { timestamp: '2026-01-20T00:30:00Z', price: 1, resolutionMinutes: 15 },
+    { timestamp: '2026-01-20T00:45:00Z', price: 5, resolutionMinutes: 15 }
+  ];
+  const range = { from: at('2026-01-20T00:00:00Z'), until: at('2026-01-20T01:00:00Z') };
+  let plan = planInterruptibleSlots(prices, { ...range, runtimeMinutes: 30 });
+  assert(plan.blocks.length === 2 && plan.priceSum === 2, 'Picks the cheapest separate quarters');
+  plan = planInterruptibleSlots(prices, { ...range, runtimeMinutes: 30, minBlockMinutes: 30 });
+  assert(plan.blocks.length === 1 && plan.blocks[0].start === at('2026-01-20T00:30:00Z') && plan.priceSum === 6, 'Minimum block length forces longer blocks');
+  plan = planInterruptibleSlots(prices, { ...range, runtimeMinutes: 45, maxSwitches: 1 });
+  assert(plan.blocks.length === 1 && plan.priceSum === 11, 'maxSwitches 1 is a contiguous window');
+  plan = planInterruptibleSlots(prices, { ...range, runtimeMinutes: 30, excluded: [{ start: at('2026-01-20T00:30:00Z'), end: at('2026-01-20T00:45:00Z') }] });
+  assert(plan.priceSum === 6, 'Excluded quarters are not used');
+  assert(planInterruptibleSlots(prices, { ...range, runtimeMinutes: 45, minBlockMinutes: 30 }) !== null, 'Runtime shorter than twice the minimum block is one block');
+  assert(planInterruptibleSlots(prices.slice(0, 2), { ...range, runtimeMinutes: 45 }) === null, 'No plan without enough priced quarters');
+
+  console.log('\nTesting planInterruptibleLoad()...');
+  const now = at('2026-01-20T12:05:00Z');
+  const checker = createPriceChecker({ token: 'token', clock: () => now, retry: false });
+
+  let result = await checker.planInterruptibleLoad({ runtimeMinutes: 120, deadline: '20:00', powerKw: 4 });
+  assert(blocksOf(result) === '14:00-15:00,16:00-17:00' && result.switches === 2, 'Runs in the two cheap hours around the expensive one');
+  assert(result.totalCost === 0.16 && result.energyKwh === 8 && result.averagePrice === 2, 'Total cost in euros');
+  assert(result.contiguous.startTime === '2026-01-20T13:00:00.000Z' && result.contiguous.cost === 0.48, 'Best contiguous run for comparison');
+  assert(result.savings === 0.32 && /€0.32 less than the best contiguous run$/.test(result.message), 'Savings against the contiguous run');
+  assert(result.deadline === '2026-01-20T19:00:00.000Z', 'Deadline is local time');
+
+  result = await checker.planInterruptibleLoad({ runtimeMinutes: 120, deadline: '20:00', powerKw: 4, maxSwitches: 1 });
+  assert(result.switches === 1 && result.totalCost === 0.48 && result.savings === 0, 'One switch gives the contiguous run');
+
+  result = await checker.planInterruptibleLoad({ runtimeMinutes: 120, deadline: '20:00', minBlockMinutes: 90 });
+  assert(result.switches === 1, 'Blocks of 90 minutes leave room for one block');
+
+  result = await checker.planInterruptibleLoad({ runtimeMinutes: 150, deadline: '20:00' });
+  assert(blocksOf(result) === '14:00-15:00,16:00-17:00,18:00-18:30', 'Unlimited switches use three cheap stretches');
+  result = await checker.planInterruptibleLoad({ runtimeMinutes: 150, deadline: '20:00', maxSwitches: 2 });
+  assert(blocksOf(result) === '13:30-15:00,16:00-17:00', 'Two switches extend a cheap block instead');
+
+  result = await checker.planInterruptibleLoad({ runtimeMinutes: 50, deadline: '20:00' });
+  assert(result.runtimeMinutes === 60, 'Runtime is rounded up to quarter hours');
+
+  result = await checker.planInterruptibleLoad({ runtimeMinutes: 60, deadline: '13:30' });
+  assert(result.infeasible === true && /^60 minutes of runtime do not fit between/.test(result.reason), 'Deadline too close is infeasible');
+  result = await checker.planInterruptibleLoad({ runtimeMinutes: 60, deadline: '20:00', excludedRanges: [{ from: '13:00', to: '20:00' }] });
+  assert(result.infeasible === true && /^No plan for 60 minutes of runtime in blocks of at least 15 minutes fits/.test(result.reason), 'Excluded deadline window is infeasible');
+
+  let rejected = false;
+  try {
+    await checker.planInterruptibleLoad({ runtimeMinutes: 0 });
+  } catch (error) {
+    rejected = error.message === 'Invalid runtimeMinutes: 0';
+  }
+  assert(rejected, 'Runtime must be positive');
+}
+
+runTestSuite(runTests);
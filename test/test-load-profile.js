@@ -0,0 +1,76 @@
+/**
+ * Test load profiles and cost-weighted scheduling
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { normalizeLoadProfile, getProfileCost } = require('../load-profile.js');
+const { toSlots } = require('../scheduler.js');
+const { at, assert, throws, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+const QUARTER = 15 * 60 * 1000;
+
+// One free quarter hour at 02:00 UTC and a cheaper stretch 03:00-05:00; 100 EUR/MWh otherwise
+const quarterEurMwh = (time) => {
+  if (time === at('2026-03-10T02:00:00Z')) return 0;
+  if (time >= at('2026-03-10T03:00:00Z') && time < at('2026-03-10T05:00:00Z')) return 60;
+  return 100;
+};
+
+stubEntsoe(quarterEurMwh, { resolution: 'PT15M' });
+
+// Washing machine: heating draws 2 kWh in the first quarter hour, then 1.4 kWh over 105 minutes
+const washingMachine = [
+  { durationMinutes: 15, kWh: 2 },
+  { durationMinutes: 105, kWh: 1.4 }
+];
+
+async function runTests() {
+  console.log('Testing load profiles...');
+  const profile = normalizeLoadProfile(washingMachine);
+  assert(profile.durationMinutes === 120 && profile.energyKwh === 3.4, 'Duration and energy add up over phases');
+  assert(profile.phases[1].offsetMinutes === 15, 'Phases follow each other');
+  const sampled = normalizeLoadProfile({ powerKw: [8, 0.8, 0.8, 0.8, 0.8, 0.8, 0.8, 0.8] });
+  assert(sampled.durationMinutes === 120 && sampled.phases[0].kWh === 2 && sampled.phases[1].kWh === 0.2, 'Power samples are 15-minute phases');
+  assert(normalizeLoadProfile({ powerKw: [2], intervalMinutes: 30 }).phases[0].kWh === 1, 'Sample interval is configurable');
+  assert(throws(() => normalizeLoadProfile([{ durationMinutes: 0, kWh: 1 }])), 'Phase without duration is rejected');
+  assert(throws(() => normalizeLoadProfile([{ durationMinutes: 15, kWh: -1 }])), 'Negative energy is rejected');
+  assert(throws(() => normalizeLoadProfile({ powerKw: [0, 0] })), 'Profile without energy is rejected');
+  assert(throws(() => normalizeLoadProfile({})), 'Profile without phases or samples is rejected');
+
+  console.log('\nTesting profile costs...');
+  const slots = toSlots([
+    { timestamp: '2026-03-10T00:00:00Z', price: 10, resolutionMinutes: 60 },
+    { timestamp: '2026-03-10T01:00:00Z', price: 20, resolutionMinutes: 60 }
+  ]);
+  const cost = getProfileCost(slots, at('2026-03-10T00:30:00Z'), normalizeLoadProfile([{ durationMinutes: 60, kWh: 1 }]));
+  assert(Math.abs(cost - 0.15) < 1e-9, 'Energy is spread evenly over a phase');
+  assert(getProfileCost(slots, at('2026-03-10T01:30:00Z'), profile) === null, 'Runs past the data have no cost');
+
+  console.log('\nTesting recommendBestTime() with a load profile...');
+  const now = at('2026-03-10T00:05:00Z');
+  const checker = createPriceChecker({ token: 'token', clock: () => now, retry: false });
+
+  const flat = await checker.recommendBestTime(2, 12);
+  assert(flat.recommendation.startTime === '2026-03-10T03:00:00.000Z', 'Flat average prefers the cheaper stretch');
+
+  let result = await checker.recommendBestTime({ lookAheadMinutes: 12 * 60, loadProfile: washingMachine });
+  assert(result.recommendation.startTime === '2026-03-10T02:00:00.000Z', 'Profile heats during the free quarter hour');
+  assert(result.durationMinutes === 120 && result.recommendation.endTime === '2026-03-10T04:00:00.000Z', 'Duration follows the profile');
+  assert(result.recommendation.expectedCost === 0.108 && result.currentCost === 0.34, 'Expected cost at the best time versus now in euros');
+  assert(result.costSavings === 0.232 && result.energyKwh === 3.4, 'Cost savings and energy are reported');
+  assert(result.recommendation.averagePrice === 3.18, 'Average price is weighted by energy');
+  assert(/to save €0.232 on this run$/.test(result.message), 'Message states the saving in euros');
+
+  result = await checker.recommendBestTime(undefined, 12, { loadProfile: { powerKw: [8, 0.8, 0.8, 0.8, 0.8, 0.8, 0.8, 0.8] } });
+  assert(result.recommendation.startTime === '2026-03-10T02:00:00.000Z' && result.recommendation.expectedCost === 0.108, 'Power samples give the same result');
+
+  let rejected = false;
+  try {
+    await checker.recommendBestTime({ loadProfile: [{ durationMinutes: 15 }] });
+  } catch (error) {
+    rejected = /Invalid load profile/.test(error.message);
+  }
+  assert(rejected, 'Invalid profiles are rejected');
+}
+
+runTestSuite(runTests);
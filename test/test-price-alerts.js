@@ -0,0 +1,74 @@
+/**
+ * Test negative price and spike alerts
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { findPriceWindows, getDefaultSpikeThreshold } = require('../price-alerts.js');
+const { at, assert, rejects, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+// 10 €cents/kWh with two negative runs, a spike in the evening and cheap night hours
+const wholesaleEurMwh = (time) => {
+  if (time >= at('2026-04-01T10:00:00Z') && time < at('2026-04-01T12:00:00Z')) return -20;
+  if (time >= at('2026-04-01T17:00:00Z') && time < at('2026-04-01T19:00:00Z')) return 400;
+  if (time >= at('2026-04-02T01:00:00Z') && time < at('2026-04-02T03:00:00Z')) return 20;
+  if (time === at('2026-04-02T11:00:00Z')) return -50;
+  if (time === at('2026-04-02T12:00:00Z')) return -10;
+  return 100;
+};
+
+stubEntsoe(wholesaleEurMwh);
+
+async function runTests() {
+  console.log('Testing window merging...');
+  const quarters = [
+    { timestamp: '2026-04-01T00:00:00Z', resolutionMinutes: 15, price: -1 },
+    { timestamp: '2026-04-01T00:15:00Z', resolutionMinutes: 15, price: -3 },
+    { timestamp: '2026-04-01T00:30:00Z', resolutionMinutes: 15, price: 2 },
+    { timestamp: '2026-04-01T00:45:00Z', resolutionMinutes: 60, price: -1 },
+    { timestamp: '2026-04-01T02:00:00Z', resolutionMinutes: 60, price: -4 }
+  ];
+  const windows = findPriceWindows(quarters, p => p.price < 0);
+  assert(windows.length === 3, 'Windows split on a positive slot and on a gap');
+  assert(windows[0].durationMinutes === 30 && windows[0].minPrice === -3 && windows[0].maxPrice === -1 && windows[0].averagePrice === -2, 'Merged window statistics');
+  assert(windows[1].start === at('2026-04-01T00:45:00Z') && windows[1].end === at('2026-04-01T01:45:00Z'), 'Window of a longer slot');
+  const mixed = findPriceWindows([
+    { timestamp: '2026-04-01T00:00:00Z', resolutionMinutes: 15, price: -8 },
+    { timestamp: '2026-04-01T00:15:00Z', resolutionMinutes: 60, price: -3 }
+  ], p => p.price < 0);
+  assert(mixed.length === 1 && mixed[0].averagePrice === -4, 'Average is weighted by duration');
+  assert(getDefaultSpikeThreshold([{ price: 4 }, { price: 8 }]) === 12 && getDefaultSpikeThreshold([{ price: -3 }]) === 6, 'Default spike threshold');
+
+  console.log('\nTesting getPriceAlerts...');
+  const now = at('2026-04-01T08:05:00Z');
+  const checker = createPriceChecker({ token: 'token', clock: () => now, retry: false });
+
+  let result = await checker.getPriceAlerts();
+  assert(result.negativeWindows.length === 2 && result.spikeWindows.length === 1, 'Finds negative windows and spikes');
+  const [today, tomorrow] = result.negativeWindows;
+  assert(today.startTime === '2026-04-01T10:00:00.000Z' && today.endTime === '2026-04-01T12:00:00.000Z' && today.durationMinutes === 120, 'Negative window start, end and duration');
+  assert(today.startHour === 12 && today.endHour === 14, 'Window hours in local time');
+  assert(today.minPrice === -2 && today.maxPrice === -2 && today.valuePerKwh === 0.02, 'Negative window value per kWh');
+  assert(tomorrow.minPrice === -5 && tomorrow.maxPrice === -1 && tomorrow.averagePrice === -3 && tomorrow.valuePerKwh === 0.03, 'Second negative window');
+  const [spike] = result.spikeWindows;
+  assert(spike.startTime === '2026-04-01T17:00:00.000Z' && spike.maxPrice === 40 && spike.valuePerKwh === 0.4, 'Spike window');
+  assert(result.thresholds.negative === 0 && result.thresholds.spike === 19.68, 'Thresholds, spikes twice the average by default');
+  assert(result.scannedUntil === '2026-04-02T22:00:00.000Z', 'Scans all available prices');
+  assert(result.message.startsWith('Negative prices between') && result.message.includes('Price spike between'), 'Alert summary');
+  assert(result.basis === 'wholesale' && result.unit === '€cents/kWh' && result.costUnit === '€', 'Units');
+
+  result = await checker.getPriceAlerts({ negativeThreshold: 5, spikeThreshold: 50 });
+  assert(result.negativeWindows.length === 3 && result.negativeWindows[1].startTime === '2026-04-02T01:00:00.000Z', 'Custom negative threshold');
+  assert(result.spikeWindows.length === 0 && result.thresholds.spike === 50, 'Custom spike threshold');
+
+  result = await checker.getPriceAlerts({ lookAheadMinutes: 360 });
+  assert(result.negativeWindows.length === 1 && result.spikeWindows.length === 0, 'Look-ahead limits the scan');
+  assert(result.scannedUntil === '2026-04-01T15:00:00.000Z', 'Scan ends with the last slot starting in the look-ahead');
+
+  result = await checker.getPriceAlerts({ negativeThreshold: -10, spikeThreshold: 100 });
+  assert(result.negativeWindows.length === 0 && result.spikeWindows.length === 0 && result.message.startsWith('No negative prices or spikes'), 'Quiet message without alerts');
+
+  assert(await rejects(checker.getPriceAlerts({ spikeThreshold: 'high' })), 'Invalid spike threshold is rejected');
+  assert(await rejects(checker.getPriceAlerts({ lookAheadMinutes: -5 })), 'Invalid look-ahead is rejected');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,73 @@
+/**
+ * Test createPriceChecker() instances: no token at require time, isolated caches and injected clocks
+ */
+
+delete process.env.ENTSOE_API_TOKEN;
+
+const axios = require('axios');
+const powerpricecheck = require('../powerpricecheck.js');
+const { at, assert, buildPriceXml, runTestSuite } = require('./helpers.js');
+
+// Hourly A44 document for 2026-01-01 00:00Z through 2026-01-04 00:00Z, priced by hour of day
+const xml = buildPriceXml(at('2026-01-01T00:00:00Z'), at('2026-01-04T00:00:00Z'), (t) => 50 + new Date(t).getUTCHours());
+
+const requestTokens = [];
+axios.get = async (url, config) => {
+  requestTokens.push(config.params.securityToken);
+  return { data: xml };
+};
+
+async function runTests() {
+  console.log('Testing module loading without a token...');
+  assert(typeof powerpricecheck.createPriceChecker === 'function', 'Module can be required without ENTSOE_API_TOKEN');
+
+  let error = null;
+  try {
+    await powerpricecheck.getCurrentPrice();
+  } catch (err) {
+    error = err;
+  }
+  assert(error && /ENTSOE_API_TOKEN/.test(error.message), 'Default instance rejects when no token is configured');
+
+  error = null;
+  try {
+    await powerpricecheck.createPriceChecker().getCurrentPrice();
+  } catch (err) {
+    error = err;
+  }
+  assert(error && /token is required/.test(error.message), 'Instance without a token rejects on use');
+
+  console.log('\nTesting injected clock...');
+  const clock = () => new Date('2026-01-02T10:20:00.000Z').getTime();
+  const checkerA = powerpricecheck.createPriceChecker({ token: 'token-a', clock });
+  const current = await checkerA.getCurrentPrice();
+  assert(current.timestamp === '2026-01-02T10:00:00.000Z', 'Current price follows the injected clock');
+  assert(current.price === 6, 'Current price is taken from the matching hour');
+  const future = await checkerA.getFuturePrices(3);
+  assert(future[0].timestamp === '2026-01-02T11:00:00.000Z', 'Future prices start after the clock hour');
+
+  console.log('\nTesting isolated caches...');
+  const checkerB = powerpricecheck.createPriceChecker({ token: 'token-b', clock });
+  await checkerB.getPastPrices(6);
+  await checkerA.recommendBestTime(2, 12);
+  await checkerB.recommendBestTime(2, 12);
+  assert(requestTokens.length === 2, 'Each instance fetches once and then uses its own cache');
+  assert(requestTokens[0] === 'token-a' && requestTokens[1] === 'token-b', 'Each instance uses its own token');
+
+  checkerA.clearCache();
+  await checkerA.getCurrentPrice();
+  await checkerB.getCurrentPrice();
+  assert(requestTokens.length === 3, 'clearCache() only clears the instance cache');
+
+  const checkerC = powerpricecheck.createPriceChecker({ token: 'token-c', zone: 'BE', tariff: { vatRate: 0.21 } });
+  assert(checkerC.zone === 'BE', 'Instance exposes its zone');
+  assert(checkerC.tariff.vatRate === 0.21, 'Instance exposes its tariff');
+
+  console.log('\nTesting the default instance...');
+  process.env.ENTSOE_API_TOKEN = 'token-default';
+  assert(powerpricecheck.getDataQuality() === null, 'Default instance reports no data quality before a fetch');
+  powerpricecheck.clearCache();
+  assert(requestTokens.length === 3, 'Default instance clears its cache without fetching');
+}
+
+runTestSuite(runTests);
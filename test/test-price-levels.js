@@ -0,0 +1,80 @@
+/**
+ * Test relative price levels
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { normalizePriceLevels, getAverageBounds, classifyPrice, assignLevels } = require('../price-levels.js');
+const { assert, throws, rejects, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+// The price in €cents/kWh equals the Amsterdam summer-time hour: 0 at local midnight, 23 at 23:00
+const wholesaleEurMwh = (time) => ((new Date(time).getUTCHours() + 2) % 24) * 10;
+
+let requests = 0;
+stubEntsoe(wholesaleEurMwh, { onRequest: () => requests++ });
+
+async function runTests() {
+  console.log('Testing level helpers...');
+  const defaults = normalizePriceLevels();
+  assert(defaults.strategy === 'quantiles' && defaults.thresholds.join(',') === '10,35,65,90' && defaults.hysteresis === 0.5, 'Defaults to day quantiles with hysteresis');
+  assert(normalizePriceLevels({ strategy: 'trailingAverage' }).thresholds.join(',') === '0.6,0.9,1.15,1.4', 'Trailing average defaults to fractions of the average');
+  assert(throws(() => normalizePriceLevels({ strategy: 'absolute' })), 'Absolute thresholds are required');
+  assert(throws(() => normalizePriceLevels({ strategy: 'absolute', thresholds: [5, 10, 10, 20] })), 'Thresholds must ascend');
+  assert(throws(() => normalizePriceLevels({ thresholds: [10, 35, 65, 120] })), 'Quantiles above 100 are rejected');
+  assert(throws(() => normalizePriceLevels({ strategy: 'median' })), 'Unknown strategy is rejected');
+  assert(throws(() => normalizePriceLevels({ hysteresis: -1 })), 'Negative hysteresis is rejected');
+
+  assert(classifyPrice(2, [1, 2, 3, 4]) === 2 && classifyPrice(0, [1, 2, 3, 4]) === 0 && classifyPrice(5, [1, 2, 3, 4]) === 4, 'A price on a bound belongs to the level above');
+  const rounded = (values) => values.map(v => Math.round(v * 100) / 100).join(',');
+  assert(rounded(getAverageBounds(10, [0.6, 0.9, 1.15, 1.4])) === '6,9,11.5,14', 'Bounds scale with the average');
+  assert(rounded(getAverageBounds(-10, [0.6, 0.9, 1.15, 1.4])) === '-14,-11,-8.5,-6', 'Bounds still ascend for a negative average');
+
+  const bounds = () => [5, 10, 15, 20];
+  const series = [9.5, 10.2, 10.8, 11.2, 9.5, 8.9].map(price => ({ price }));
+  assert(assignLevels(series, bounds, 0).join(',') === 'CHEAP,NORMAL,NORMAL,NORMAL,CHEAP,CHEAP', 'Without hysteresis every crossing changes the level');
+  assert(assignLevels(series, bounds, 1).join(',') === 'CHEAP,CHEAP,CHEAP,NORMAL,NORMAL,CHEAP', 'Hysteresis holds the level near a bound');
+  assert(assignLevels([{ price: 2 }, { price: 17 }], bounds, 1).join(',') === 'VERY_CHEAP,EXPENSIVE', 'A large jump skips levels');
+
+  console.log('\nTesting levels in price output...');
+  const now = new Date('2026-04-01T08:05:00Z').getTime();
+
+  const checker = createPriceChecker({ token: 'token', clock: () => now, retry: false });
+  const current = await checker.getCurrentPrice();
+  assert(current.price === 10 && current.level === 'NORMAL', 'Current price carries its level');
+  const future = await checker.getFuturePrices(24);
+  assert(future.every(p => typeof p.level === 'string'), 'Future prices carry their levels');
+  assert(future[4].price === 15 && future[4].level === 'NORMAL', 'Hysteresis delays the step up to EXPENSIVE');
+  assert(future[5].level === 'EXPENSIVE' && future[10].level === 'EXPENSIVE' && future[11].level === 'VERY_EXPENSIVE', 'Levels rise through the evening');
+  assert(future[13].price === 0 && future[13].level === 'VERY_CHEAP', 'Tomorrow is ranked against its own quantiles');
+  const noHysteresis = await checker.getFuturePrices(24, { priceLevels: { hysteresis: 0 } });
+  assert(noHysteresis[4].level === 'EXPENSIVE', 'Per-call configuration overrides the checker');
+  assert(requests === 1, 'Quantile levels need no extra request');
+
+  const absolute = createPriceChecker({
+    token: 'token',
+    clock: () => now,
+    retry: false,
+    priceLevels: { strategy: 'absolute', thresholds: [5, 10, 15, 20], hysteresis: 0 }
+  });
+  assert((await absolute.getCurrentPrice()).level === 'NORMAL', 'Absolute thresholds');
+  assert(absolute.priceLevels.strategy === 'absolute', 'Checker exposes its level configuration');
+
+  requests = 0;
+  const trailing = createPriceChecker({
+    token: 'token',
+    clock: () => now,
+    retry: false,
+    priceLevels: { strategy: 'trailingAverage', days: 3 }
+  });
+  assert((await trailing.getCurrentPrice()).level === 'CHEAP', 'Trailing average of the previous days');
+  assert(requests === 2, 'Days before yesterday are requested as a range');
+  for (let i = 0; i < 5; i++) {
+    await trailing.getCurrentPrice();
+    await trailing.getFuturePrices(24);
+  }
+  assert(requests === 2, 'The trailing average is computed once per day');
+
+  assert(throws(() => createPriceChecker({ token: 'token', priceLevels: { strategy: 'absolute' } })), 'Invalid configuration is rejected at creation');
+  assert(await rejects(checker.getCurrentPrice({ priceLevels: { days: 0 } })), 'Invalid per-call configuration is rejected');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,175 @@
+/**
+ * Test the price monitor
+ */
+
+const { createPriceChecker, createPriceMonitor } = require('../powerpricecheck.js');
+const { MINUTE, HOUR, at, assert, throws, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+// 10 €cents/kWh, negative from 10:00 to 12:00 UTC on 1 April, cheap from 01:00 to 03:00 UTC on 2 April
+const wholesaleEurMwh = (time) => {
+  if (time >= at('2026-04-01T10:00:00Z') && time < at('2026-04-01T12:00:00Z')) return -20;
+  if (time >= at('2026-04-02T01:00:00Z') && time < at('2026-04-02T03:00:00Z')) return 20;
+  return 100;
+};
+
+// Fake clock and timers; tomorrow's prices are published at 12:45 CEST
+let now = at('2026-04-01T08:05:00Z');
+const publication = at('2026-04-01T10:45:00Z');
+let pending = null;
+const timers = {
+  setTimeout: (fn, ms) => {
+    pending = { fn, at: now + ms };
+    return pending;
+  },
+  clearTimeout: (timer) => {
+    if (pending === timer) pending = null;
+  }
+};
+
+// Move the clock forward, firing the timer whenever it falls due
+const advance = async (until) => {
+  while (pending && pending.at <= until) {
+    const { fn, at: due } = pending;
+    pending = null;
+    now = Math.max(now, due);
+    await fn();
+  }
+  now = until;
+};
+
+// Move the clock forward without firing, as when the system sleeps, then fire the overdue timer
+const sleepUntil = async (until) => {
+  const { fn } = pending;
+  pending = null;
+  now = until;
+  await fn();
+};
+
+// Tomorrow's prices appear once the publication time has passed
+stubEntsoe(wholesaleEurMwh, { publishedUntil: () => (now < publication ? at('2026-04-01T22:00:00Z') : Infinity) });
+
+async function runTests() {
+  const checker = createPriceChecker({
+    token: 'token',
+    clock: () => now,
+    retry: false,
+    priceLevels: { strategy: 'absolute', thresholds: [0, 5, 15, 25], hysteresis: 0 }
+  });
+
+  const events = [];
+  const monitor = createPriceMonitor(checker, { clock: () => now, timers, maxTimerMs: 24 * HOUR });
+  for (const name of ['slotChange', 'levelChange', 'negativePrice', 'newDayAheadPrices', 'cheapestWindowStart', 'cheapestWindowEnd']) {
+    monitor.on(name, payload => events.push({ name, ...payload }));
+  }
+  const take = () => events.splice(0, events.length);
+
+  console.log('Testing slot events...');
+  monitor.addWindow('dishwasher', { durationMinutes: 120 });
+  assert(throws(() => monitor.addWindow('dishwasher', { durationMinutes: 60 })), 'A window id can only be registered once');
+
+  await monitor.start();
+  let fired = take();
+  assert(monitor.isRunning() && fired.length === 1 && fired[0].name === 'slotChange', 'Start announces the current slot');
+  assert(fired[0].timestamp === '2026-04-01T08:00:00.000Z' && fired[0].endTime === '2026-04-01T09:00:00.000Z', 'Slot start and end');
+  assert(fired[0].price === 10 && fired[0].level === 'NORMAL' && fired[0].previous === null && fired[0].delayMs === 5 * MINUTE, 'Slot price, level and delay');
+  assert(pending.at === at('2026-04-01T09:00:00Z'), 'The timer is set for the next slot boundary');
+
+  await advance(at('2026-04-01T09:00:00Z'));
+  fired = take();
+  assert(fired.length === 1 && fired[0].timestamp === '2026-04-01T09:00:00.000Z' && fired[0].delayMs === 0, 'Slot change on the boundary');
+  assert(fired[0].previous.timestamp === '2026-04-01T08:00:00.000Z', 'Slot change carries the previous slot');
+
+  await advance(at('2026-04-01T10:00:00Z'));
+  fired = take();
+  assert(fired.map(e => e.name).join(',') === 'slotChange,levelChange,negativePrice,cheapestWindowStart', 'Events at the start of a negative run');
+  assert(fired[1].from === 'NORMAL' && fired[1].to === 'VERY_CHEAP', 'Level change from and to');
+  assert(fired[2].price === -2 && fired[2].until === '2026-04-01T12:00:00.000Z', 'Negative run and its end');
+  assert(fired[3].id === 'dishwasher' && fired[3].endTime === '2026-04-01T12:00:00.000Z' && fired[3].delayMs === 0, 'Window starts in the cheapest slot');
+  assert(pending.at === publication, 'The timer is set for the expected publication');
+
+  await advance(at('2026-04-01T11:00:00Z'));
+  fired = take();
+  assert(fired[0].name === 'newDayAheadPrices' && fired[0].day === '2026-04-02' && fired[0].prices.length === 24, 'New day-ahead prices are announced');
+  assert(fired.filter(e => e.name === 'slotChange').length === 1 && !fired.some(e => e.name === 'negativePrice'), 'A negative run is announced once');
+
+  await advance(at('2026-04-01T12:00:00Z'));
+  fired = take();
+  assert(fired.map(e => e.name).join(',') === 'slotChange,levelChange,cheapestWindowEnd', 'Window ends with the negative run');
+
+  console.log('\nTesting recovery...');
+  monitor.addWindow('boiler', { durationMinutes: 60 });
+  await advance(at('2026-04-01T12:30:00Z'));
+  assert(take().length === 0, 'Adding a window plans it without firing');
+  await sleepUntil(at('2026-04-02T02:30:00Z'));
+  fired = take();
+  assert(fired.filter(e => e.name === 'slotChange').length === 1 && fired[0].timestamp === '2026-04-02T02:00:00.000Z', 'After a sleep only the current slot is announced');
+  assert(fired[0].previous.timestamp === '2026-04-01T12:00:00.000Z' && fired[0].delayMs === 30 * MINUTE, 'The late slot change carries its delay');
+  const boilerStart = fired.find(e => e.name === 'cheapestWindowStart');
+  const boilerEnd = fired.find(e => e.name === 'cheapestWindowEnd');
+  assert(boilerStart && boilerStart.startTime === '2026-04-02T01:00:00.000Z' && boilerStart.delayMs === 90 * MINUTE, 'A window start missed while asleep fires late');
+  assert(boilerEnd && boilerEnd.id === 'boiler' && boilerEnd.delayMs === 30 * MINUTE, 'A window end missed while asleep fires late');
+
+  await sleepUntil(at('2026-04-02T00:30:00Z'));
+  fired = take();
+  assert(fired[0].name === 'slotChange' && fired[0].timestamp === '2026-04-02T00:00:00.000Z', 'A clock jumping back announces the slot it lands in');
+
+  monitor.stop();
+  assert(!monitor.isRunning() && pending === null, 'Stop clears the timer');
+
+  console.log('\nTesting timer bounds and errors...');
+  let checks = 0;
+  const counting = { ...checker, getCurrentPrice: (opts) => { checks++; return checker.getCurrentPrice(opts); } };
+  const capped = createPriceMonitor(counting, { clock: () => now, timers });
+  await capped.start();
+  assert(pending.at - now === 60 * 1000, 'Timers are capped at one minute by default');
+  await advance(now + 5 * MINUTE);
+  assert(checks === 1, 'Capped timers do not read prices before anything is due');
+  await sleepUntil(now + 2 * HOUR);
+  assert(checks === 2, 'A capped timer that fires late after a clock jump checks again');
+  capped.stop();
+
+  let release = null;
+  let blocked = false;
+  const slow = {
+    ...checker,
+    getCurrentPrice: async (opts) => {
+      if (blocked) await new Promise(resolve => { release = resolve; });
+      return checker.getCurrentPrice(opts);
+    }
+  };
+  const restarted = createPriceMonitor(slow, { clock: () => now, timers });
+  blocked = true;
+  const stale = restarted.start();
+  const releaseFirst = release;
+  restarted.stop();
+  blocked = false;
+  await restarted.start();
+  const { fn: fire } = pending;
+  pending = null;
+  now += 2 * HOUR;
+  blocked = true;
+  const inFlight = fire();
+  const releaseCurrent = release;
+  releaseFirst();
+  await stale;
+  assert(pending === null, 'A check from before a restart does not reschedule');
+  releaseCurrent();
+  await inFlight;
+  assert(pending !== null, 'The current check reschedules');
+  restarted.stop();
+
+  const failing = createPriceMonitor(createPriceChecker({ clock: () => now }), { clock: () => now, timers, retryMs: 5 * MINUTE, maxTimerMs: HOUR });
+  let failure = null;
+  failing.on('error', error => { failure = error; });
+  await failing.start();
+  assert(failure && failure.name === 'EntsoeAuthError', 'Failed checks are emitted as errors');
+  assert(pending.at - now === 5 * MINUTE, 'A failed check is retried');
+  failing.stop();
+
+  const silent = createPriceMonitor(createPriceChecker({ clock: () => now }), { clock: () => now, timers });
+  await silent.start();
+  assert(silent.isRunning(), 'Without an error listener a failed check does not throw');
+  silent.stop();
+}
+
+runTestSuite(runTests);
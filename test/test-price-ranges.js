@@ -0,0 +1,75 @@
+/**
+ * Test arbitrary range queries with one-year chunking and DST days
+ */
+
+const entsoeClient = require('../entsoe-client.js');
+const { createPriceChecker, createMemoryStore, EntsoeNoDataError } = require('../powerpricecheck.js');
+const { HOUR, at, assert, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+// Serve hourly prices for the requested period between publishedFrom and publishedUntil
+const publishedFrom = at('2020-01-01T00:00:00Z');
+const publishedUntil = at('2026-12-31T23:00:00Z');
+let requests = [];
+stubEntsoe((t) => 50 + new Date(t).getUTCHours(), {
+  publishedFrom,
+  publishedUntil: () => publishedUntil,
+  onRequest: (requested) => requests.push(requested)
+});
+
+const now = at('2026-11-02T10:00:00Z');
+const options = { rateLimiter: entsoeClient.createRateLimiter({ requestsPerMinute: 60000 }), retry: false, clock: () => now };
+const getPrices = (from, to, extra = {}) => entsoeClient.getPrices('token', { ...options, from, to, ...extra });
+
+async function runTests() {
+  console.log('Testing one-year chunking...');
+  requests = [];
+  // 1 December 2024 to 1 February 2026, Amsterdam time
+  const from = at('2024-11-30T23:00:00Z');
+  const to = at('2026-01-31T23:00:00Z');
+  let prices = await getPrices(from, to);
+  assert(requests.length === 2, 'A range longer than a year is split into two requests');
+  assert(requests[0].start === from && requests[0].end === at('2025-11-30T23:00:00Z'), 'First chunk covers exactly one local year');
+  assert(requests[1].start === requests[0].end && requests[1].end === to, 'Chunks are contiguous');
+  assert(prices.length === (to - from) / HOUR, 'Chunks are merged into one series');
+  assert(prices.every((p, i) => i === 0 || at(p.timestamp) - at(prices[i - 1].timestamp) === HOUR), 'Merged series has no gaps or duplicates');
+  assert(prices.every(p => p.period === 'past'), 'Prices are categorized against the clock');
+
+  console.log('\nTesting DST days...');
+  prices = await getPrices('2026-10-24T22:00:00Z', '2026-10-25T23:00:00Z');
+  assert(prices.length === 25, 'October switchover day has 25 hours');
+  prices = await getPrices('2026-03-28T23:00:00Z', '2026-03-29T22:00:00Z');
+  assert(prices.length === 23, 'March switchover day has 23 hours');
+
+  console.log('\nTesting partial days...');
+  requests = [];
+  prices = await getPrices('2026-06-10T08:00:00Z', '2026-06-10T12:00:00Z');
+  assert(prices.length === 4, 'Result is trimmed to the requested range');
+  assert(requests[0].start === at('2026-06-09T22:00:00Z') && requests[0].end === at('2026-06-10T22:00:00Z'), 'Request is widened to the local delivery day');
+
+  console.log('\nTesting errors and unpublished ranges...');
+  let error = await getPrices('2026-06-10', '2026-06-01').catch(e => e);
+  assert(error instanceof Error && /Invalid range/.test(error.message), 'Reversed range is rejected');
+  error = await getPrices('2019-06-01', '2019-06-02').catch(e => e);
+  assert(error instanceof EntsoeNoDataError, 'Missing history throws EntsoeNoDataError');
+  prices = await entsoeClient.getPrices('token', { ...options, clock: () => at('2026-12-20T10:00:00Z'), from: '2027-01-05', to: '2027-01-06' });
+  assert(Array.isArray(prices) && prices.length === 0, 'Unpublished future range returns no prices');
+
+  console.log('\nTesting checker integration...');
+  requests = [];
+  const store = createMemoryStore();
+  const checker = createPriceChecker({ ...options, token: 'token', store });
+  const october = await checker.getPrices({ from: '2026-09-30T22:00:00Z', to: '2026-10-31T23:00:00Z' });
+  assert(october.length === 31 * 24 + 1, 'Monthly report range includes the extra DST hour');
+  assert(october[0].unit === '€cents/kWh' && october[0].price === 7.2, 'Checker returns converted prices');
+  const requestCount = requests.length;
+  await checker.getPrices({ from: '2026-10-01T00:00:00Z', to: '2026-10-15T00:00:00Z' });
+  assert(requests.length === requestCount, 'Repeated range is served from the store');
+
+  requests = [];
+  const past = await createPriceChecker({ ...options, token: 'token' }).getPastPrices(24 * 7);
+  assert(past.length === 24 * 7, 'getPastPrices() reaches back a week');
+  assert(at(past[past.length - 1].timestamp) === now - HOUR, 'Past prices end before the current hour');
+  assert(past.every((p, i) => i === 0 || at(p.timestamp) - at(past[i - 1].timestamp) === HOUR), 'Older range joins the recent window without gaps');
+}
+
+runTestSuite(runTests);
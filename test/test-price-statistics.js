@@ -0,0 +1,64 @@
+/**
+ * Test price statistics
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { percentile, isPeakSlot, summarizePrices, rankPrice } = require('../price-statistics.js');
+const { assert, rejects, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+// The price in €cents/kWh equals the Amsterdam summer-time hour: 0 at local midnight, 23 at 23:00
+const wholesaleEurMwh = (time) => ((new Date(time).getUTCHours() + 2) % 24) * 10;
+
+stubEntsoe(wholesaleEurMwh);
+
+async function runTests() {
+  console.log('Testing statistics helpers...');
+  assert(percentile([1, 2, 3, 4], 50) === 2.5, 'Percentiles interpolate between neighbours');
+  assert(percentile([5], 90) === 5 && percentile([], 50) === null, 'Percentile of one or no value');
+  const ranked = rankPrice(2, [{ price: 1 }, { price: 2 }, { price: 2 }, { price: 3 }, { price: 5 }]);
+  assert(ranked.rank === 2 && ranked.count === 5 && ranked.percentile === 25, 'Ties share the better rank');
+  assert(rankPrice(7, [{ price: 7 }]).percentile === 0, 'A single price ranks at the 0th percentile');
+  assert(isPeakSlot('2026-04-01T06:00:00Z', 'Europe/Amsterdam'), 'Wednesday 08:00 local is peak');
+  assert(!isPeakSlot('2026-04-01T18:00:00Z', 'Europe/Amsterdam'), 'Wednesday 20:00 local is off-peak');
+  assert(!isPeakSlot('2026-04-04T10:00:00Z', 'Europe/Amsterdam'), 'Weekends are off-peak');
+  const empty = summarizePrices([]);
+  assert(empty.count === 0 && empty.mean === null && empty.percentiles.p50 === null && empty.cheapestSlots.length === 0, 'No prices give empty statistics');
+  assert(summarizePrices([{ price: 4 }, { price: 4 }]).standardDeviation === 0, 'Flat prices have no deviation');
+
+  console.log('\nTesting getPriceStatistics...');
+  const now = new Date('2026-04-01T08:05:00Z').getTime();
+  const checker = createPriceChecker({ token: 'token', clock: () => now, retry: false });
+
+  let stats = await checker.getPriceStatistics();
+  assert(stats.from === '2026-03-31T22:00:00.000Z' && stats.to === '2026-04-02T22:00:00.000Z', 'Defaults to today and tomorrow');
+  assert(stats.count === 48 && stats.min === 0 && stats.max === 23, 'Count, min and max');
+  assert(stats.mean === 11.5 && stats.median === 11.5, 'Mean and median');
+  assert(stats.standardDeviation === 6.92, 'Population standard deviation');
+  assert(stats.percentiles.p10 === 2 && stats.percentiles.p25 === 5.75 && stats.percentiles.p90 === 21, 'Default percentiles');
+  assert(stats.cheapestSlots.map(p => p.timestamp).join(',') ===
+    '2026-03-31T22:00:00.000Z,2026-04-01T22:00:00.000Z,2026-03-31T23:00:00.000Z', 'Cheapest slots, ties in time order');
+  assert(stats.mostExpensiveSlots.map(p => p.price).join(',') === '23,23,22', 'Most expensive slots');
+  assert(stats.cheapestSlots[0].unit === '€cents/kWh' && stats.cheapestSlots[0].period === undefined, 'Slots carry the public price fields');
+  assert(stats.peakAverage === 13.5 && stats.offPeakAverage === 9.5 && stats.peakSpread === 4, 'Peak and off-peak averages and spread');
+  assert(stats.current.price === 10 && stats.current.rank === 21 && stats.current.count === 48, 'Current price ranks within today and tomorrow');
+  assert(stats.current.percentile === 42.6, 'Current price percentile');
+  assert(stats.basis === 'wholesale' && stats.unit === '€cents/kWh', 'Basis and unit');
+
+  stats = await checker.getPriceStatistics({ from: '2026-04-01T06:00:00Z', to: '2026-04-01T10:00:00Z' });
+  assert(stats.count === 4 && stats.min === 8 && stats.max === 11 && stats.mean === 9.5, 'Explicit range');
+  assert(stats.current.rank === 21, 'The current rank still covers today and tomorrow');
+
+  stats = await checker.getPriceStatistics({ from: '2026-03-28T06:00:00Z', to: '2026-03-28T10:00:00Z' });
+  assert(stats.peakAverage === null && stats.offPeakAverage === 9.5 && stats.peakSpread === null, 'A Saturday has no peak');
+
+  stats = await checker.getPriceStatistics({ percentiles: [50, 95], slotCount: 1, peakHours: { from: 17, to: 21 } });
+  assert(Object.keys(stats.percentiles).join(',') === 'p50,p95' && stats.percentiles.p95 === 22, 'Custom percentiles');
+  assert(stats.cheapestSlots.length === 1 && stats.mostExpensiveSlots.length === 1, 'Custom slot count');
+  assert(stats.peakAverage === 18.5 && stats.peakHours.from === 17, 'Custom peak hours');
+
+  assert(await rejects(checker.getPriceStatistics({ percentiles: [120] })), 'Percentiles above 100 are rejected');
+  assert(await rejects(checker.getPriceStatistics({ peakHours: { from: 20, to: 8 } })), 'Reversed peak hours are rejected');
+  assert(await rejects(checker.getPriceStatistics({ slotCount: -1 })), 'Negative slot count is rejected');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,78 @@
+/**
+ * Test the persistent price store and fetching only missing delivery days
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPriceChecker, createMemoryStore, createFileStore } = require('../powerpricecheck.js');
+const { at, assert, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+// Serve hourly prices for whatever period is requested, up to the last published instant
+let publishedUntil = at('2026-01-03T23:00:00Z');
+const requests = [];
+stubEntsoe((t) => new Date(t).getUTCHours() * 10, {
+  publishedUntil: () => publishedUntil,
+  onRequest: ({ start, end }) => requests.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString() })
+});
+
+async function runTests() {
+  console.log('Testing file store...');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'powerpricecheck-'));
+  const filePath = path.join(dir, 'nested', 'prices.jsonl');
+  const fileStore = createFileStore({ path: filePath });
+  assert(await fileStore.getDay('NL', '2026-01-01') === null, 'Unknown days return null');
+  await fileStore.putDay('NL', '2026-01-01', [{ timestamp: '2025-12-31T23:00:00.000Z', price: 1 }]);
+  await fileStore.putDay('NL', '2026-01-01', [{ timestamp: '2025-12-31T23:00:00.000Z', price: 2 }]);
+  await fileStore.putDay('BE', '2026-01-01', [{ timestamp: '2025-12-31T23:00:00.000Z', price: 3 }]);
+  fs.appendFileSync(filePath, '{"zone":"NL","day":"2026-01-02","pri');
+
+  const reopened = createFileStore({ path: filePath });
+  const day = await reopened.getDay('NL', '2026-01-01');
+  assert(day && day[0].price === 2, 'Days survive a restart and the last write wins');
+  assert((await reopened.listDays('NL')).join(',') === '2026-01-01', 'Partially written lines are skipped');
+  assert((await reopened.getDay('BE', '2026-01-01'))[0].price === 3, 'Days are stored per zone');
+  assert(fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).length === 4, 'Writes are append-only');
+  await reopened.putDay('NL', '2026-01-02', [{ timestamp: '2026-01-01T23:00:00.000Z', price: 4 }]);
+  const recovered = createFileStore({ path: filePath });
+  assert((await recovered.getDay('NL', '2026-01-02'))[0].price === 4, 'A record after a partial line starts on a new line');
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log('\nTesting fetches of missing days...');
+  const store = createMemoryStore();
+  let now = at('2026-01-02T10:00:00Z');
+  const options = { token: 'token', store, clock: () => now, retry: false };
+
+  const first = createPriceChecker(options);
+  await first.getCurrentPrice();
+  assert(requests.length === 1, 'Initial load fetches yesterday through tomorrow in one request');
+  assert(requests[0].start === '2025-12-31T23:00:00.000Z' && requests[0].end === '2026-01-03T23:00:00.000Z','Request covers local delivery days');
+  assert((await store.listDays('NL')).join(',') === '2026-01-01,2026-01-02,2026-01-03', 'Complete days are stored');
+
+  const second = createPriceChecker(options);
+  await second.getCurrentPrice();
+  assert(requests.length === 1, 'A restarted checker is served entirely from the store');
+  assert(second.getDataQuality().storedDays.length === 3, 'Quality report lists the days read from the store');
+
+  console.log('\nTesting unpublished days...');
+  now = at('2026-01-03T09:00:00Z');
+  const third = createPriceChecker(options);
+  const current = await third.getCurrentPrice();
+  assert(current.timestamp === '2026-01-03T09:00:00.000Z', 'Current price is served from stored days');
+  assert(requests.length === 2, 'Only the missing day is requested');
+  assert(requests[1].start === '2026-01-03T23:00:00.000Z', 'Missing day request starts at local midnight');
+  assert(!(await store.listDays('NL')).includes('2026-01-04'), 'Unpublished days are not stored');
+
+  publishedUntil = at('2026-01-04T23:00:00Z');
+  now = at('2026-01-03T12:00:00Z');
+  await third.getFuturePrices();
+  assert(requests.length === 3 && (await store.listDays('NL')).includes('2026-01-04'), 'Newly published day is fetched and stored');
+
+  console.log('\nTesting history from the store...');
+  const past = await third.getPastPrices(48);
+  assert(past.length === 48, 'getPastPrices() reaches back beyond yesterday');
+  assert(past[0].timestamp === '2026-01-01T12:00:00.000Z', 'Older prices come from the store');
+  assert(requests.length === 3, 'History is answered without hitting the API');
+}
+
+runTestSuite(runTests);
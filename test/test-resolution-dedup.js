@@ -0,0 +1,88 @@
+/**
+ * Test resolution selection and deduplication of overlapping TimeSeries
+ */
+
+const entsoeClient = require('../entsoe-client.js');
+const { assert, runTestSuite } = require('./helpers.js');
+
+const buildSeries = (resolution, start, end, prices) => `
+  <TimeSeries>
+    <curveType>A01</curveType>
+    <Period>
+      <timeInterval><start>${start}</start><end>${end}</end></timeInterval>
+      <resolution>${resolution}</resolution>
+      ${prices.map((price, i) => `<Point><position>${i + 1}</position><price.amount>${price}</price.amount></Point>`).join('\n      ')}
+    </Period>
+  </TimeSeries>`;
+
+const buildXml = (...series) => `<?xml version="1.0" encoding="UTF-8"?>
+<Publication_MarketDocument>${series.join('')}
+</Publication_MarketDocument>`;
+
+// Two hours published both hourly and quarterly, plus a second hourly classification sequence
+const xml = buildXml(
+  buildSeries('PT60M', '2026-01-02T00:00Z', '2026-01-02T02:00Z', [80, 60]),
+  buildSeries('PT15M', '2026-01-02T00:00Z', '2026-01-02T02:00Z', [84, 82, 79, 77, 62, 60, 58, 60]),
+  buildSeries('PT60M', '2026-01-02T00:00Z', '2026-01-02T02:00Z', [80, 65])
+);
+
+async function runTests() {
+  console.log('Testing default resolution selection...');
+  const finest = await entsoeClient.parseEntsoeResponse(xml);
+  assert(finest.prices.length === 8, 'Defaults to the finest resolution without duplicates');
+  assert(finest.prices.every(p => p.resolutionMinutes === 15), 'Only quarter-hour points are returned');
+  assert(finest.quality.resolution === 'PT15M', 'Quality report names the selected resolution');
+  assert(finest.quality.availableResolutions.join(',') === 'PT15M,PT60M', 'Quality report lists available resolutions');
+
+  const timestamps = finest.prices.map(p => p.timestamp);
+  assert(new Set(timestamps).size === timestamps.length, 'Timestamps are unique');
+
+  console.log('\nTesting preferResolution...');
+  const hourly = await entsoeClient.parseEntsoeResponse(xml, { preferResolution: 'PT60M' });
+  assert(hourly.prices.length === 2, 'PT60M preference returns one point per hour');
+  assert(hourly.prices[0].priceEurMwh === 80 && hourly.prices[1].priceEurMwh === 60, 'First published value is kept');
+  assert(hourly.quality.duplicates.length === 2, 'Duplicate hourly points are reported');
+  assert(hourly.quality.duplicates[0].count === 2, 'Duplicate count includes the kept point');
+  assert(hourly.quality.conflicts.length === 1, 'Only differing values are reported as conflicts');
+  assert(hourly.quality.conflicts[0].timestamp === '2026-01-02T01:00:00.000Z', 'Conflict is reported for the right slot');
+  assert(hourly.quality.conflicts[0].valuesEurMwh.join(',') === '60,65', 'Conflict lists all published values');
+
+  const pricesOnly = await entsoeClient.parseEntsoeXml(xml, { preferResolution: 'PT60M' });
+  assert(pricesOnly.length === 2, 'parseEntsoeXml() accepts preferResolution');
+
+  console.log('\nTesting fallback to other resolutions...');
+  const mixed = buildXml(
+    buildSeries('PT60M', '2026-01-01T23:00Z', '2026-01-02T01:00Z', [90, 80]),
+    buildSeries('PT15M', '2026-01-02T00:00Z', '2026-01-02T01:00Z', [84, 82, 79, 77])
+  );
+  const filled = await entsoeClient.parseEntsoeResponse(mixed);
+  assert(filled.prices.length === 5, 'Coarser series fill slots the preferred resolution does not cover');
+  assert(filled.prices[0].resolutionMinutes === 60 && filled.prices[0].priceEurMwh === 90, 'Uncovered hour comes from the hourly series');
+  assert(filled.quality.gaps.length === 0, 'Covered slots are not reported as gaps');
+
+  const partial = await entsoeClient.parseEntsoeResponse(buildXml(
+    buildSeries('PT60M', '2026-01-02T00:00Z', '2026-01-02T02:00Z', [80, 60]),
+    buildSeries('PT15M', '2026-01-02T00:00Z', '2026-01-02T01:00Z', [84, 82])
+  ));
+  assert(partial.prices.map(p => p.priceEurMwh).join(',') === '84,82,80,80,60', 'Quarters a PT15M series leaves open are filled from the hourly price');
+  assert(partial.prices[2].timestamp === '2026-01-02T00:30:00.000Z' && partial.prices[2].resolutionMinutes === 15, 'Filled quarters are quarter-hour slots');
+  assert(partial.quality.gaps.length === 0, 'Quarters filled from the hourly series are not gaps');
+
+  const uncovered = await entsoeClient.parseEntsoeResponse(buildXml(
+    buildSeries('PT15M', '2026-01-02T00:00Z', '2026-01-02T01:00Z', [84, 82]),
+    buildSeries('PT60M', '2026-01-02T00:00Z', '2026-01-02T02:00Z', [60]).replace('<position>1</position>', '<position>2</position>')
+  ));
+  assert(uncovered.quality.gaps.length === 1 && uncovered.quality.gaps[0].start === '2026-01-02T00:30:00.000Z' &&
+    uncovered.quality.gaps[0].end === '2026-01-02T01:00:00.000Z', 'Only the quarters no series covers are reported as a gap');
+  assert(uncovered.quality.gaps[0].slots === 2, 'Quarters missing from both series are counted once');
+
+  let error = null;
+  try {
+    await entsoeClient.parseEntsoeResponse(xml, { preferResolution: 'PT5M' });
+  } catch (err) {
+    error = err;
+  }
+  assert(error && /Unsupported resolution/.test(error.message), 'Unsupported resolutions are rejected');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,104 @@
+/**
+ * Test retries with backoff, the token-bucket rate limiter and shared in-flight requests
+ */
+
+const axios = require('axios');
+const entsoeClient = require('../entsoe-client.js');
+const { EntsoeAuthError, EntsoeNetworkError } = require('../entsoe-errors.js');
+const { at, assert, buildPriceXml, runTestSuite } = require('./helpers.js');
+
+const XML = buildPriceXml(at('2026-01-02T00:00:00Z'), at('2026-01-02T01:00:00Z'), () => 80);
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data: '', headers }
+});
+
+const networkError = () => Object.assign(new Error('socket hang up'), { request: {}, code: 'ECONNRESET' });
+
+// Stub axios.get with a sequence of responses (functions that return or throw)
+let calls = 0;
+const stubResponses = (...responses) => {
+  calls = 0;
+  axios.get = async () => {
+    const respond = responses[Math.min(calls, responses.length - 1)];
+    calls++;
+    return respond();
+  };
+};
+
+const ok = () => ({ data: XML });
+const fast = { retries: 3, baseDelayMs: 1, maxDelayMs: 5 };
+const unlimited = entsoeClient.createRateLimiter({ requestsPerMinute: 60000 });
+const start = new Date('2026-01-02T00:00:00.000Z');
+const end = new Date('2026-01-02T01:00:00.000Z');
+
+const fetchOnce = async (options) => {
+  try {
+    return await entsoeClient.fetchDayAheadPrices('token', start, end, { rateLimiter: unlimited, ...options });
+  } catch (error) {
+    return error;
+  }
+};
+
+async function runTests() {
+  console.log('Testing retries...');
+  stubResponses(() => { throw httpError(503); }, () => { throw networkError(); }, ok);
+  let result = await fetchOnce({ retry: fast });
+  assert(Array.isArray(result) && result.length === 1, 'Server and network errors are retried until success');
+  assert(calls === 3, 'Each retry makes a new request');
+
+  stubResponses(() => { throw httpError(429, { 'retry-after': '0' }); }, ok);
+  result = await fetchOnce({ retry: fast });
+  assert(Array.isArray(result) && calls === 2, '429 is retried after Retry-After');
+
+  stubResponses(() => { throw httpError(429, { 'retry-after': '3600' }); }, ok);
+  const retriedAt = Date.now();
+  result = await fetchOnce({ retry: fast });
+  assert(Array.isArray(result) && Date.now() - retriedAt < 1000, 'Retry-After is capped at maxDelayMs');
+
+  stubResponses(() => { throw httpError(401); });
+  result = await fetchOnce({ retry: fast });
+  assert(result instanceof EntsoeAuthError && calls === 1, 'Auth errors are not retried');
+
+  stubResponses(() => { throw networkError(); });
+  result = await fetchOnce({ retry: fast });
+  assert(result instanceof EntsoeNetworkError && calls === 4, 'Gives up after the configured number of retries');
+
+  stubResponses(() => { throw networkError(); });
+  result = await fetchOnce({ retry: false });
+  assert(result instanceof EntsoeNetworkError && calls === 1, 'retry: false makes a single attempt');
+
+  console.log('\nTesting rate limiter...');
+  const limiter = entsoeClient.createRateLimiter({ requestsPerMinute: 600, burst: 2 });
+  assert(limiter.available() === 2, 'Bucket starts full');
+  const startedAt = Date.now();
+  await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+  const elapsed = Date.now() - startedAt;
+  assert(elapsed >= 90, `Requests beyond the burst wait for a refill (${elapsed}ms)`);
+  assert(limiter.available() === 0, 'Tokens are consumed');
+  assert(entsoeClient.getRateLimiter('token-a') === entsoeClient.getRateLimiter('token-a'), 'Limiters are shared per token');
+  assert(entsoeClient.getRateLimiter('token-a') !== entsoeClient.getRateLimiter('token-b'), 'Different tokens get different limiters');
+
+  console.log('\nTesting shared in-flight requests...');
+  stubResponses(async () => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return ok();
+  });
+  const cache = entsoeClient.createPriceCache();
+  const results = await Promise.all([
+    entsoeClient.getPriceData('token', { cache, rateLimiter: unlimited }),
+    entsoeClient.getPriceData('token', { cache, rateLimiter: unlimited }),
+    entsoeClient.getPriceData('token', { cache, rateLimiter: unlimited })
+  ]);
+  assert(calls === 1, 'Concurrent getPriceData calls make a single request');
+  assert(results.every(r => r.length === 1 && r[0].price === results[0][0].price), 'Concurrent callers receive the same data');
+
+  stubResponses(() => { throw httpError(401); });
+  const failures = await Promise.all([
+    entsoeClient.getPriceData('token', { cache: entsoeClient.createPriceCache(), rateLimiter: unlimited }).catch(e => e),
+    entsoeClient.getPriceData('token', { cache: entsoeClient.createPriceCache(), rateLimiter: unlimited }).catch(e => e)
+  ]);
+  assert(calls === 2 && failures.every(e => e instanceof EntsoeAuthError), 'Separate caches do not share requests');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,74 @@
+/**
+ * Test window scheduling on 15-minute and mixed-resolution data
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { findBestWindow, getAvailableMinutes } = require('../scheduler.js');
+const { MINUTE, at, assert, rejects, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+// 100 EUR/MWh, except a cheap stretch 02:15-04:15 UTC that no whole hour covers
+const quarterEurMwh = (time) => (time >= at('2026-02-10T02:15:00Z') && time < at('2026-02-10T04:15:00Z') ? 20 : 100);
+
+stubEntsoe(quarterEurMwh, { resolution: 'PT15M' });
+
+const entry = (iso, price, resolutionMinutes) => ({ timestamp: new Date(iso).toISOString(), price, resolutionMinutes });
+
+async function runTests() {
+  console.log('Testing findBestWindow() on mixed resolutions...');
+  const mixed = [
+    entry('2026-02-10T00:00:00Z', 10, 60),
+    entry('2026-02-10T01:00:00Z', 2, 15),
+    entry('2026-02-10T01:15:00Z', 30, 15),
+    entry('2026-02-10T01:30:00Z', 30, 30)
+  ];
+  let best = findBestWindow(mixed, { from: at('2026-02-10T00:00:00Z'), until: at('2026-02-10T02:00:00Z'), durationMinutes: 30 });
+  assert(best.start === at('2026-02-10T00:45:00Z'), 'Window may start inside an hourly slot');
+  assert(best.average === 6 && best.coverage.map(c => c.minutes).join(',') === '15,15', 'Average is weighted by overlap in minutes');
+
+  best = findBestWindow(mixed, { from: at('2026-02-10T00:00:00Z'), until: at('2026-02-10T02:00:00Z'), durationMinutes: 30, prefer: 'highest' });
+  assert(best.start === at('2026-02-10T01:15:00Z') && best.average === 30, 'Highest window is found on request');
+
+  const gap = [entry('2026-02-10T00:00:00Z', 1, 60), entry('2026-02-10T02:00:00Z', 1, 60)];
+  best = findBestWindow(gap, { from: at('2026-02-10T00:00:00Z'), until: at('2026-02-10T03:00:00Z'), durationMinutes: 90 });
+  assert(best === null, 'Windows spanning a gap are skipped');
+  assert(getAvailableMinutes(gap, at('2026-02-10T00:30:00Z'), at('2026-02-10T03:00:00Z')) === 90, 'Available minutes are clipped to the range');
+
+  console.log('\nTesting recommendBestTime() on 15-minute data...');
+  const now = at('2026-02-10T00:05:00Z');
+  const checker = createPriceChecker({ token: 'token', clock: () => now, retry: false });
+
+  const future = await checker.getFuturePrices(2);
+  assert(future.length === 8 && future[0].timestamp === '2026-02-10T00:15:00.000Z' && future[7].timestamp === '2026-02-10T02:00:00.000Z', 'Future prices cover the requested hours, not entries');
+
+  let past = await checker.getPastPrices(1);
+  assert(past.length === 4 && past[0].timestamp === '2026-02-09T23:00:00.000Z', 'Past prices cover the requested hours, not entries');
+  past = await checker.getPastPrices(30);
+  assert(past.length === 120 && past[0].timestamp === '2026-02-08T18:00:00.000Z', 'Older quarter hours are fetched for the missing time');
+
+  let result = await checker.recommendBestTime(2, 12);
+  assert(result.recommendation.startTime === '2026-02-10T02:15:00.000Z', 'Two-hour window starts on a quarter hour');
+  assert(result.recommendation.endTime === '2026-02-10T04:15:00.000Z', 'Two-hour window ends two hours later');
+  assert(result.recommendation.prices.length === 8 && result.recommendation.prices.every(p => p.minutes === 15), 'Two-hour window covers eight quarters');
+  assert(result.recommendation.averagePrice === 2 && result.currentPrice === 10, 'Average and current price use quarter-hour prices');
+
+  result = await checker.recommendBestTime(undefined, 12, { durationMinutes: 45 });
+  assert(result.durationMinutes === 45 && result.durationHours === 0.75, 'Duration can be given in minutes');
+  assert(result.recommendation.startTime === '2026-02-10T02:15:00.000Z' && result.recommendation.prices.length === 3, '45-minute window covers three quarters');
+
+  result = await checker.recommendBestTime({ durationMinutes: 45, lookAheadMinutes: 180 });
+  assert(result.recommendation.startTime === '2026-02-10T02:15:00.000Z' && result.recommendation.endTime === '2026-02-10T03:00:00.000Z', 'Options object with look-ahead in minutes');
+
+  result = await checker.recommendBestTime({ durationMinutes: 30, lookAheadMinutes: 100 });
+  assert(new Date(result.recommendation.endTime).getTime() <= now + 100 * MINUTE, 'Window ends within the look-ahead');
+  assert(result.potentialSavings === 0 && result.message === 'Current time is already optimal', 'No cheaper window within a short look-ahead');
+
+  result = await checker.recommendBestTime({ durationMinutes: 8 * 60, lookAheadMinutes: 60 });
+  assert(result.error === 'Not enough data for the requested duration', 'Duration longer than the look-ahead is rejected');
+
+  assert(await rejects(checker.recommendBestTime(0)), 'A zero duration is rejected');
+  assert(await rejects(checker.recommendBestTime({ durationMinutes: 20 })), 'A duration that is not a multiple of 15 minutes is rejected');
+  assert(await rejects(checker.recommendBestTime(1, -2)), 'A negative look-ahead is rejected');
+  assert(await rejects(checker.recommendBestExportTime({ durationMinutes: 0 })), 'Export windows validate the duration too');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,97 @@
+/**
+ * Test solar self-consumption pricing
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { normalizeSolar, annotateSurplus, getEffectivePrice, applySolar } = require('../solar.js');
+const { normalizeBattery, optimizeBattery } = require('../battery-optimizer.js');
+const { normalizeHeatPump, planHeating } = require('../heat-pump-planner.js');
+const { HOUR, at, assert, throws, rejects, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+const QUARTER = HOUR / 4;
+
+// Cheap night energy 01:00-03:00 UTC on 2 April, 100 €/MWh otherwise
+const wholesaleEurMwh = (time) =>
+  (time >= at('2026-04-02T01:00:00Z') && time < at('2026-04-02T03:00:00Z') ? 20 : 100);
+
+stubEntsoe(wholesaleEurMwh);
+
+// Hourly slots from 08:00 UTC: 3 kW of PV from 11:00 to 14:00 UTC, 0.5 kW of household load
+const sunny = { forecastKw: [0, 0, 0, 3, 3, 3], baseLoadKw: 0.5 };
+// Only one sunny hour, 11:00-12:00 UTC
+const briefSun = { forecastKw: [0, 0, 0, 3], baseLoadKw: 0.5 };
+
+async function runTests() {
+  console.log('Testing effective prices...');
+  assert(throws(() => normalizeSolar({ forecastKw: [1, -1] })), 'Negative PV production is rejected');
+  assert(throws(() => normalizeSolar({ forecastKw: [1], baseLoadKw: 'high' })), 'Malformed base load is rejected');
+  const entries = [{ price: 20, exportPrice: 8 }, { price: 20, exportPrice: 8 }, { price: 20, exportPrice: 8 }];
+  const annotated = annotateSurplus(entries, normalizeSolar({ forecastKw: [4, 1], baseLoadKw: [1, 2] }));
+  assert(annotated.map(p => p.surplusKw).join(',') === '3,0,0', 'Surplus is PV minus base load, none beyond the forecast');
+  assert(getEffectivePrice(annotated[0], 2) === 8, 'Fully covered load costs the export price');
+  assert(getEffectivePrice(annotated[0], 6) === 14, 'Partly covered load blends export and consumption prices');
+  assert(getEffectivePrice(annotated[1], 2) === 20, 'Without surplus the load pays the consumption price');
+  const applied = applySolar(annotated, 6);
+  assert(applied[0].price === 14 && applied[0].gridPrice === 20 && applied[0].solarShare === 0.5, 'Entries carry the effective price and solar share');
+
+  console.log('\nTesting planners on slots...');
+  const batterySlots = [{ buyPrice: 30, sellPrice: 5, surplusKw: 5 }, { buyPrice: 30, sellPrice: 20 }]
+    .map((slot, i) => ({ ...slot, start: i * HOUR, end: (i + 1) * HOUR }));
+  const battery = normalizeBattery({ capacityKwh: 5, maxChargeKw: 5, roundTripEfficiency: 1 });
+  let plan = optimizeBattery(batterySlots, battery);
+  assert(plan.steps[0].gridKwh === 5 && plan.steps[0].solarKwh === 5 && plan.profit === 75, 'Battery charges from the surplus at the export price');
+  plan = optimizeBattery(batterySlots.map(slot => ({ ...slot, surplusKw: 0 })), battery);
+  assert(plan.profit === 0, 'Without surplus charging at the consumption price does not pay');
+
+  const home = normalizeHeatPump({ heatLossCoefficient: 0.2, thermalCapacity: 2, cop: 3, maxPowerKw: 2, comfortMin: 19, comfortMax: 22, indoorTemp: 20 });
+  const heatSlots = [0, 0, 0, 0, 2, 2, 2, 2, 0, 0, 0, 0].map((surplusKw, i) => ({
+    start: i * QUARTER, end: (i + 1) * QUARTER, price: 20, exportPrice: 5, surplusKw, outdoorTemp: 0
+  }));
+  plan = planHeating(heatSlots, home);
+  assert(plan.steps.slice(4, 8).every(step => step.powerKw === 2 && step.solarKwh === 0.5), 'Heat pump heats on the surplus');
+
+  console.log('\nTesting the price checker...');
+  const now = at('2026-04-01T08:05:00Z');
+  const checker = createPriceChecker({
+    token: 'token',
+    clock: () => now,
+    retry: false,
+    tariff: { adders: { energyTax: 10 } },
+    feedIn: { fee: 0 }
+  });
+
+  let result = await checker.recommendBestTime(1, 24);
+  assert(result.recommendation.startTime === '2026-04-02T01:00:00.000Z', 'Without PV the cheap night wins');
+  result = await checker.recommendBestTime(1, 24, { solar: sunny, powerKw: 2 });
+  assert(result.recommendation.startTime === '2026-04-01T11:00:00.000Z' && result.recommendation.averagePrice === 10, 'Own surplus at the export price beats cheap grid power');
+  assert(result.recommendation.solarKwh === 2 && result.recommendation.solarShare === 1, 'Shows how much of the run solar covers');
+  assert(result.currentPrice === 20, 'Current price without surplus is the consumption price');
+  result = await checker.recommendBestTime(1, 24, { solar: sunny, powerKw: 5 });
+  assert(result.recommendation.startTime === '2026-04-02T01:00:00.000Z', 'A surplus covering half of a large load loses to the night');
+  assert(await rejects(checker.recommendBestTime(1, 24, { solar: sunny })), 'powerKw is required with solar');
+
+  const profile = [{ durationMinutes: 30, kWh: 2 }, { durationMinutes: 30, kWh: 0.25 }];
+  result = await checker.recommendBestTime({ loadProfile: profile, solar: sunny, latestEnd: '18:00' });
+  assert(result.recommendation.startTime === '2026-04-01T11:00:00.000Z' && result.recommendation.expectedCost === 0.3, 'Profile phases are priced at their own power');
+  assert(result.recommendation.solarKwh === 1.5 && result.recommendation.solarShare === 0.667, 'Solar energy of a profile run');
+
+  result = await checker.planInterruptibleLoad({ runtimeMinutes: 120, powerKw: 2, solar: sunny });
+  assert(result.slots[0].startTime === '2026-04-01T11:00:00.000Z' && result.totalCost === 0.4, 'Interruptible load runs on the surplus');
+  assert(result.solarKwh === 4 && result.solarShare === 1, 'Interruptible plan shows the solar energy');
+
+  result = await checker.planHousehold({
+    jobs: [{ id: 'washer', powerKw: 2, durationMinutes: 60 }, { id: 'dryer', powerKw: 2, durationMinutes: 60 }],
+    solar: briefSun
+  });
+  const [washer, dryer] = result.jobs;
+  assert(washer.startTime === '2026-04-01T11:00:00.000Z' && washer.solarKwh === 2 && washer.cost === 0.2, 'First job takes the surplus');
+  assert(dryer.startTime === '2026-04-02T01:00:00.000Z' && dryer.solarKwh === 0, 'Jobs share the surplus instead of counting it twice');
+  assert(result.solarKwh === 2, 'Household plan shows the solar energy');
+
+  const car = { batteryKwh: 10, currentSoc: 0.5, targetSoc: 0.8, chargerKw: 2.3, departure: '07:00' };
+  result = await checker.planEvCharging(car, { solar: sunny });
+  assert(result.schedule.filter(slot => slot.powerKw > 0).every(slot => slot.startTime >= '2026-04-01T11:00:00.000Z' && slot.endTime <= '2026-04-01T14:00:00.000Z'), 'EV charges on the surplus');
+  assert(result.solarKwh === result.energyKwh && result.cost === 0.3333, 'EV charging at the export price');
+}
+
+runTestSuite(runTests);
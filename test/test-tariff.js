@@ -0,0 +1,67 @@
+/**
+ * Test the consumer tariff model and price bases
+ */
+
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { normalizeTariff, getTariffRate, toConsumerPrice, applyTariff } = require('../tariff.js');
+const { at, assert, throws, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+// Cheapest wholesale hour is the last hour of 2025 (Amsterdam time); New Year is slightly dearer
+const wholesaleEurMwh = (time) => {
+  if (time === at('2025-12-31T22:00:00Z')) return 50;
+  if (time >= at('2025-12-31T23:00:00Z')) return 60;
+  return 150;
+};
+
+stubEntsoe(wholesaleEurMwh);
+
+const tariffConfig = {
+  rates: [
+    { validFrom: '2026-01-01', adders: { supplierMarkup: 2, energyTax: 8 }, vatRate: 0.21 },
+    { validFrom: '2025-01-01', adders: { supplierMarkup: 2, energyTax: 10.15 }, vatRate: 0.21 }
+  ]
+};
+
+async function runTests() {
+  console.log('Testing tariff configuration...');
+  const tariff = normalizeTariff(tariffConfig);
+  assert(tariff.basis === 'consumer', 'Consumer basis is the default');
+  assert(tariff.rates.map(r => r.validFrom).join(',') === '2025-01-01,2026-01-01', 'Rates are sorted by effective date');
+  assert(normalizeTariff({ adders: { energyTax: 9 }, vatRate: 0.09 }).rates.length === 1, 'A single rate can be given without rates');
+  assert(throws(() => normalizeTariff({ vatRate: 21 })), 'VAT given as a percentage is rejected');
+  assert(throws(() => normalizeTariff({ validFrom: '1-1-2026' })), 'Malformed effective date is rejected');
+  assert(throws(() => normalizeTariff({ basis: 'retail' })), 'Unknown basis is rejected');
+
+  console.log('\nTesting effective dates...');
+  assert(getTariffRate(tariff, '2025-12-31T22:59:00Z', 'Europe/Amsterdam').validFrom === '2025-01-01', 'Old rate applies until local midnight');
+  assert(getTariffRate(tariff, '2025-12-31T23:00:00Z', 'Europe/Amsterdam').validFrom === '2026-01-01', 'New rate applies from local midnight on 1 January');
+  assert(throws(() => getTariffRate(tariff, '2024-06-01T00:00:00Z', 'Europe/Amsterdam')), 'Instants before the first rate are rejected');
+
+  console.log('\nTesting consumer prices...');
+  assert(toConsumerPrice(10, { adders: { supplierMarkup: 2, energyTax: 9.16 }, vatRate: 0.21 }) === 25.6, '(wholesale + adders) × (1 + VAT)');
+  assert(toConsumerPrice(-5, { adders: { energyTax: 10 }, vatRate: 0.21 }) === 6.05, 'Negative wholesale prices reduce the consumer price');
+  const [entry] = applyTariff([{ timestamp: '2026-02-01T00:00:00Z', price: 7.13, priceEurMwh: 71.251 }], tariff, { timeZone: 'Europe/Amsterdam' });
+  assert(entry.wholesalePrice === 7.13 && entry.consumerPrice === 20.72 && entry.price === 20.72, 'Consumer price is computed from the unrounded wholesale price');
+  const [plain] = applyTariff([{ timestamp: '2026-02-01T00:00:00Z', price: 7.12 }], null, { timeZone: 'Europe/Amsterdam' });
+  assert(plain.price === 7.12 && plain.wholesalePrice === 7.12 && plain.consumerPrice === null, 'Without a tariff prices stay wholesale');
+  assert(throws(() => applyTariff([], null, { timeZone: 'Europe/Amsterdam', basis: 'consumer' })), 'Consumer basis requires a tariff');
+
+  console.log('\nTesting price checker...');
+  const now = at('2025-12-31T18:30:00Z');
+  const checker = createPriceChecker({ token: 'token', clock: () => now, retry: false, tariff: tariffConfig });
+  const current = await checker.getCurrentPrice();
+  assert(current.wholesalePrice === 15 && current.consumerPrice === 32.85 && current.price === current.consumerPrice, 'Current price carries both prices');
+
+  const future = await checker.getFuturePrices(6);
+  assert(future.every(p => p.wholesalePrice !== undefined && p.consumerPrice !== undefined), 'Future prices carry both prices');
+  assert(future.find(p => p.timestamp === '2025-12-31T23:00:00.000Z').consumerPrice === 19.36, 'New Year prices use the new energy tax');
+
+  const consumer = await checker.recommendBestTime(1, 12);
+  assert(consumer.basis === 'consumer' && consumer.recommendation.startTime === '2025-12-31T23:00:00.000Z', 'Consumer basis prefers the lower tax after midnight');
+  const wholesale = await checker.recommendBestTime(1, 12, { basis: 'wholesale' });
+  assert(wholesale.basis === 'wholesale' && wholesale.recommendation.startTime === '2025-12-31T22:00:00.000Z', 'Wholesale basis picks the cheapest spot hour');
+  assert(consumer.savingsPercentage !== wholesale.savingsPercentage, 'Savings percentage depends on the basis');
+  assert(wholesale.recommendation.prices[0].consumerPrice === 20.75, 'Recommended slots carry consumer prices on either basis');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,84 @@
+/**
+ * Test that hours, periods and day boundaries follow the bidding zone's timezone
+ * Regression tests for the October and March DST switchover days.
+ */
+
+// Run in a timezone far from the market to prove results do not depend on the server
+process.env.TZ = 'America/New_York';
+
+const entsoeClient = require('../entsoe-client.js');
+const { createPriceChecker } = require('../powerpricecheck.js');
+const { listZonedDays, startOfZonedDay } = require('../zone-time.js');
+const { HOUR, at, assert, buildPriceXml, stubEntsoe, runTestSuite } = require('./helpers.js');
+
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+
+// Prices follow the UTC hour so 03:00-05:00 UTC is the cheapest window
+const wholesaleEurMwh = (time) => {
+  const utcHour = new Date(time).getUTCHours();
+  return utcHour === 3 || utcHour === 4 ? 20 : 100 + utcHour;
+};
+const buildXml = (start, end, resolution) => buildPriceXml(start, end, wholesaleEurMwh, resolution);
+
+const requests = [];
+stubEntsoe(wholesaleEurMwh, { onRequest: (requested) => requests.push(requested) });
+
+async function runTests() {
+  console.log('Testing local hours on DST switchover days...');
+  let prices = await entsoeClient.parseEntsoeXml(buildXml(at('2026-10-24T22:00:00Z'), at('2026-10-25T23:00:00Z')));
+  assert(prices.length === 25, 'October switchover day has 25 slots');
+  assert(prices.map(p => p.hour).join(',') === [0, 1, 2, 2, ...range(3, 24)].join(','), 'October switchover day repeats hour 2');
+
+  prices = await entsoeClient.parseEntsoeXml(buildXml(at('2026-03-28T23:00:00Z'), at('2026-03-29T22:00:00Z')));
+  assert(prices.length === 23, 'March switchover day has 23 slots');
+  assert(prices.map(p => p.hour).join(',') === [0, 1, ...range(3, 24)].join(','), 'March switchover day skips hour 2');
+
+  prices = await entsoeClient.parseEntsoeXml(buildXml(at('2026-01-01T22:00:00Z'), at('2026-01-01T23:00:00Z')), { timeZone: 'Europe/Helsinki' });
+  assert(prices[0].hour === 0, 'Hours follow the timezone passed to the parser');
+
+  console.log('\nTesting local delivery days...');
+  const october = listZonedDays(at('2026-10-24T22:00:00Z'), at('2026-10-26T23:00:00Z'), 'Europe/Amsterdam');
+  assert(october.map(d => d.day).join(',') === '2026-10-25,2026-10-26', 'Days are named in local time');
+  assert(october[0].end - october[0].start === 25 * HOUR && october[1].end - october[1].start === 24 * HOUR, 'Day lengths follow the switchover');
+  assert(startOfZonedDay(at('2026-03-29T21:30:00Z'), 'Europe/Amsterdam') === at('2026-03-28T23:00:00Z'), 'Local midnight before the March switchover');
+
+  console.log('\nTesting period categorization...');
+  prices = await entsoeClient.parseEntsoeXml(buildXml(at('2026-10-24T22:00:00Z'), at('2026-10-25T23:00:00Z')));
+  let categorized = entsoeClient.categorizePrices(prices, at('2026-10-25T01:30:00Z'));
+  let current = categorized.filter(p => p.period === 'current');
+  assert(current.length === 1 && current[0].timestamp === '2026-10-25T01:00:00.000Z', 'Current slot is the second 02:00 after the switchover');
+  assert(categorized.filter(p => p.period === 'past').length === 3, 'Slots up to the first 02:00 are past');
+
+  const quarters = await entsoeClient.parseEntsoeXml(buildXml(at('2026-01-02T09:00:00Z'), at('2026-01-02T11:00:00Z'), 'PT15M'));
+  categorized = entsoeClient.categorizePrices(quarters, at('2026-01-02T09:20:00Z'));
+  current = categorized.filter(p => p.period === 'current');
+  assert(current.length === 1 && current[0].timestamp === '2026-01-02T09:15:00.000Z', 'Current slot is the quarter hour that contains now');
+
+  console.log('\nTesting price checker...');
+  let now = at('2026-10-25T00:30:00Z');
+  const checker = createPriceChecker({
+    token: 'token',
+    clock: () => now,
+    retry: false,
+    rateLimiter: entsoeClient.createRateLimiter({ requestsPerMinute: 60000 })
+  });
+  let price = await checker.getCurrentPrice();
+  assert(price.timestamp === '2026-10-25T00:00:00.000Z' && price.hour === 2, '02:30 CEST is hour 2');
+  now = at('2026-10-25T01:30:00Z');
+  price = await checker.getCurrentPrice();
+  assert(price.timestamp === '2026-10-25T01:00:00.000Z' && price.hour === 2, '02:30 CET is hour 2 as well');
+  now = at('2026-10-25T02:30:00Z');
+  price = await checker.getCurrentPrice();
+  assert(price.hour === 3, '03:30 CET is hour 3');
+  assert(requests[0].start === at('2026-10-23T22:00:00Z') && requests[0].end === at('2026-10-26T23:00:00Z'), 'Window runs from local midnight yesterday to local midnight after tomorrow');
+
+  now = at('2026-03-29T00:30:00Z');
+  const recommendation = await createPriceChecker({ token: 'token', clock: () => now, retry: false }).recommendBestTime(2, 6);
+  assert(recommendation.recommendation.startTime === '2026-03-29T03:00:00.000Z', 'Cheapest window starts after the March switchover');
+  assert(recommendation.recommendation.startHour === 5 && recommendation.recommendation.endHour === 7, 'Start and end hours are Amsterdam summer time');
+  const localStart = new Date('2026-03-29T03:00:00.000Z').toLocaleTimeString(undefined, { timeZone: 'Europe/Amsterdam' });
+  const serverStart = new Date('2026-03-29T03:00:00.000Z').toLocaleTimeString();
+  assert(localStart !== serverStart && recommendation.message.includes(`Wait until ${localStart} `), 'Message shows the time in Amsterdam');
+}
+
+runTestSuite(runTests);
@@ -0,0 +1,127 @@
+/**
+ * Timezone helpers for bidding zone local time
+ * Converts between instants and wall-clock time in an IANA timezone using Intl, so results
+ * do not depend on the timezone of the server
+ */
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA timezone (e.g. 'Europe/Amsterdam')
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second)
+  };
+};
+
+/**
+ * Get the UTC offset of a timezone at an instant
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (e.g. 3600000 for CET)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const time = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  const p = getZonedParts(time, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - time;
+};
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * Out-of-range fields roll over (day 32 becomes the next month), so this can also be used
+ * to step through local calendar days.
+ * @param {Object} parts - { year, month (1-12), day, hour, minute }
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Instant in milliseconds
+ */
+const zonedTimeToUtc = (parts, timeZone) => {
+  const { year, month, day = 1, hour = 0, minute = 0 } = parts;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Correct with the offset at the guess, then again in case the guess crossed a DST switch
+  const guess = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  return wallClock - getTimeZoneOffset(guess, timeZone);
+};
+
+/**
+ * Get the start of a local calendar day
+ * @param {Date|number} date - Instant within the reference day
+ * @param {string} timeZone - IANA timezone
+ * @param {number} [dayOffset] - Days to move from the reference day (default: 0)
+ * @returns {number} Instant of local midnight in milliseconds
+ */
+const startOfZonedDay = (date, timeZone, dayOffset = 0) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day: day + dayOffset }, timeZone);
+};
+
+/**
+ * Get the local calendar day of an instant
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Day as 'YYYY-MM-DD'
+ */
+const getZonedDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * List the local calendar days overlapping a time range
+ * @param {number} from - Range start in milliseconds
+ * @param {number} to - Range end in milliseconds (exclusive)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Array} Days as { day, start, end } with start/end in milliseconds
+ */
+const listZonedDays = (from, to, timeZone) => {
+  const days = [];
+  for (let offset = 0; ; offset++) {
+    const start = startOfZonedDay(from, timeZone, offset);
+    if (start >= to) break;
+    days.push({
+      day: getZonedDay(start, timeZone),
+      start,
+      end: startOfZonedDay(from, timeZone, offset + 1)
+    });
+  }
+  return days;
+};
+
+module.exports = {
+  getZonedParts,
+  getZonedDay,
+  listZonedDays,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  startOfZonedDay
+};